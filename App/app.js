@@ -17,14 +17,33 @@ require('dotenv').config();
 // Initialize database connection
 require('./config/database');
 
+// Load the JWT signing keys now, so a broken JWT_KEYS_DIR stops the server at startup
+require('./utilities/jwt-keys').getKeyring();
+
+// Mailed links are built from APP_URL; in production the server does not start without it
+require('./utilities/mailer').getAppUrl();
+
 // Import route handlers
 const loginRouter = require('./routes/login');
+const logoutRouter = require('./routes/logout');
 const registerRouter = require('./routes/register');
+const passwordRouter = require('./routes/password');
 const articlesRouter = require('./routes/articles');
+const categoriesRouter = require('./routes/categories');
 const cartRouter = require('./routes/cart');
+const ordersRouter = require('./routes/orders');
+const paymentsRouter = require('./routes/payments');
 const documentsRouter = require('./routes/documents');
 const { router: chatRouter } = require('./routes/chatroom');
 const authPagesRouter = require('./routes/auth-pages');
+const adminUsersRouter = require('./routes/admin-users');
+const adminInvitationsRouter = require('./routes/admin-invitations');
+const adminAuditRouter = require('./routes/admin-audit');
+const adminInventoryRouter = require('./routes/admin-inventory');
+const twoFactorRouter = require('./routes/two-factor');
+const apiKeysRouter = require('./routes/api-keys');
+const meRouter = require('./routes/me');
+const wellKnownRouter = require('./routes/well-known');
 
 // Import middleware
 const authMiddleware = require('./middleware/auth');
@@ -48,8 +67,13 @@ if (process.env.NODE_ENV !== 'production') {
     app.use(logger('dev'));
 }
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (raw bytes are kept for webhook signature checks)
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: false }));
 
 // Cookie parsing
@@ -64,7 +88,10 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use('/', authPagesRouter);
 app.use('/login', loginRouter);
 app.use('/register', registerRouter);
+app.use('/password', passwordRouter);
 app.use('/chat', chatRouter);
+app.use('/payments', paymentsRouter);
+app.use('/.well-known', wellKnownRouter);
 
 /**
  * Apply authentication middleware to all subsequent routes
@@ -74,9 +101,19 @@ app.use(authMiddleware);
 /**
  * Configure protected routes (authentication required)
  */
+app.use('/logout', logoutRouter);
+app.use('/2fa', twoFactorRouter);
+app.use('/api-keys', apiKeysRouter);
+app.use('/me', meRouter);
 app.use('/articles', articlesRouter);
+app.use('/categories', categoriesRouter);
 app.use('/cart', cartRouter);
+app.use('/orders', ordersRouter);
 app.use('/documents', documentsRouter);
+app.use('/admin/users', adminUsersRouter);
+app.use('/admin/invitations', adminInvitationsRouter);
+app.use('/admin/audit', adminAuditRouter);
+app.use('/admin/inventory', adminInventoryRouter);
 
 
 /**
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('./permissions');
 require('dotenv').config();
 
 mongoose.connect(
@@ -28,10 +29,66 @@ const UserSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // Shown instead of the email address, e.g. in the chat
+    displayName: {
+        type: String,
+        trim: true,
+        maxlength: 50,
+    },
+    // Id in documents.json of the current avatar image (see /me/avatar)
+    avatarDocumentId: Number,
     roles: {
-        type: Array,
+        type: [{ type: String, enum: ROLES }],
         default: ['user'],
-    }
+    },
+    // Disabled accounts cannot log in and lose their sessions (see /admin/users)
+    disabled: {
+        type: Boolean,
+        default: false,
+    },
+    disabledAt: Date,
+    disabledReason: String,
+    // Bumped to invalidate every access token issued before it (see /logout/all)
+    tokenVersion: {
+        type: Number,
+        default: 0,
+    },
+    // Set to false on registration until the emailed link is opened;
+    // accounts created before verification existed have no value
+    verified: Boolean,
+    emailVerificationTokenHash: String,
+    emailVerificationExpires: Date,
+    emailVerificationSentAt: Date,
+    // Requested new address; it replaces email once the link sent to it is opened
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+    },
+    emailChangeTokenHash: String,
+    emailChangeExpires: Date,
+    // Only a hash of the emailed reset token is kept; both fields are cleared once it is used
+    passwordResetTokenHash: String,
+    passwordResetExpires: Date,
+    // TOTP 2FA: the secret moves from pending to active once a first code confirms it
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: String,
+    twoFactorPendingSecret: String,
+    twoFactorRecoveryCodeHashes: {
+        type: [String],
+        default: undefined,
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    twoFactorLastUsedStep: Number
 }, { timestamps: true });
 
+// True when removing this user's admin rights would leave no enabled admin
+UserSchema.statics.isLastActiveAdmin = async function (user) {
+    if (!user.roles.includes('admin') || user.disabled) return false;
+    const activeAdmins = await this.countDocuments({ roles: 'admin', disabled: { $ne: true } });
+    return activeAdmins <= 1;
+};
+
 module.exports = mongoose.model('User', UserSchema);
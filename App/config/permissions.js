@@ -0,0 +1,128 @@
+const fs = require('fs');
+require('dotenv').config();
+
+/**
+ * Named permissions checked by requirePermission() (middleware/permissions.js).
+ * Resources a user owns (their cart, orders, documents) only need the plain
+ * permission; the `:any` variants reach everybody's.
+ */
+const PERMISSIONS = [
+    'products:read',
+    'products:write',
+    'categories:write',
+    'inventory:read',
+    'cart:use',
+    'carts:read:any',
+    'orders:read',
+    'orders:write',
+    'orders:read:any',
+    'orders:manage',
+    'orders:refund',
+    'documents:read',
+    'documents:write',
+    'documents:read:any',
+    'chat:moderate',
+    'users:read',
+    'users:unlock',
+    'users:manage',
+    'users:roles',
+    'users:invite',
+    'audit:read'
+];
+
+const USER_PERMISSIONS = [
+    'products:read',
+    'cart:use',
+    'orders:read',
+    'orders:write',
+    'documents:read',
+    'documents:write'
+];
+
+// Role -> permissions. '*' grants everything and 'orders:*' every orders permission.
+const DEFAULT_POLICY = {
+    user: USER_PERMISSIONS,
+    support: [
+        ...USER_PERMISSIONS,
+        'carts:read:any',
+        'orders:read:any',
+        'orders:refund',
+        'documents:read:any',
+        'chat:moderate',
+        'users:read',
+        'users:unlock'
+    ],
+    admin: ['*']
+};
+
+function isKnownPermission(permission) {
+    if (permission === '*' || PERMISSIONS.includes(permission)) return true;
+    if (permission.endsWith(':*')) {
+        const prefix = permission.slice(0, -1);
+        return PERMISSIONS.some((p) => p.startsWith(prefix));
+    }
+    return false;
+}
+
+/**
+ * Default policy, with roles replaced or added by the JSON file at
+ * PERMISSIONS_POLICY_FILE ({ "support": ["orders:read:any", ...], ... }).
+ * A malformed file stops the server rather than silently granting the wrong rights.
+ */
+function loadPolicy(filePath = process.env.PERMISSIONS_POLICY_FILE) {
+    const policy = { ...DEFAULT_POLICY };
+    if (!filePath) return policy;
+
+    const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [role, permissions] of Object.entries(overrides)) {
+        if (!Array.isArray(permissions) || permissions.some((p) => typeof p !== 'string')) {
+            throw new Error(`Permissions policy: role "${role}" must map to an array of strings`);
+        }
+        const unknown = permissions.filter((p) => !isKnownPermission(p));
+        if (unknown.length > 0) {
+            throw new Error(`Permissions policy: unknown permissions for role "${role}": ${unknown.join(', ')}`);
+        }
+        policy[role] = permissions;
+    }
+    return policy;
+}
+
+const POLICY = loadPolicy();
+
+// Every role an account can hold. New accounts get 'user'; others are granted via /admin/users.
+const ROLES = Object.keys(POLICY);
+
+// Sorted, de-duplicated permissions of a set of roles; unknown roles grant nothing
+function resolvePermissions(roles, policy = POLICY) {
+    const granted = new Set();
+    for (const role of Array.isArray(roles) ? roles : []) {
+        (policy[role] || []).forEach((permission) => granted.add(permission));
+    }
+    return [...granted].sort();
+}
+
+function permissionMatches(granted, required) {
+    if (granted === '*' || granted === required) return true;
+    return granted.endsWith(':*') && required.startsWith(granted.slice(0, -1));
+}
+
+function hasPermission(grantedPermissions, required) {
+    return (grantedPermissions || []).some((granted) => permissionMatches(granted, required));
+}
+
+// A role may only be handed out by someone who already holds every permission it grants,
+// so `users:roles` cannot be used to climb to `admin` ('*')
+function canGrantRole(grantedPermissions, role, policy = POLICY) {
+    return (policy[role] || []).every((permission) => hasPermission(grantedPermissions, permission));
+}
+
+module.exports = {
+    PERMISSIONS,
+    DEFAULT_POLICY,
+    ROLES,
+    isKnownPermission,
+    loadPolicy,
+    resolvePermissions,
+    hasPermission,
+    canGrantRole
+};
@@ -1,7 +1,100 @@
 const JWT = require('jsonwebtoken')
+const createError = require('http-errors');
+const User = require('../config/database');
+const { ACCESS_TOKEN_AUDIENCE, isAccessTokenRevoked, accessTokenClaims } = require('../utilities/tokens');
+const { verifyJwt } = require('../utilities/jwt-keys');
+const { readAccessCookie, hasValidCsrfToken } = require('../utilities/session-cookies');
+const { authenticateApiKey, effectiveKeyPermissions } = require('../utilities/api-keys');
 
-function JWTmiddleware(req, res, next) {
+/**
+ * Verify an access token's signature and make sure it has not been revoked,
+ * either on its own (logout) or together with every token of its user (logout all).
+ * Shared by the HTTP middleware and the Socket.io handshake.
+ */
+async function verifyAccessToken(token) {
+    const decoded = verifyJwt(token);
+
+    // Special-purpose tokens (2FA login challenges, ...) are signed with the same key but another audience
+    if (decoded.aud !== ACCESS_TOKEN_AUDIENCE) {
+        throw createError(401, 'Invalid token');
+    }
+
+    if (isAccessTokenRevoked(decoded.jti)) {
+        throw createError(401, 'Token has been revoked');
+    }
+
+    const user = await User.findById(decoded.userId).select('tokenVersion disabled');
+    if (!user || (user.tokenVersion || 0) !== (decoded.tv || 0)) {
+        throw createError(401, 'Token has been revoked');
+    }
+    if (user.disabled) {
+        throw createError(401, 'Account is disabled');
+    }
+
+    return decoded;
+}
+
+/**
+ * Resolve an X-API-Key header to the same shape as decoded access token claims.
+ * The key's permissions are narrowed to what its owner can do at this moment.
+ */
+async function verifyApiKey(key) {
+    const apiKey = authenticateApiKey(key);
+    if (!apiKey) {
+        throw createError(401, 'Invalid API key');
+    }
+
+    const user = await User.findById(apiKey.userId);
+    if (!user || user.disabled) {
+        throw createError(401, 'Invalid API key');
+    }
+
+    const claims = accessTokenClaims(user);
+    return {
+        ...claims,
+        userId: String(user._id),
+        permissions: effectiveKeyPermissions(apiKey.permissions, claims.permissions),
+        apiKeyId: apiKey.id
+    };
+}
+
+async function JWTmiddleware(req, res, next) {
     var authHeader = req.headers.authorization;
+    var apiKey = req.headers['x-api-key'];
+
+    // Machine clients may send an API key instead of a Bearer token
+    if (!authHeader && apiKey) {
+        try {
+            req.user = await verifyApiKey(apiKey);
+            return next();
+        } catch (error) {
+            if (error.status === 401) {
+                return res.status(401).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            return res.status(500).json({
+                success: false,
+                error: "Error while processing your request",
+                details: error.message,
+            })
+        }
+    }
+
+    // Browser pages use the httpOnly session cookie; state changes must echo the CSRF token
+    var cookieToken = !authHeader && readAccessCookie(req);
+    if (cookieToken) {
+        if (!hasValidCsrfToken(req)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid or missing CSRF token'
+            });
+        }
+        req.cookieSession = true;
+        authHeader = 'Bearer ' + cookieToken;
+    }
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
         return res.status(401).json({
             success: false,
@@ -17,11 +110,24 @@ function JWTmiddleware(req, res, next) {
             })
         }
 
-        const decoded = JWT.verify(token, process.env.JWT_SECRET);
+        const decoded = await verifyAccessToken(token);
         req.user = decoded; // Attach user info to request
         next();
 
     } catch (error) {
+        // Expired access tokens are expected; the client should call /login/refresh
+        if (error instanceof JWT.TokenExpiredError) {
+            return res.status(401).json({
+                success: false,
+                error: 'Token has expired'
+            });
+        }
+        if (error.status === 401) {
+            return res.status(401).json({
+                success: false,
+                error: error.message
+            });
+        }
         return res.status(500).json({
             success: false,
             error: "Error while processing your request",
@@ -30,4 +136,6 @@ function JWTmiddleware(req, res, next) {
     }
 }
 
-module.exports = JWTmiddleware; 
\ No newline at end of file
+module.exports = JWTmiddleware;
+module.exports.verifyAccessToken = verifyAccessToken;
+module.exports.verifyApiKey = verifyApiKey;
@@ -0,0 +1,57 @@
+const { resolvePermissions, hasPermission } = require('../config/permissions');
+const { rejectRestrictedToken } = require('../utilities/utilities');
+
+/**
+ * Permissions of the authenticated caller: the list embedded in the access token,
+ * or resolved from its roles for tokens issued before permissions were embedded.
+ */
+function getPermissions(user) {
+    if (!user) return [];
+    return Array.isArray(user.permissions) ? user.permissions : resolvePermissions(user.roles);
+}
+
+function can(user, permission) {
+    return hasPermission(getPermissions(user), permission);
+}
+
+/**
+ * Route guard requiring every listed permission, e.g.
+ *   router.post('/', requirePermission('products:write'), handler)
+ * Restricted tokens (unverified email, pending 2FA setup) are refused first, which
+ * is all requirePermission() does when called without arguments.
+ */
+function requirePermission(...permissions) {
+    return function permissionMiddleware(req, res, next) {
+        if (rejectRestrictedToken(req, res)) return;
+
+        if (req.user && permissions.every((permission) => can(req.user, permission))) {
+            return next();
+        }
+
+        res.status(403).json({
+            success: false,
+            error: 'Forbidden',
+            requiredPermissions: permissions
+        });
+    };
+}
+
+/**
+ * Route guard for actions that take a login session, e.g.
+ *   router.use(rejectApiKeyCaller('manage API keys'))
+ * so a leaked API key cannot be turned into more access than it was scoped to.
+ * The action completes the error message: "API keys cannot be used to <action>".
+ */
+function rejectApiKeyCaller(action) {
+    return function apiKeyCallerMiddleware(req, res, next) {
+        if (req.user && req.user.apiKeyId) {
+            return res.status(403).json({
+                success: false,
+                error: `API keys cannot be used to ${action}`
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { requirePermission, rejectApiKeyCaller, getPermissions, can };
@@ -0,0 +1,51 @@
+const VALIDATION_OPTIONS = {
+    abortEarly: false,
+    convert: true,
+    stripUnknown: true,
+    errors: { wrap: { label: false } }
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Request validation against the Joi schemas in schemas/validation.js, e.g.
+ *   router.put('/:id', requirePermission('products:write'),
+ *       validate({ params: idParamSchema, body: productUpdateSchema }), handler)
+ *
+ * Values are coerced ("5" becomes 5 where a number is expected), defaults are
+ * applied and unknown keys are dropped, so handlers only ever see what the schema
+ * describes. Every failing field is reported at once:
+ *   400 when the URL (params or query) is wrong, 422 when only the body is
+ *   { success: false, error: 'Validation failed', details: [{ location, field, message }] }
+ */
+function validate(schemas) {
+    return function validationMiddleware(req, res, next) {
+        const details = [];
+
+        for (const location of LOCATIONS) {
+            if (!schemas[location]) continue;
+
+            const { error, value } = schemas[location].validate(req[location] || {}, VALIDATION_OPTIONS);
+            if (error) {
+                error.details.forEach((detail) => details.push({
+                    location,
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }));
+            } else {
+                req[location] = value;
+            }
+        }
+
+        if (details.length === 0) return next();
+
+        const status = details.some((detail) => detail.location !== 'body') ? 400 : 422;
+        res.status(status).json({
+            success: false,
+            error: 'Validation failed',
+            details
+        });
+    };
+}
+
+module.exports = { validate, VALIDATION_OPTIONS };
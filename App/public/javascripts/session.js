@@ -0,0 +1,48 @@
+/**
+ * Cookie session helpers shared by the HTML pages. The access and refresh tokens
+ * live in httpOnly cookies; page scripts only ever see the CSRF token, which has to
+ * be sent back in the X-CSRF-Token header (or the Socket.io handshake).
+ */
+(function () {
+    function readCookie(name) {
+        const match = document.cookie.match(new RegExp('(?:^|; )' + name + '=([^;]*)'));
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    function csrfToken() {
+        return readCookie('csrf_token');
+    }
+
+    // Renew the session with the refresh cookie; resolves to true when that worked
+    async function refreshSession() {
+        if (!csrfToken()) return false;
+        const response = await fetch('/login/refresh', {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': csrfToken() }
+        });
+        return response.ok;
+    }
+
+    // fetch() with the CSRF header; a rejected session is renewed once and the request retried
+    async function apiFetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), 'X-CSRF-Token': csrfToken() || '' }
+        });
+
+        let response = await send();
+        if (response.status === 401 && await refreshSession()) {
+            response = await send();
+        }
+        return response;
+    }
+
+    // Where to go after logging in: ?next= when it is a path on this site
+    function nextPath(fallback) {
+        const next = new URLSearchParams(window.location.search).get('next');
+        // '//host' and '/\host' would leave the site
+        return next && /^\/(?![\/\\])/.test(next) ? next : fallback;
+    }
+
+    window.session = { csrfToken, refreshSession, apiFetch, nextPath };
+})();
@@ -0,0 +1,47 @@
+var express = require('express');
+var router = express.Router();
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { auditQuerySchema } = require('../schemas/validation');
+const { recordAudit, queryAuditLog, toCsv } = require('../utilities/audit-log');
+
+// GET /admin/audit - Query the audit log, newest first
+// (?action= (auth.* for a prefix), ?outcome=, ?actor= user id or email, ?targetType=, ?targetId=, ?ip=,
+//  ?from=, ?to= ISO dates, ?page=, ?limit=, ?format=csv for a download of every match)
+router.get('/', requirePermission('audit:read'), validate({ query: auditQuerySchema }), function (req, res, next) {
+    try {
+        const { page, limit, format, ...filters } = req.query;
+        const entries = queryAuditLog(filters);
+
+        if (format === 'csv') {
+            // Who pulled the trail is part of the trail
+            recordAudit(req, {
+                action: 'audit.export',
+                details: { filters, count: entries.length }
+            });
+            res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+            res.type('text/csv');
+            return res.send(toCsv(entries));
+        }
+
+        const data = entries.slice((page - 1) * limit, page * limit);
+
+        res.json({
+            success: true,
+            data: data,
+            count: data.length,
+            total: entries.length,
+            page: page,
+            totalPages: Math.ceil(entries.length / limit)
+        });
+    } catch (error) {
+        console.error('Error querying audit log:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to query audit log',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+var express = require('express');
+var router = express.Router();
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { inventoryQuerySchema } = require('../schemas/validation');
+const { stockReport, oversoldOrders } = require('../utilities/inventory');
+
+// GET /admin/inventory - Stock, reserved and available units of every tracked product, lowest first
+// (?lowStock=true for only the products at or below their low-stock threshold),
+// plus the paid orders that were committed short of stock
+router.get('/', requirePermission('inventory:read'), validate({ query: inventoryQuerySchema }), function (req, res, next) {
+    try {
+        const report = stockReport();
+        const oversold = oversoldOrders();
+        const data = req.query.lowStock === undefined
+            ? report
+            : report.filter(entry => entry.lowStock === req.query.lowStock);
+
+        res.json({
+            success: true,
+            count: data.length,
+            lowStockCount: report.filter(entry => entry.lowStock).length,
+            data,
+            oversoldCount: oversold.length,
+            oversold
+        });
+    } catch (error) {
+        console.error('Error reading inventory:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read inventory',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
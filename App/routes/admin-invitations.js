@@ -0,0 +1,135 @@
+var express = require('express');
+var router = express.Router();
+const { requirePermission, can } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { invitationSchema, invitationListQuerySchema, stringIdParamSchema } = require('../schemas/validation');
+const { buildAppUrl } = require('../utilities/mailer');
+const { recordAudit } = require('../utilities/audit-log');
+const {
+    getRegistrationMode,
+    createInvitation,
+    listInvitations,
+    revokeInvitation,
+    sendInvitationEmail
+} = require('../utilities/invitations');
+
+router.use(requirePermission('users:invite'));
+
+// GET /admin/invitations - List invitations, newest first (?status=active|used|expired|revoked)
+router.get('/', validate({ query: invitationListQuerySchema }), function (req, res, next) {
+    try {
+        const { status } = req.query;
+
+        const invitations = listInvitations()
+            .filter(invitation => !status || invitation.status === status)
+            .reverse();
+
+        res.json({
+            success: true,
+            registrationMode: getRegistrationMode(),
+            count: invitations.length,
+            data: invitations
+        });
+    } catch (error) {
+        console.error('Error listing invitations:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list invitations',
+            details: error.message
+        });
+    }
+});
+
+// POST /admin/invitations - Create an invitation ({ maxUses?, expiresInDays?, role?, email?, note? });
+// the code is returned once
+router.post('/', validate({ body: invitationSchema }), async function (req, res, next) {
+    try {
+        const { maxUses, expiresInDays, role, email, note } = req.body;
+
+        // Inviting someone into a role is granting it
+        if (role !== 'user' && !can(req.user, 'users:roles')) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                requiredPermissions: ['users:invite', 'users:roles']
+            });
+        }
+
+        const expiresAt = expiresInDays
+            ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+            : null;
+
+        const { code, invitation } = createInvitation(req.user, {
+            maxUses,
+            expiresAt,
+            role,
+            email: email || null,
+            note: note || null
+        });
+
+        recordAudit(req, {
+            action: 'invitations.create',
+            target: { type: 'invitation', id: invitation.id },
+            details: { role: invitation.role, email: invitation.email, maxUses: invitation.maxUses, expiresAt: invitation.expiresAt }
+        });
+
+        // The invitation exists either way; the link below can be passed on by hand
+        let invitationEmailSent = false;
+        if (invitation.email) {
+            try {
+                await sendInvitationEmail(invitation, code);
+                invitationEmailSent = true;
+            } catch (mailError) {
+                console.error('Error sending invitation email:', mailError);
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation created. Copy the code now; it cannot be shown again.',
+            data: {
+                ...invitation,
+                code,
+                registrationUrl: buildAppUrl(`/register-page?code=${encodeURIComponent(code)}`)
+            },
+            invitationEmailSent
+        });
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create invitation',
+            details: error.message
+        });
+    }
+});
+
+// DELETE /admin/invitations/:id - Revoke an invitation; accounts already created keep working
+router.delete('/:id', validate({ params: stringIdParamSchema }), function (req, res, next) {
+    try {
+        if (!revokeInvitation(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invitation not found or already revoked'
+            });
+        }
+        recordAudit(req, {
+            action: 'invitations.revoke',
+            target: { type: 'invitation', id: req.params.id }
+        });
+
+        res.json({
+            success: true,
+            message: 'Invitation revoked'
+        });
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke invitation',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,380 @@
+var express = require('express');
+var router = express.Router();
+const User = require('../config/database');
+const { writeUserCart } = require('../utilities/utilities');
+const { requirePermission, getPermissions } = require('../middleware/permissions');
+const { canGrantRole } = require('../config/permissions');
+const { validate } = require('../middleware/validate');
+const {
+    userListQuerySchema,
+    objectIdParamSchema,
+    userRoleParamSchema,
+    userDisableSchema,
+    roleSchema
+} = require('../schemas/validation');
+const { accountThrottle } = require('../utilities/login-throttle');
+const { revokeUserRefreshTokens } = require('../utilities/tokens');
+const { deleteUserApiKeys } = require('../utilities/api-keys');
+const { isVerified } = require('../utilities/email-verification');
+const { isTwoFactorEnabled } = require('../utilities/two-factor');
+const { recordAudit } = require('../utilities/audit-log');
+const { disconnectSessions } = require('./chatroom');
+
+// Resolve :id (checked by objectIdParamSchema) to a user, answering 404 itself when it does not exist
+async function findUserOr404(req, res) {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+        return null;
+    }
+    return user;
+}
+
+// What admins get to see of an account; secrets and hashes never leave the server
+function toAdminView(user) {
+    return {
+        id: user._id,
+        email: user.email,
+        roles: user.roles,
+        verified: isVerified(user),
+        twoFactorEnabled: isTwoFactorEnabled(user),
+        disabled: Boolean(user.disabled),
+        disabledAt: user.disabledAt,
+        disabledReason: user.disabledReason,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+    };
+}
+
+function isSelf(req, user) {
+    return String(req.user.userId) === String(user._id);
+}
+
+// Answers 403 and returns false unless the caller may change this role of this user
+function checkRoleChange(req, res, user, role) {
+    if (isSelf(req, user)) {
+        res.status(403).json({
+            success: false,
+            error: 'You cannot change your own roles'
+        });
+        return false;
+    }
+    if (!canGrantRole(getPermissions(req.user), role)) {
+        res.status(403).json({
+            success: false,
+            error: 'You can only grant or revoke roles whose permissions you hold all of'
+        });
+        return false;
+    }
+    return true;
+}
+
+function lastAdminConflict(res) {
+    return res.status(409).json({
+        success: false,
+        error: 'Cannot remove the last active admin'
+    });
+}
+
+// Invalidate every access and refresh token of the user and close their chat sockets.
+// The caller saves the user afterwards.
+function endSessions(user) {
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    revokeUserRefreshTokens(user._id);
+    disconnectSessions({ userId: String(user._id) });
+}
+
+function auditUserAction(req, action, user, details) {
+    recordAudit(req, {
+        action,
+        target: { type: 'user', id: String(user._id), email: user.email },
+        details
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// GET /admin/users - List users (?q= email search, ?role=, ?disabled=true|false, ?page=, ?limit=)
+router.get('/', requirePermission('users:read'), validate({ query: userListQuerySchema }), async function (req, res, next) {
+    try {
+        const { q, role, disabled, page, limit } = req.query;
+
+        const filter = {};
+        if (q) {
+            filter.email = new RegExp(escapeRegExp(q), 'i');
+        }
+        if (role) {
+            filter.roles = role;
+        }
+        if (disabled === true) {
+            filter.disabled = true;
+        } else if (disabled === false) {
+            filter.disabled = { $ne: true };
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            User.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: users.map(toAdminView),
+            count: users.length,
+            total: total,
+            page: page,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list users',
+            details: error.message
+        });
+    }
+});
+
+// GET /admin/users/:id - View a single user
+router.get('/:id', requirePermission('users:read'), validate({ params: objectIdParamSchema }), async function (req, res, next) {
+    try {
+        const user = await findUserOr404(req, res);
+        if (!user) return;
+
+        res.json({
+            success: true,
+            data: toAdminView(user)
+        });
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch user',
+            details: error.message
+        });
+    }
+});
+
+// POST /admin/users/:id/disable - Block logins and end every session of a user
+router.post('/:id/disable', requirePermission('users:manage'),
+    validate({ params: objectIdParamSchema, body: userDisableSchema }), async function (req, res, next) {
+    try {
+        const user = await findUserOr404(req, res);
+        if (!user) return;
+
+        if (isSelf(req, user)) {
+            return res.status(409).json({
+                success: false,
+                error: 'You cannot disable your own account'
+            });
+        }
+        if (user.disabled) {
+            return res.status(409).json({
+                success: false,
+                error: 'User is already disabled'
+            });
+        }
+        if (await User.isLastActiveAdmin(user)) return lastAdminConflict(res);
+
+        user.disabled = true;
+        user.disabledAt = new Date();
+        user.disabledReason = req.body.reason || undefined;
+        endSessions(user);
+        await user.save();
+        auditUserAction(req, 'users.disable', user, { reason: user.disabledReason || null });
+
+        res.json({
+            success: true,
+            message: `User ${user.email} disabled`,
+            data: toAdminView(user)
+        });
+    } catch (error) {
+        console.error('Error disabling user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to disable user',
+            details: error.message
+        });
+    }
+});
+
+// POST /admin/users/:id/enable - Allow a disabled user to log in again
+router.post('/:id/enable', requirePermission('users:manage'), validate({ params: objectIdParamSchema }), async function (req, res, next) {
+    try {
+        const user = await findUserOr404(req, res);
+        if (!user) return;
+
+        if (!user.disabled) {
+            return res.status(409).json({
+                success: false,
+                error: 'User is not disabled'
+            });
+        }
+
+        user.disabled = false;
+        user.disabledAt = undefined;
+        user.disabledReason = undefined;
+        await user.save();
+        auditUserAction(req, 'users.enable', user);
+
+        res.json({
+            success: true,
+            message: `User ${user.email} enabled`,
+            data: toAdminView(user)
+        });
+    } catch (error) {
+        console.error('Error enabling user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to enable user',
+            details: error.message
+        });
+    }
+});
+
+// DELETE /admin/users/:id - Delete a user, their cart, sessions and API keys (orders are kept)
+router.delete('/:id', requirePermission('users:manage'), validate({ params: objectIdParamSchema }), async function (req, res, next) {
+    try {
+        const user = await findUserOr404(req, res);
+        if (!user) return;
+
+        if (isSelf(req, user)) {
+            return res.status(409).json({
+                success: false,
+                error: 'You cannot delete your own account'
+            });
+        }
+        if (await User.isLastActiveAdmin(user)) return lastAdminConflict(res);
+
+        await User.deleteOne({ _id: user._id });
+        writeUserCart(user._id, []);
+        revokeUserRefreshTokens(user._id);
+        deleteUserApiKeys(user._id);
+        disconnectSessions({ userId: String(user._id) });
+        auditUserAction(req, 'users.delete', user, { roles: user.roles });
+
+        res.json({
+            success: true,
+            message: `User ${user.email} deleted`,
+            data: toAdminView(user)
+        });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete user',
+            details: error.message
+        });
+    }
+});
+
+// POST /admin/users/:id/roles - Grant a role ({ "role": "admin" })
+router.post('/:id/roles', requirePermission('users:roles'),
+    validate({ params: objectIdParamSchema, body: roleSchema }), async function (req, res, next) {
+    try {
+        const { role } = req.body;
+
+        const user = await findUserOr404(req, res);
+        if (!user) return;
+        if (!checkRoleChange(req, res, user, role)) return;
+
+        if (user.roles.includes(role)) {
+            return res.status(409).json({
+                success: false,
+                error: `User already has the ${role} role`
+            });
+        }
+
+        user.roles = [...user.roles, role];
+        // Outstanding access tokens carry the old roles; refreshing picks up the new ones
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+        auditUserAction(req, 'users.role_grant', user, { role, roles: user.roles });
+
+        res.json({
+            success: true,
+            message: `Granted ${role} to ${user.email}`,
+            data: toAdminView(user)
+        });
+    } catch (error) {
+        console.error('Error granting role:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to grant role',
+            details: error.message
+        });
+    }
+});
+
+// DELETE /admin/users/:id/roles/:role - Revoke a role
+router.delete('/:id/roles/:role', requirePermission('users:roles'),
+    validate({ params: userRoleParamSchema }), async function (req, res, next) {
+    try {
+        const { role } = req.params;
+
+        const user = await findUserOr404(req, res);
+        if (!user) return;
+        if (!checkRoleChange(req, res, user, role)) return;
+
+        if (!user.roles.includes(role)) {
+            return res.status(409).json({
+                success: false,
+                error: `User does not have the ${role} role`
+            });
+        }
+        if (role === 'admin' && await User.isLastActiveAdmin(user)) return lastAdminConflict(res);
+
+        user.roles = user.roles.filter((r) => r !== role);
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+        auditUserAction(req, 'users.role_revoke', user, { role, roles: user.roles });
+
+        res.json({
+            success: true,
+            message: `Revoked ${role} from ${user.email}`,
+            data: toAdminView(user)
+        });
+    } catch (error) {
+        console.error('Error revoking role:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke role',
+            details: error.message
+        });
+    }
+});
+
+// POST /admin/users/:id/unlock - Clear failed-login counters and any lockout for a user
+router.post('/:id/unlock', requirePermission('users:unlock'), validate({ params: objectIdParamSchema }), async function (req, res, next) {
+    try {
+        const user = await findUserOr404(req, res);
+        if (!user) return;
+
+        const previous = await accountThrottle.status(user.email);
+        await accountThrottle.reset(user.email);
+        auditUserAction(req, 'users.unlock', user);
+
+        res.json({
+            success: true,
+            message: `Account ${user.email} unlocked`,
+            data: {
+                wasLockedOut: Boolean(previous && previous.lockedOut),
+                failedAttempts: previous ? previous.failures : 0
+            }
+        });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unlock user',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+var express = require('express');
+var router = express.Router();
+const { requirePermission, rejectApiKeyCaller, getPermissions, can } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { apiKeySchema, stringIdParamSchema } = require('../schemas/validation');
+const { createApiKey, listUserApiKeys, revokeApiKey } = require('../utilities/api-keys');
+
+const MAX_ACTIVE_KEYS = 25;
+
+// Keys are managed with a login session only, so a leaked key cannot mint more keys
+router.use(requirePermission(), rejectApiKeyCaller('manage API keys'));
+
+// GET /api-keys - List your API keys (the keys themselves are never shown again)
+router.get('/', function (req, res, next) {
+    try {
+        const keys = listUserApiKeys(req.user.userId);
+
+        res.json({
+            success: true,
+            count: keys.length,
+            data: keys
+        });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list API keys',
+            details: error.message
+        });
+    }
+});
+
+// POST /api-keys - Create a key ({ name, permissions?, expiresInDays? }); the key is returned once
+router.post('/', validate({ body: apiKeySchema }), function (req, res, next) {
+    try {
+        const { name, expiresInDays } = req.body;
+        // Without an explicit scope a key can do everything its owner can
+        const permissions = req.body.permissions === undefined ? getPermissions(req.user) : req.body.permissions;
+
+        // Wildcards are capped to the owner's permissions whenever the key is used
+        const notHeld = permissions.filter(p => !p.includes('*') && !can(req.user, p));
+        if (notHeld.length > 0) {
+            return res.status(403).json({
+                success: false,
+                error: 'You cannot grant permissions you do not have',
+                details: notHeld
+            });
+        }
+
+        const expiresAt = expiresInDays
+            ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+            : null;
+
+        const activeKeys = listUserApiKeys(req.user.userId).filter(k => k.active);
+        if (activeKeys.length >= MAX_ACTIVE_KEYS) {
+            return res.status(409).json({
+                success: false,
+                error: `You already have ${MAX_ACTIVE_KEYS} active API keys; revoke one first`
+            });
+        }
+
+        const { key, record } = createApiKey(req.user.userId, {
+            name,
+            permissions: [...new Set(permissions)],
+            expiresAt
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now; it cannot be shown again.',
+            data: { ...record, key }
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create API key',
+            details: error.message
+        });
+    }
+});
+
+// DELETE /api-keys/:id - Revoke one of your keys
+router.delete('/:id', validate({ params: stringIdParamSchema }), function (req, res, next) {
+    try {
+        if (!revokeApiKey(req.user.userId, req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'API key revoked'
+        });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,17 +1,132 @@
 var express = require('express');
 var router = express.Router();
 const utilities = require('../utilities/utilities');
-const { securityMiddleware, readProducts, writeProducts, generateId, validateProduct, adminMiddleware } = utilities;
+const { readProducts, writeProducts, generateId } = utilities;
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const {
+    productSchema,
+    productUpdateSchema,
+    productListQuerySchema,
+    productSearchQuerySchema,
+    variantSchema,
+    variantUpdateSchema,
+    idParamSchema,
+    variantParamSchema
+} = require('../schemas/validation');
+const { recordAudit } = require('../utilities/audit-log');
+const { filterProducts, decodeCursor, paginateProducts, listingQuery } = require('../utilities/product-listing');
+const { getProductSearchIndex } = require('../utilities/product-search');
+const {
+    readCategories,
+    findCategory,
+    descendantIds,
+    normalizeTags,
+    countTags
+} = require('../utilities/categories');
+const { availableStock, reservedQuantities } = require('../utilities/inventory');
+const { findVariant, variantLabel, sameOptions, takeVariantId } = require('../utilities/variants');
 
+// 422 for a product body naming a category that does not exist
+function unknownCategory(res, categoryId) {
+    return res.status(422).json({
+        success: false,
+        error: 'Validation failed',
+        details: [{ location: 'body', field: 'categoryId', message: `Category ${categoryId} does not exist` }]
+    });
+}
 
-// GET /products - Get all products
-router.get('/', securityMiddleware, function (req, res, next) {
+// Checks shared by variant create and update; answers 409 itself and returns false when the variant clashes with another
+function checkVariant(res, products, product, { id, sku, options }) {
+    const skuOwner = products.find(p => (p.variants || []).some(v => v.sku === sku && !(p.id === product.id && v.id === id)));
+    if (skuOwner) {
+        res.status(409).json({
+            success: false,
+            error: `The SKU ${sku} is already used by product ${skuOwner.id}`
+        });
+        return false;
+    }
+    if ((product.variants || []).some(v => v.id !== id && sameOptions(v.options, options))) {
+        res.status(409).json({
+            success: false,
+            error: 'This product already has a variant with these options'
+        });
+        return false;
+    }
+    return true;
+}
+
+// Link to another page of the same listing: the filters stay, the position changes.
+// Relative to this server, so the client-supplied Host header never ends up in it.
+function listingLink(req, position) {
+    return `${req.baseUrl}?${listingQuery(req.query, position)}`;
+}
+
+// GET /products - List products, 20 per page by default
+// (?page= or ?cursor=, ?limit= up to 100, ?sort=name|price|createdAt|id with - for descending,
+//  ?minPrice=, ?maxPrice=, ?createdAfter=, ?createdBefore= ISO dates,
+//  ?category= id or slug including subcategories, ?tag= repeatable)
+router.get('/', requirePermission('products:read'), validate({ query: productListQuerySchema }), function (req, res, next) {
     try {
-        const products = readProducts();
+        const { page, limit, sort, minPrice, maxPrice, createdAfter, createdBefore } = req.query;
+
+        let categoryIds;
+        if (req.query.category) {
+            const categories = readCategories();
+            const category = findCategory(categories, req.query.category);
+            if (!category) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: [{ location: 'query', field: 'category', message: `Category ${req.query.category} does not exist` }]
+                });
+            }
+            categoryIds = descendantIds(categories, category.id);
+        }
+        const tags = req.query.tag ? normalizeTags(req.query.tag) : undefined;
+
+        let cursor;
+        if (req.query.cursor) {
+            cursor = decodeCursor(req.query.cursor, sort);
+            if (!cursor) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: [{ location: 'query', field: 'cursor', message: 'cursor is invalid or belongs to another sort order' }]
+                });
+            }
+        }
+
+        const products = filterProducts(readProducts(), {
+            minPrice, maxPrice, createdAfter, createdBefore, categoryIds, tags
+        });
+        const result = paginateProducts(products, { sort, limit, page, cursor });
+
+        // Page links for page-number requests, cursor links once a client follows cursors
+        let links;
+        if (cursor) {
+            links = {
+                next: result.nextCursor ? listingLink(req, { cursor: result.nextCursor }) : null,
+                prev: result.prevCursor ? listingLink(req, { cursor: result.prevCursor }) : null
+            };
+        } else {
+            links = {
+                next: result.page < result.totalPages ? listingLink(req, { page: result.page + 1 }) : null,
+                prev: result.page > 1 ? listingLink(req, { page: Math.min(result.page - 1, Math.max(result.totalPages, 1)) }) : null
+            };
+        }
+
         res.json({
             success: true,
-            count: products.length,
-            data: products
+            count: result.data.length,
+            data: result.data,
+            total: result.total,
+            page: result.page,
+            limit: limit,
+            totalPages: result.totalPages,
+            nextCursor: result.nextCursor,
+            prevCursor: result.prevCursor,
+            links: links
         });
     } catch (error) {
         console.error('Error reading products:', error);
@@ -23,18 +138,62 @@ router.get('/', securityMiddleware, function (req, res, next) {
     }
 });
 
-// GET /products/:id - Get single product by ID
-router.get('/:id', securityMiddleware, function (req, res, next) {
+// GET /products/tags - Every tag in use with its number of products, most used first
+router.get('/tags', requirePermission('products:read'), function (req, res, next) {
     try {
-        const products = readProducts();
-        const productId = parseInt(req.params.id);
+        const tags = countTags(readProducts());
 
-        if (isNaN(productId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid product ID. Must be a number.'
-            });
-        }
+        res.json({
+            success: true,
+            count: tags.length,
+            data: tags
+        });
+    } catch (error) {
+        console.error('Error reading tags:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read tags',
+            details: error.message
+        });
+    }
+});
+
+// GET /products/search - Full-text search on product names, best match first
+// (?q= words, prefixes and small typos match; ?page=, ?limit= up to 100)
+router.get('/search', requirePermission('products:read'), validate({ query: productSearchQuerySchema }), function (req, res, next) {
+    try {
+        const { q, page, limit } = req.query;
+
+        const productsById = new Map(readProducts().map(p => [p.id, p]));
+        const hits = getProductSearchIndex().search(q).filter(hit => productsById.has(hit.id));
+        const data = hits
+            .slice((page - 1) * limit, page * limit)
+            .map(hit => ({ ...productsById.get(hit.id), score: hit.score }));
+
+        res.json({
+            success: true,
+            query: q,
+            count: data.length,
+            data: data,
+            total: hits.length,
+            page: page,
+            totalPages: Math.ceil(hits.length / limit)
+        });
+    } catch (error) {
+        console.error('Error searching products:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search products',
+            details: error.message
+        });
+    }
+});
+
+// GET /products/:id - Get single product by ID, with the units still available (per variant) when its stock is tracked
+router.get('/:id', requirePermission('products:read'), validate({ params: idParamSchema }), function (req, res, next) {
+    try {
+        const products = readProducts();
+        const productId = req.params.id;
 
         const product = products.find(p => p.id === productId);
 
@@ -45,9 +204,20 @@ router.get('/:id', securityMiddleware, function (req, res, next) {
             });
         }
 
+        const reserved = reservedQuantities();
         res.json({
             success: true,
-            data: product
+            data: {
+                ...product,
+                available: availableStock(product, reserved),
+                ...(product.variants && {
+                    variants: product.variants.map(variant => ({
+                        ...variant,
+                        label: variantLabel(variant),
+                        available: availableStock(product, reserved, variant)
+                    }))
+                })
+            }
         });
     } catch (error) {
         console.error('Error reading product:', error);
@@ -60,18 +230,13 @@ router.get('/:id', securityMiddleware, function (req, res, next) {
 });
 
 // POST /products - Create new product
-router.post('/', adminMiddleware, function (req, res, next) {
+router.post('/', requirePermission('products:write'), validate({ body: productSchema }), function (req, res, next) {
     try {
-        const { name, price } = req.body;
+        const { name, price, stock = null, lowStockThreshold = null } = req.body;
+        const categoryId = req.body.categoryId || null;
 
-        // Validate input
-        const validationErrors = validateProduct({ name, price });
-        if (validationErrors.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Validation failed',
-                details: validationErrors
-            });
+        if (categoryId !== null && !findCategory(readCategories(), categoryId)) {
+            return unknownCategory(res, categoryId);
         }
 
         const products = readProducts();
@@ -79,13 +244,23 @@ router.post('/', adminMiddleware, function (req, res, next) {
         // Create new product
         const newProduct = {
             id: generateId(products),
-            name: name.trim(),
-            price: parseFloat(price),
+            name,
+            price,
+            categoryId,
+            tags: normalizeTags(req.body.tags),
+            stock,
+            lowStockThreshold,
             createdAt: new Date().toISOString()
         };
 
         products.push(newProduct);
         writeProducts(products);
+        getProductSearchIndex().add(newProduct);
+        recordAudit(req, {
+            action: 'products.create',
+            target: { type: 'product', id: newProduct.id },
+            details: { name: newProduct.name, price: newProduct.price, stock }
+        });
 
         res.status(201).json({
             success: true,
@@ -102,28 +277,10 @@ router.post('/', adminMiddleware, function (req, res, next) {
     }
 });
 
-// PUT /products/:id - Update product by ID
-router.put('/:id', adminMiddleware, function (req, res, next) {
+// PUT /products/:id - Update the name, price, category, tags (replaced) and/or stock of a product
+router.put('/:id', requirePermission('products:write'), validate({ params: idParamSchema, body: productUpdateSchema }), function (req, res, next) {
     try {
-        const productId = parseInt(req.params.id);
-        const { name, price } = req.body;
-
-        if (isNaN(productId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid product ID. Must be a number.'
-            });
-        }
-
-        // Validate input
-        const validationErrors = validateProduct({ name, price });
-        if (validationErrors.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Validation failed',
-                details: validationErrors
-            });
-        }
+        const productId = req.params.id;
 
         const products = readProducts();
         const productIndex = products.findIndex(p => p.id === productId);
@@ -135,15 +292,43 @@ router.put('/:id', adminMiddleware, function (req, res, next) {
             });
         }
 
+        const { categoryId, tags } = req.body;
+        if (categoryId && !findCategory(readCategories(), categoryId)) {
+            return unknownCategory(res, categoryId);
+        }
+
+        const previous = products[productIndex];
+
         // Update product
         products[productIndex] = {
             ...products[productIndex],
-            name: name.trim(),
-            price: parseFloat(price),
+            ...req.body,
+            ...(tags !== undefined && { tags: normalizeTags(tags) }),
             updatedAt: new Date().toISOString()
         };
 
         writeProducts(products);
+        getProductSearchIndex().add(products[productIndex]);
+        recordAudit(req, {
+            action: 'products.update',
+            target: { type: 'product', id: productId },
+            details: {
+                before: {
+                    name: previous.name,
+                    price: previous.price,
+                    categoryId: previous.categoryId,
+                    tags: previous.tags,
+                    stock: previous.stock
+                },
+                after: {
+                    name: products[productIndex].name,
+                    price: products[productIndex].price,
+                    categoryId: products[productIndex].categoryId,
+                    tags: products[productIndex].tags,
+                    stock: products[productIndex].stock
+                }
+            }
+        });
 
         res.json({
             success: true,
@@ -161,16 +346,9 @@ router.put('/:id', adminMiddleware, function (req, res, next) {
 });
 
 // DELETE /products/:id - Delete product by ID
-router.delete('/:id', adminMiddleware, function (req, res, next) {
+router.delete('/:id', requirePermission('products:write'), validate({ params: idParamSchema }), function (req, res, next) {
     try {
-        const productId = parseInt(req.params.id);
-
-        if (isNaN(productId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid product ID. Must be a number.'
-            });
-        }
+        const productId = req.params.id;
 
         const products = readProducts();
         const productIndex = products.findIndex(p => p.id === productId);
@@ -184,6 +362,12 @@ router.delete('/:id', adminMiddleware, function (req, res, next) {
 
         const deletedProduct = products.splice(productIndex, 1)[0];
         writeProducts(products);
+        getProductSearchIndex().remove(deletedProduct.id);
+        recordAudit(req, {
+            action: 'products.delete',
+            target: { type: 'product', id: deletedProduct.id },
+            details: { name: deletedProduct.name, price: deletedProduct.price }
+        });
 
         res.json({
             success: true,
@@ -200,10 +384,142 @@ router.delete('/:id', adminMiddleware, function (req, res, next) {
     }
 });
 
+// POST /products/:id/variants - Add a variant ({ sku, options, price?, stock? }); price null means the product's price
+router.post('/:id/variants', requirePermission('products:write'), validate({ params: idParamSchema, body: variantSchema }), function (req, res, next) {
+    try {
+        const products = readProducts();
+        const product = products.find(p => p.id === req.params.id);
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        if (!checkVariant(res, products, product, req.body)) return;
+
+        const variant = {
+            id: takeVariantId(product),
+            ...req.body,
+            createdAt: new Date().toISOString()
+        };
+
+        product.variants = [...(product.variants || []), variant];
+        writeProducts(products);
+        recordAudit(req, {
+            action: 'products.variant_create',
+            target: { type: 'product', id: product.id },
+            details: { variantId: variant.id, sku: variant.sku, options: variant.options, price: variant.price, stock: variant.stock }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Variant created successfully',
+            data: { ...variant, label: variantLabel(variant) }
+        });
+    } catch (error) {
+        console.error('Error creating variant:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create variant',
+            details: error.message
+        });
+    }
+});
+
+// PUT /products/:id/variants/:variantId - Update the SKU, options (replaced), price and/or stock of a variant
+router.put('/:id/variants/:variantId', requirePermission('products:write'), validate({ params: variantParamSchema, body: variantUpdateSchema }), function (req, res, next) {
+    try {
+        const products = readProducts();
+        const product = products.find(p => p.id === req.params.id);
+        const variant = product ? findVariant(product, req.params.variantId) : null;
+
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                error: product ? 'Variant not found' : 'Product not found'
+            });
+        }
+
+        const updated = { ...variant, ...req.body, updatedAt: new Date().toISOString() };
+        if (!checkVariant(res, products, product, updated)) return;
+
+        product.variants = product.variants.map(v => (v.id === variant.id ? updated : v));
+        writeProducts(products);
+        recordAudit(req, {
+            action: 'products.variant_update',
+            target: { type: 'product', id: product.id },
+            details: {
+                variantId: variant.id,
+                before: { sku: variant.sku, options: variant.options, price: variant.price, stock: variant.stock },
+                after: { sku: updated.sku, options: updated.options, price: updated.price, stock: updated.stock }
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Variant updated successfully',
+            data: { ...updated, label: variantLabel(updated) }
+        });
+    } catch (error) {
+        console.error('Error updating variant:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update variant',
+            details: error.message
+        });
+    }
+});
+
+// DELETE /products/:id/variants/:variantId - Remove a variant; cart lines pointing at it can no longer be checked out
+router.delete('/:id/variants/:variantId', requirePermission('products:write'), validate({ params: variantParamSchema }), function (req, res, next) {
+    try {
+        const products = readProducts();
+        const product = products.find(p => p.id === req.params.id);
+        const variant = product ? findVariant(product, req.params.variantId) : null;
+
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                error: product ? 'Variant not found' : 'Product not found'
+            });
+        }
+
+        product.variants = product.variants.filter(v => v.id !== variant.id);
+        writeProducts(products);
+        recordAudit(req, {
+            action: 'products.variant_delete',
+            target: { type: 'product', id: product.id },
+            details: { variantId: variant.id, sku: variant.sku, options: variant.options }
+        });
+
+        res.json({
+            success: true,
+            message: 'Variant deleted successfully',
+            data: variant
+        });
+    } catch (error) {
+        console.error('Error deleting variant:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete variant',
+            details: error.message
+        });
+    }
+});
+
 // DELETE /products - Delete all products
-router.delete('/', adminMiddleware, function (req, res, next) {
+router.delete('/', requirePermission('products:write'), function (req, res, next) {
     try {
+        const count = readProducts().length;
         writeProducts([]);
+        getProductSearchIndex().clear();
+        recordAudit(req, {
+            action: 'products.delete_all',
+            target: { type: 'product', id: null },
+            details: { count }
+        });
 
         res.json({
             success: true,
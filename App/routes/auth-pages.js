@@ -16,6 +16,20 @@ router.get('/register-page', (req, res) => {
     res.sendFile(path.join(__dirname, '../views/register.html'));
 });
 
+/**
+ * Serve forgot-password page
+ */
+router.get('/forgot-password-page', (req, res) => {
+    res.sendFile(path.join(__dirname, '../views/forgot-password.html'));
+});
+
+/**
+ * Serve reset-password page (reached from the emailed link)
+ */
+router.get('/reset-password-page', (req, res) => {
+    res.sendFile(path.join(__dirname, '../views/reset-password.html'));
+});
+
 /**
  * Root redirect to login page
  */
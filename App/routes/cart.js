@@ -1,12 +1,39 @@
 var express = require('express');
 var router = express.Router();
 var utilities = require('../utilities/utilities');
-const { securityMiddleware, readCart, readProducts, writeCart, getCartWithDetails } = utilities;
+const { snapshotCartItems, createOrder, saveOrder } = require('../utilities/orders');
+const { payOrder } = require('../utilities/payments');
+const { availableStock, reservedQuantities, findShortages, reserveStock } = require('../utilities/inventory');
+const { findVariant, hasVariants, needsVariant, resolveLine } = require('../utilities/variants');
+const { readCart, readUserCart, writeUserCart, readProducts, generateId, getCartWithDetails } = utilities;
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const {
+    cartItemSchema,
+    cartUpdateSchema,
+    checkoutSchema,
+    idParamSchema,
+    userIdParamSchema
+} = require('../schemas/validation');
 
-// GET /cart - Get cart with product details and balance
-router.get('/', securityMiddleware, function (req, res, next) {
+// Answers 409 and returns false when the product (or variant) cannot be bought in that quantity
+function checkStock(res, product, variant, quantity, inCart) {
+    const available = availableStock(product, reservedQuantities(), variant);
+    if (available !== null && quantity > available) {
+        res.status(409).json({
+            success: false,
+            error: 'Not enough stock',
+            details: { productId: product.id, ...(variant && { variantId: variant.id }), available, inCart }
+        });
+        return false;
+    }
+    return true;
+}
+
+// GET /cart - Get the caller's cart with product details and balance
+router.get('/', requirePermission('cart:use'), function (req, res, next) {
     try {
-        const cartData = getCartWithDetails();
+        const cartData = getCartWithDetails(req.user.userId);
         
         res.json({
             success: true,
@@ -22,56 +49,65 @@ router.get('/', securityMiddleware, function (req, res, next) {
     }
 });
 
-// POST /cart - Add product to cart
-router.post('/', securityMiddleware, function(req, res, next) {
+// POST /cart - Add product (or one of its variants, with variantId) to cart
+router.post('/', requirePermission('cart:use'), validate({ body: cartItemSchema }), function(req, res, next) {
     try {
-        const { productId, quantity = 1 } = req.body;
+        const { productId, quantity } = req.body;
+        const variantId = req.body.variantId || null;
         
-        // Validate input
-        if (!productId || isNaN(parseInt(productId))) {
-            return res.status(400).json({
+        const products = readProducts();
+        const product = products.find(p => p.id === productId);
+        
+        if (!product) {
+            return res.status(404).json({
                 success: false,
-                error: 'Valid product ID is required'
+                error: 'Product not found'
             });
         }
-        
-        if (!quantity || isNaN(parseInt(quantity)) || parseInt(quantity) <= 0) {
-            return res.status(400).json({
+
+        if (variantId === null && hasVariants(product)) {
+            return res.status(422).json({
                 success: false,
-                error: 'Valid quantity (positive number) is required'
+                error: 'Validation failed',
+                details: [{ location: 'body', field: 'variantId', message: 'This product comes in variants; choose one with variantId' }]
             });
         }
-        
-        const products = readProducts();
-        const product = products.find(p => p.id === parseInt(productId));
-        
-        if (!product) {
+
+        const variant = variantId === null ? null : findVariant(product, variantId);
+
+        if (variantId !== null && !variant) {
             return res.status(404).json({
                 success: false,
-                error: 'Product not found'
+                error: 'Variant not found'
             });
         }
         
-        const cartItems = readCart();
-        const existingItemIndex = cartItems.findIndex(item => item.productId === parseInt(productId));
+        const cartItems = readUserCart(req.user.userId);
+        // Each variant of a product is its own cart line
+        const existingItemIndex = cartItems.findIndex(item => item.productId === productId && (item.variantId || null) === variantId);
+        const inCart = existingItemIndex >= 0 ? cartItems[existingItemIndex].quantity : 0;
+
+        if (!checkStock(res, product, variant, inCart + quantity, inCart)) return;
         
         if (existingItemIndex >= 0) {
             // Update quantity if product already in cart
-            cartItems[existingItemIndex].quantity += parseInt(quantity);
+            cartItems[existingItemIndex].quantity += quantity;
             cartItems[existingItemIndex].updatedAt = new Date().toISOString();
         } else {
             // Add new item to cart
             const newCartItem = {
-                id: cartItems.length > 0 ? Math.max(...cartItems.map(item => item.id)) + 1 : 1,
-                productId: parseInt(productId),
-                quantity: parseInt(quantity),
+                // Ids stay unique across every user's cart
+                id: generateId(readCart()),
+                productId,
+                ...(variant && { variantId }),
+                quantity,
                 addedAt: new Date().toISOString()
             };
             cartItems.push(newCartItem);
         }
         
-        writeCart(cartItems);
-        const updatedCartData = getCartWithDetails();
+        writeUserCart(req.user.userId, cartItems);
+        const updatedCartData = getCartWithDetails(req.user.userId);
         
         res.status(201).json({
             success: true,
@@ -88,27 +124,105 @@ router.post('/', securityMiddleware, function(req, res, next) {
     }
 });
 
-// PUT /cart/:id - Update quantity of item in cart
-router.put('/:id', securityMiddleware, function(req, res, next) {
+// POST /cart/checkout - Turn the caller's cart into an order, optionally paying for it
+router.post('/checkout', requirePermission('cart:use', 'orders:write'), validate({ body: checkoutSchema }), async function (req, res, next) {
     try {
-        const cartItemId = parseInt(req.params.id);
-        const { quantity } = req.body;
-        
-        if (isNaN(cartItemId)) {
+        const { payment } = req.body;
+
+        const cartItems = readUserCart(req.user.userId);
+
+        if (cartItems.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid cart item ID'
+                error: 'Cart is empty'
             });
         }
-        
-        if (!quantity || isNaN(parseInt(quantity)) || parseInt(quantity) <= 0) {
-            return res.status(400).json({
+
+        const { items, missingProductIds, variantRequiredIds } = snapshotCartItems(cartItems, readProducts());
+
+        if (missingProductIds.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some products in the cart no longer exist',
+                details: missingProductIds
+            });
+        }
+
+        if (variantRequiredIds.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some products in the cart now come in variants; remove them and add the variant you want',
+                details: variantRequiredIds
+            });
+        }
+
+        const shortages = findShortages(items);
+
+        if (shortages.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some products do not have enough stock',
+                details: shortages
+            });
+        }
+
+        // The items stay reserved until the order is paid or the reservation times out
+        const order = createOrder(req.user.userId, items, req.user);
+        reserveStock(order);
+        saveOrder(order);
+        writeUserCart(req.user.userId, []);
+
+        if (!payment) {
+            return res.status(201).json({
+                success: true,
+                message: 'Order placed successfully',
+                data: order
+            });
+        }
+
+        // A failed payment still leaves a pending order that can be paid later via /orders/:id/pay
+        const { outcome } = await payOrder(order, payment.card);
+        saveOrder(order);
+
+        if (outcome === 'declined') {
+            return res.status(402).json({
+                success: false,
+                error: 'Payment declined',
+                details: order.payment.reason,
+                data: order
+            });
+        }
+
+        if (outcome === 'timeout') {
+            return res.status(504).json({
                 success: false,
-                error: 'Valid quantity (positive number) is required'
+                error: 'Payment provider timed out',
+                data: order
             });
         }
+
+        res.status(201).json({
+            success: true,
+            message: 'Order placed and paid successfully',
+            data: order
+        });
+    } catch (error) {
+        console.error('Error during checkout:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to checkout',
+            details: error.message
+        });
+    }
+});
+
+// PUT /cart/:id - Update quantity of item in cart
+router.put('/:id', requirePermission('cart:use'), validate({ params: idParamSchema, body: cartUpdateSchema }), function(req, res, next) {
+    try {
+        const cartItemId = req.params.id;
+        const { quantity } = req.body;
         
-        const cartItems = readCart();
+        const cartItems = readUserCart(req.user.userId);
         const itemIndex = cartItems.findIndex(item => item.id === cartItemId);
         
         if (itemIndex === -1) {
@@ -117,12 +231,25 @@ router.put('/:id', securityMiddleware, function(req, res, next) {
                 error: 'Cart item not found'
             });
         }
+
+        const products = readProducts();
+        const product = products.find(p => p.id === cartItems[itemIndex].productId);
+
+        if (product && needsVariant(product, cartItems[itemIndex])) {
+            return res.status(409).json({
+                success: false,
+                error: 'This product now comes in variants; remove the item and add the variant you want'
+            });
+        }
+
+        const line = resolveLine(products, cartItems[itemIndex]);
+        if (line && !checkStock(res, line.product, line.variant, quantity, cartItems[itemIndex].quantity)) return;
         
-        cartItems[itemIndex].quantity = parseInt(quantity);
+        cartItems[itemIndex].quantity = quantity;
         cartItems[itemIndex].updatedAt = new Date().toISOString();
         
-        writeCart(cartItems);
-        const updatedCartData = getCartWithDetails();
+        writeUserCart(req.user.userId, cartItems);
+        const updatedCartData = getCartWithDetails(req.user.userId);
         
         res.json({
             success: true,
@@ -140,18 +267,11 @@ router.put('/:id', securityMiddleware, function(req, res, next) {
 });
 
 // DELETE /cart/:id - Remove item from cart
-router.delete('/:id', securityMiddleware, function(req, res, next) {
+router.delete('/:id', requirePermission('cart:use'), validate({ params: idParamSchema }), function(req, res, next) {
     try {
-        const cartItemId = parseInt(req.params.id);
-        
-        if (isNaN(cartItemId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid cart item ID'
-            });
-        }
+        const cartItemId = req.params.id;
         
-        const cartItems = readCart();
+        const cartItems = readUserCart(req.user.userId);
         const itemIndex = cartItems.findIndex(item => item.id === cartItemId);
         
         if (itemIndex === -1) {
@@ -162,8 +282,8 @@ router.delete('/:id', securityMiddleware, function(req, res, next) {
         }
         
         const removedItem = cartItems.splice(itemIndex, 1)[0];
-        writeCart(cartItems);
-        const updatedCartData = getCartWithDetails();
+        writeUserCart(req.user.userId, cartItems);
+        const updatedCartData = getCartWithDetails(req.user.userId);
         
         res.json({
             success: true,
@@ -181,10 +301,10 @@ router.delete('/:id', securityMiddleware, function(req, res, next) {
     }
 });
 
-// DELETE /cart - Clear entire cart
-router.delete('/', securityMiddleware, function(req, res, next) {
+// DELETE /cart - Clear the caller's cart
+router.delete('/', requirePermission('cart:use'), function(req, res, next) {
     try {
-        writeCart([]);
+        writeUserCart(req.user.userId, []);
         
         res.json({
             success: true,
@@ -205,5 +325,24 @@ router.delete('/', securityMiddleware, function(req, res, next) {
     }
 });
 
+// GET /cart/users/:userId - Inspect any user's cart (carts:read:any)
+router.get('/users/:userId', requirePermission('carts:read:any'), validate({ params: userIdParamSchema }), function (req, res, next) {
+    try {
+        const cartData = getCartWithDetails(req.params.userId);
+
+        res.json({
+            success: true,
+            userId: req.params.userId,
+            data: cartData
+        });
+    } catch (error) {
+        console.error('Error reading user cart:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read user cart',
+            details: error.message
+        });
+    }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,239 @@
+var express = require('express');
+var router = express.Router();
+const { readProducts, writeProducts, generateId } = require('../utilities/utilities');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { categorySchema, categoryUpdateSchema, categoryParamSchema } = require('../schemas/validation');
+const { recordAudit } = require('../utilities/audit-log');
+const {
+    readCategories,
+    writeCategories,
+    slugify,
+    findCategory,
+    descendantIds,
+    ancestorPath,
+    nextPosition,
+    buildCategoryTree
+} = require('../utilities/categories');
+
+function categoryNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+    });
+}
+
+// Checks shared by create and update; answers 409/422 itself and returns false when the change is not allowed
+function checkPlacement(res, categories, { id, slug, parentId }) {
+    if (!/[a-z]/.test(slug)) {
+        res.status(422).json({
+            success: false,
+            error: 'Validation failed',
+            details: [{ location: 'body', field: 'slug', message: 'No slug with a letter could be derived from the name; give one explicitly' }]
+        });
+        return false;
+    }
+    if (categories.some(c => c.slug === slug && c.id !== id)) {
+        res.status(409).json({
+            success: false,
+            error: `A category with the slug ${slug} already exists`
+        });
+        return false;
+    }
+    if (parentId !== null && parentId !== undefined) {
+        if (!categories.some(c => c.id === parentId)) {
+            res.status(422).json({
+                success: false,
+                error: 'Validation failed',
+                details: [{ location: 'body', field: 'parentId', message: `Category ${parentId} does not exist` }]
+            });
+            return false;
+        }
+        // A category cannot move below itself
+        if (id !== undefined && descendantIds(categories, id).has(parentId)) {
+            res.status(409).json({
+                success: false,
+                error: 'A category cannot be moved into itself or one of its subcategories'
+            });
+            return false;
+        }
+    }
+    return true;
+}
+
+// GET /categories - The category tree with product counts
+router.get('/', requirePermission('products:read'), function (req, res, next) {
+    try {
+        const categories = readCategories();
+
+        res.json({
+            success: true,
+            count: categories.length,
+            data: buildCategoryTree(categories, readProducts())
+        });
+    } catch (error) {
+        console.error('Error reading categories:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read categories',
+            details: error.message
+        });
+    }
+});
+
+// GET /categories/:id - One category (by id or slug) with its subcategories and breadcrumb path
+router.get('/:id', requirePermission('products:read'), validate({ params: categoryParamSchema }), function (req, res, next) {
+    try {
+        const categories = readCategories();
+        const category = findCategory(categories, req.params.id);
+        if (!category) return categoryNotFound(res);
+
+        res.json({
+            success: true,
+            data: {
+                ...buildCategoryTree(categories, readProducts(), category.id),
+                path: ancestorPath(categories, category)
+            }
+        });
+    } catch (error) {
+        console.error('Error reading category:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read category',
+            details: error.message
+        });
+    }
+});
+
+// POST /categories - Create a category ({ name, slug?, parentId?, position? })
+router.post('/', requirePermission('categories:write'), validate({ body: categorySchema }), function (req, res, next) {
+    try {
+        const { name, parentId } = req.body;
+        const slug = req.body.slug || slugify(name);
+
+        const categories = readCategories();
+        if (!checkPlacement(res, categories, { slug, parentId })) return;
+
+        const now = new Date().toISOString();
+        const category = {
+            id: generateId(categories),
+            name,
+            slug,
+            parentId,
+            position: req.body.position !== undefined ? req.body.position : nextPosition(categories, parentId),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        categories.push(category);
+        writeCategories(categories);
+        recordAudit(req, {
+            action: 'categories.create',
+            target: { type: 'category', id: category.id },
+            details: { name, slug, parentId }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created successfully',
+            data: category
+        });
+    } catch (error) {
+        console.error('Error creating category:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create category',
+            details: error.message
+        });
+    }
+});
+
+// PUT /categories/:id - Rename, re-slug, move (parentId) or reorder (position) a category
+router.put('/:id', requirePermission('categories:write'), validate({ params: categoryParamSchema, body: categoryUpdateSchema }), function (req, res, next) {
+    try {
+        const categories = readCategories();
+        const category = findCategory(categories, req.params.id);
+        if (!category) return categoryNotFound(res);
+
+        const updated = { ...category, ...req.body };
+        if (!checkPlacement(res, categories, updated)) return;
+
+        // Moved without a position: goes to the end of its new siblings
+        if (updated.parentId !== category.parentId && req.body.position === undefined) {
+            updated.position = nextPosition(categories, updated.parentId);
+        }
+        updated.updatedAt = new Date().toISOString();
+
+        categories[categories.indexOf(category)] = updated;
+        writeCategories(categories);
+        recordAudit(req, {
+            action: 'categories.update',
+            target: { type: 'category', id: category.id },
+            details: {
+                before: { name: category.name, slug: category.slug, parentId: category.parentId, position: category.position },
+                after: { name: updated.name, slug: updated.slug, parentId: updated.parentId, position: updated.position }
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Category updated successfully',
+            data: updated
+        });
+    } catch (error) {
+        console.error('Error updating category:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update category',
+            details: error.message
+        });
+    }
+});
+
+// DELETE /categories/:id - Delete a category without subcategories; its products move up to the parent
+router.delete('/:id', requirePermission('categories:write'), validate({ params: categoryParamSchema }), function (req, res, next) {
+    try {
+        const categories = readCategories();
+        const category = findCategory(categories, req.params.id);
+        if (!category) return categoryNotFound(res);
+
+        if (categories.some(c => c.parentId === category.id)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Move or delete the subcategories first'
+            });
+        }
+
+        const products = readProducts();
+        let productsMoved = 0;
+        products.forEach(product => {
+            if (product.categoryId === category.id) {
+                product.categoryId = category.parentId;
+                productsMoved++;
+            }
+        });
+        if (productsMoved > 0) writeProducts(products);
+
+        writeCategories(categories.filter(c => c.id !== category.id));
+        recordAudit(req, {
+            action: 'categories.delete',
+            target: { type: 'category', id: category.id },
+            details: { name: category.name, slug: category.slug, productsMoved }
+        });
+
+        res.json({
+            success: true,
+            message: 'Category deleted successfully',
+            data: { ...category, productsMoved }
+        });
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete category',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
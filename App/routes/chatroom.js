@@ -1,35 +1,48 @@
 const express = require('express');
 const path = require('path');
-const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
+const { verifyAccessToken } = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
+const User = require('../config/database');
+const { readAccessCookie, matchesCsrfCookie } = require('../utilities/session-cookies');
 
 var router = express.Router();
 
 var previousMessages = [];
+var chatServer = null;
 
 /**
- * Web authentication middleware for chat page
+ * Web authentication middleware for chat page: a Bearer token or the session cookie.
+ * Visitors without a valid session go to the login page, which comes back here
+ * (after renewing an expired cookie session when it can).
  */
 function authenticateWebToken(req, res, next) {
-    const token = req.headers.authorization?.split(' ')[1]; // Bearer token
+    const token = req.headers.authorization?.split(' ')[1] || readAccessCookie(req);
+    const loginPage = '/login-page?next=' + encodeURIComponent(req.originalUrl);
     
     if (!token) {
-        return res.redirect('/login-page');
+        return res.redirect(loginPage);
     }
     
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (error) {
-        return res.redirect('/login-page');
-    }
+    verifyAccessToken(token)
+        .then((decoded) => {
+            req.user = decoded;
+            next();
+        })
+        .catch(() => res.redirect(loginPage));
 }
 
 // Serve the chat page (protected)
-router.get('/', function (req, res) {
+router.get('/', authenticateWebToken, function (req, res) {
     res.sendFile(path.join(__dirname, '../views/chat.html'));
 });
 
+// Name shown next to chat messages: the display name, else the part of the email before the @
+function chatName(user, email) {
+    if (user && user.displayName) return user.displayName;
+    return String(email || '').split('@')[0];
+}
+
 function setupChat(server) {
     const { Server } = require('socket.io');
     const io = new Server(server, {
@@ -39,21 +52,34 @@ function setupChat(server) {
         }
     });
     
-    // Socket.io authentication middleware
+    // Parse cookies of the handshake request (socket.request.cookies)
+    io.engine.use(cookieParser());
+
+    // Socket.io authentication middleware: a token in the handshake, or the session
+    // cookie together with the CSRF token so other sites cannot open a socket as the user
     io.use((socket, next) => {
-        const token = socket.handshake.auth.token;
+        let token = socket.handshake.auth.token;
+        const cookieToken = !token && readAccessCookie(socket.request);
+
+        if (cookieToken) {
+            if (!matchesCsrfCookie(socket.request.cookies, socket.handshake.auth.csrfToken)) {
+                return next(new Error('Invalid CSRF token'));
+            }
+            token = cookieToken;
+        }
         
         if (!token) {
             return next(new Error('Authentication required'));
         }
         
-        try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            socket.user = decoded;
-            next();
-        } catch (error) {
-            next(new Error('Invalid token'));
-        }
+        verifyAccessToken(token)
+            .then(async (decoded) => {
+                // Read the display name fresh so renames show up on the next connection
+                const user = await User.findById(decoded.userId).select('displayName');
+                socket.user = { ...decoded, chatName: chatName(user, decoded.email) };
+                next();
+            })
+            .catch((error) => next(new Error(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token')));
     });
     
     io.on('connection', (socket) => {
@@ -76,9 +102,9 @@ function setupChat(server) {
             const messageObj = {
                 id: Date.now(),
                 content: msg,
-                username: socket.user.email,
+                username: socket.user.chatName,
                 timestamp: new Date().toISOString(),
-                userId: socket.user.id
+                userId: socket.user.userId
             };
             
             // Add message to history
@@ -90,10 +116,55 @@ function setupChat(server) {
             // Keep only the last 50 messages
             clearMessages();
         });
+
+        // Moderators (chat:moderate) can remove any message for everyone
+        socket.on('delete message', (messageId) => {
+            if (!can(socket.user, 'chat:moderate')) {
+                return socket.emit('chat error', 'You are not allowed to delete messages');
+            }
+
+            const index = previousMessages.findIndex(m => m.id === messageId);
+            if (index === -1) return;
+
+            previousMessages.splice(index, 1);
+            console.log(`Message ${messageId} deleted by ${socket.user.email}`);
+            io.emit('message deleted', messageId);
+        });
     });
+    chatServer = io;
     return io;
 }
 
+/**
+ * Drop live chat connections whose token was just revoked.
+ * Pass a jti to end a single session or a userId to end all of a user's sessions.
+ */
+function disconnectSessions({ userId, jti }) {
+    if (!chatServer) return;
+    for (const socket of chatServer.sockets.sockets.values()) {
+        const sameSession = jti && socket.user.jti === jti;
+        const sameUser = userId && String(socket.user.userId) === String(userId);
+        if (sameSession || sameUser) {
+            socket.disconnect(true);
+        }
+    }
+}
+
+// Messages of a user still in the chat history (for the personal data export)
+function userMessages(userId) {
+    return previousMessages.filter(m => String(m.userId) === String(userId));
+}
+
+// Remove a user's messages from the history and from everyone's screen
+function removeUserMessages(userId) {
+    const removed = userMessages(userId);
+    previousMessages = previousMessages.filter(m => String(m.userId) !== String(userId));
+    if (chatServer) {
+        removed.forEach(m => chatServer.emit('message deleted', m.id));
+    }
+    return removed.length;
+}
+
 function clearMessages() {
     if (previousMessages.length > 50) {
         // Remove oldest messages, keep only the last 50
@@ -101,4 +172,4 @@ function clearMessages() {
     }
 }
 
-module.exports = { router, setupChat, authenticateWebToken };
\ No newline at end of file
+module.exports = { router, setupChat, authenticateWebToken, disconnectSessions, userMessages, removeUserMessages };
\ No newline at end of file
@@ -6,32 +6,28 @@
  */
 
 const express = require('express');
-const multer = require('multer');
 const path = require('path');
 const utilities = require('../utilities/utilities');
 
 const { 
-    securityMiddleware, 
-    generateId, 
     fileFilter, 
-    writeDocumentsData, 
     readDocuments 
 } = utilities;
+const { requirePermission, can } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { idParamSchema } = require('../schemas/validation');
+const { acceptSingleFile, saveDocumentRecord } = require('../utilities/uploads');
+const { recordAudit } = require('../utilities/audit-log');
 
 const router = express.Router();
 
 /**
- * Multer configuration for file uploads
+ * Upload handling for documents: images and audio up to 10MB
  */
-const UPLOAD_CONFIG = {
-    dest: '../data/uploads/',
+const acceptDocument = acceptSingleFile({
     fileFilter: fileFilter,
-    limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
-    }
-};
-
-const upload = multer(UPLOAD_CONFIG);
+    maxFileSizeMb: 10
+});
 
 
 /**
@@ -41,83 +37,36 @@ const upload = multer(UPLOAD_CONFIG);
  * @param {File} file - Document file to upload (max 10MB, images and audio only)
  * @returns {Object} Upload confirmation with file information
  */
-router.post('/send', securityMiddleware, (req, res, next) => {
-    upload.single('file')(req, res, (err) => {
-        if (err instanceof multer.MulterError) {
-            // Handle Multer-specific errors
-            if (err.code === 'LIMIT_FILE_SIZE') {
-                return res.status(400).json({
-                    success: false,
-                    error: 'File size exceeds the 10MB limit'
-                });
-            }
-            return res.status(400).json({
-                success: false,
-                error: err.message
-            });
-        } else if (err) {
-            // Handle other errors (including file filter errors)
-            return res.status(400).json({
-                success: false,
-                error: err.message
-            });
-        }
-        
-        try {
-            // Validate file upload
-            if (!req.file) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'No file uploaded'
-                });
-            }
-
-            // Read existing documents
-            const documents = readDocuments();
-
-            // Create new document record
-            const newDocument = {
-                id: generateId(documents),
-                originalName: req.file.originalname,
-                mimeType: req.file.mimetype,
-                size: req.file.size,
-                fileName: req.file.filename,
-                filePath: req.file.path,
-                userId: req.user.id,
-                uploadDate: new Date().toISOString(),
-            }
-
-            documents.push(newDocument);
-            writeDocumentsData(documents);
-
-            res.json({
-                success: true,
-                message: 'File uploaded successfully',
-                fileInfo: req.file
-            });
+router.post('/send', requirePermission('documents:write'), acceptDocument, (req, res, next) => {
+    try {
+        const document = saveDocumentRecord(req.file, req.user.userId);
+        recordAudit(req, {
+            action: 'documents.upload',
+            target: { type: 'document', id: document.id },
+            details: { name: document.originalName, mimeType: document.mimeType, size: document.size }
+        });
 
-        } catch (error) {
-            next(error);
-        }
-    });
+        res.json({
+            success: true,
+            message: 'File uploaded successfully',
+            fileInfo: req.file
+        });
+
+    } catch (error) {
+        next(error);
+    }
 });
 
-// GET /documents/:id - Retrieve a document by ID
-router.get('/:id', securityMiddleware, function(req, res, next) {
+// GET /documents/:id - Retrieve a document by ID (owner or documents:read:any)
+router.get('/:id', requirePermission('documents:read'), validate({ params: idParamSchema }), function(req, res, next) {
     try {
-        const documentId = parseInt(req.params.id);
-        
-        if (isNaN(documentId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid document ID'
-            });
-        }
+        const documentId = req.params.id;
 
         const documents = readDocuments();
         const document = documents.find(doc => doc.id === documentId);
 
-        if (!document) {
+        // Other users' documents are reported as missing rather than forbidden
+        if (!document || (document.userId !== String(req.user.userId) && !can(req.user, 'documents:read:any'))) {
             return res.status(404).json({
                 success: false,
                 error: 'Document not found'
@@ -146,11 +95,12 @@ router.get('/:id', securityMiddleware, function(req, res, next) {
 });
 
 // GET /documents - List all documents for the authenticated user
-router.get('/', securityMiddleware, function(req, res, next) {
+router.get('/', requirePermission('documents:read'), function(req, res, next) {
     try {
         const documents = readDocuments();
         const userDocuments = documents
-            .filter(doc => doc.userId === req.user.id)
+            // Avatars are managed through /me/avatar
+            .filter(doc => doc.userId === String(req.user.userId) && doc.purpose !== 'avatar')
             .map(doc => ({
                 id: doc.id,
                 originalName: doc.originalName,
@@ -1,17 +1,93 @@
 var express = require('express');
 var router = express.Router();
 const bcrypt = require('bcrypt')
-const jsonwebtoken = require('jsonwebtoken')
 const User = require('../config/database');
+const {
+    createSession,
+    signAccessToken,
+    rotateRefreshToken,
+    getAccessTokenTtl,
+    signTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    getTwoFactorChallengeTtl
+} = require('../utilities/tokens');
+const {
+    deliverSession,
+    clearSessionCookies,
+    readRefreshCookie,
+    hasValidCsrfToken
+} = require('../utilities/session-cookies');
+const { getUnverifiedLoginPolicy, isVerified } = require('../utilities/email-verification');
+const { accountThrottle, ipThrottle } = require('../utilities/login-throttle');
+const { isTwoFactorEnabled, verifySecondFactor } = require('../utilities/two-factor');
+const { recordAudit, actorFromUser } = require('../utilities/audit-log');
+const { validate } = require('../middleware/validate');
+const { userLoginSchema, twoFactorLoginSchema, refreshTokenSchema } = require('../schemas/validation');
 
-router.post('/', async function (req, res, next) {
-    try {
+// Every attempt is audited under the account it was made for, existing or not
+function auditLogin(req, outcome, { user, email, reason, step = 'password' }) {
+    recordAudit(req, {
+        action: 'auth.login',
+        outcome,
+        actor: user ? actorFromUser(user) : { userId: null, email: email || null, apiKeyId: null },
+        details: reason ? { step, reason } : { step }
+    });
+}
+
+// Counted against both the account and the client address
+async function recordLoginFailure(email, ip) {
+    await Promise.all([
+        accountThrottle.recordFailure(email),
+        ipThrottle.recordFailure(ip)
+    ]);
+}
+
+// Answers 429 and returns true while the account or the address is blocked
+async function rejectThrottled(accountKey, req, res, step = 'password') {
+    const retryAfter = Math.max(
+        await accountThrottle.retryAfter(accountKey),
+        await ipThrottle.retryAfter(req.ip)
+    );
+    if (retryAfter > 0) {
+        auditLogin(req, 'failure', { email: accountKey, reason: 'throttled', step });
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+            success: false,
+            message: `Too many failed login attempts, try again in ${retryAfter} seconds`
+        });
+        return true;
+    }
+    return false;
+}
 
+// With { "session": "cookie" } the tokens go into httpOnly cookies instead of the body
+function sendSession(req, res, user) {
+    res.status(200).json({
+        success: true,
+        ...deliverSession(req, res, createSession(user), { newCsrfToken: true }),
+        user: {
+            id: user._id,
+            email: user.email,
+            roles: user.roles,
+            verified: isVerified(user),
+            twoFactorEnabled: isTwoFactorEnabled(user)
+        }
+    })
+}
+
+// POST /login - Log in with email and password ({ email, password, session? })
+router.post('/', validate({ body: userLoginSchema }), async function (req, res, next) {
+    try {
         const { email, password } = req.body;
+        const accountKey = String(email || '').trim().toLowerCase();
+
+        if (await rejectThrottled(accountKey, req, res)) return;
 
         const user = await User.findOne({ email })
 
         if (!user) {
+            await recordLoginFailure(accountKey, req.ip);
+            auditLogin(req, 'failure', { email: accountKey, reason: 'unknown_email' });
             return res.status(401).json({
                 success: false,
                 message: "Invalid email or password"
@@ -21,24 +97,41 @@ router.post('/', async function (req, res, next) {
         const isValidPassword = await bcrypt.compare(password, user.password);
 
         if (isValidPassword) {
-            const token = jsonwebtoken.sign({
-                userId: user._id,
-                email: user.email,
-                roles: user.roles
-            },
-                process.env.JWT_SECRET
-            );
-            res.status(200).json({
-                success: true,
-                token: token,
-                user: {
-                    id: user._id,
-                    email: user.email,
-                    roles: user.roles
-                }
-            })
+            // Only revealed to someone who knows the password
+            if (user.disabled) {
+                auditLogin(req, 'failure', { user, reason: 'disabled' });
+                return res.status(403).json({
+                    success: false,
+                    message: "This account has been disabled"
+                });
+            }
+
+            if (!isVerified(user) && getUnverifiedLoginPolicy() === 'deny') {
+                auditLogin(req, 'failure', { user, reason: 'unverified' });
+                return res.status(403).json({
+                    success: false,
+                    message: "Please verify your email address before logging in"
+                });
+            }
+
+            // With 2FA the password only earns a challenge to exchange at /login/2fa;
+            // failed counters are kept until the code is right so codes cannot be guessed freely
+            if (isTwoFactorEnabled(user)) {
+                return res.status(200).json({
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: signTwoFactorChallenge(user),
+                    expiresIn: getTwoFactorChallengeTtl()
+                });
+            }
+
+            await accountThrottle.reset(accountKey);
+            auditLogin(req, 'success', { user });
+            sendSession(req, res, user);
         }
         else {
+            await recordLoginFailure(accountKey, req.ip);
+            auditLogin(req, 'failure', { user, reason: 'wrong_password' });
             return res.status(401).json({
                 success: false,
                 message: "Invalid password or email credentials"
@@ -54,4 +147,116 @@ router.post('/', async function (req, res, next) {
     }
 })
 
-module.exports = router;
\ No newline at end of file
+// POST /login/2fa - Second login step: exchange the challenge token and a TOTP or recovery code for a session
+router.post('/2fa', validate({ body: twoFactorLoginSchema }), async function (req, res, next) {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const challenge = verifyTwoFactorChallenge(challengeToken);
+        if (!challenge) {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid or expired challenge token, please log in again"
+            });
+        }
+
+        const user = await User.findById(challenge.userId);
+        if (!user || user.disabled || (user.tokenVersion || 0) !== (challenge.tv || 0) || !isTwoFactorEnabled(user)) {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid or expired challenge token, please log in again"
+            });
+        }
+
+        const accountKey = user.email.toLowerCase();
+        if (await rejectThrottled(accountKey, req, res, '2fa')) return;
+
+        if (!verifySecondFactor(user, { code, recoveryCode })) {
+            await recordLoginFailure(accountKey, req.ip);
+            auditLogin(req, 'failure', { user, reason: 'wrong_code', step: '2fa' });
+            return res.status(401).json({
+                success: false,
+                message: "Invalid two-factor code"
+            });
+        }
+
+        await user.save();
+        await accountThrottle.reset(accountKey);
+        auditLogin(req, 'success', { user, step: '2fa' });
+        sendSession(req, res, user);
+    }
+    catch (error) {
+        return res.status(500).json({
+            success: false,
+            error: "Error while processing your request",
+            details: error.message,
+        })
+    }
+})
+
+// POST /login/refresh - Trade a refresh token for a new access token and refresh token
+// (cookie sessions send no body; their refresh cookie is used and renewed instead)
+router.post('/refresh', validate({ body: refreshTokenSchema }), async function (req, res, next) {
+    try {
+        const cookieToken = !req.body.refreshToken && readRefreshCookie(req);
+        if (cookieToken) {
+            if (!hasValidCsrfToken(req)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Invalid or missing CSRF token'
+                });
+            }
+            req.cookieSession = true;
+        }
+
+        const rotation = rotateRefreshToken(req.body.refreshToken || cookieToken);
+
+        if (rotation.error) {
+            const errors = {
+                invalid: 'Invalid refresh token',
+                expired: 'Refresh token has expired',
+                reused: 'Refresh token was already used; all sessions from this login have been revoked'
+            };
+            if (req.cookieSession) clearSessionCookies(res);
+            return res.status(401).json({
+                success: false,
+                error: errors[rotation.error]
+            });
+        }
+
+        // Roles are read again so changes apply from the next refresh
+        const user = await User.findById(rotation.userId);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'User no longer exists'
+            });
+        }
+
+        if (user.disabled) {
+            return res.status(401).json({
+                success: false,
+                error: 'Account is disabled'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            ...deliverSession(req, res, {
+                token: signAccessToken(user),
+                refreshToken: rotation.refreshToken,
+                expiresIn: getAccessTokenTtl()
+            })
+        })
+    }
+    catch (error) {
+        return res.status(500).json({
+            success: false,
+            error: "Error while processing your request",
+            details: error.message,
+        })
+    }
+})
+
+module.exports = router;
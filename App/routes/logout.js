@@ -0,0 +1,60 @@
+var express = require('express');
+var router = express.Router();
+const User = require('../config/database');
+const { revokeAccessToken, revokeRefreshToken, revokeUserRefreshTokens } = require('../utilities/tokens');
+const { readRefreshCookie, clearSessionCookies } = require('../utilities/session-cookies');
+const { validate } = require('../middleware/validate');
+const { rejectApiKeyCaller } = require('../middleware/permissions');
+const { refreshTokenSchema } = require('../schemas/validation');
+const { disconnectSessions } = require('./chatroom');
+
+// Logging out revokes login sessions; an API key is revoked with DELETE /api-keys/:id instead
+router.use(rejectApiKeyCaller('log out'));
+
+// POST /logout - Revoke the token used for this request (and its refresh token, if sent)
+// Cookie sessions also lose their refresh cookie and have their cookies cleared
+router.post('/', validate({ body: refreshTokenSchema }), async function (req, res, next) {
+    try {
+        const refreshToken = req.body.refreshToken || (req.cookieSession && readRefreshCookie(req));
+        revokeAccessToken(req.user.jti, req.user.exp);
+        revokeRefreshToken(refreshToken, req.user.userId);
+        disconnectSessions({ jti: req.user.jti });
+        if (req.cookieSession) clearSessionCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    }
+    catch (error) {
+        return res.status(500).json({
+            success: false,
+            error: "Error while processing your request",
+            details: error.message,
+        })
+    }
+})
+
+// POST /logout/all - Revoke every access and refresh token of the current user
+router.post('/all', async function (req, res, next) {
+    try {
+        await User.findByIdAndUpdate(req.user.userId, { $inc: { tokenVersion: 1 } });
+        revokeUserRefreshTokens(req.user.userId);
+        disconnectSessions({ userId: req.user.userId });
+        if (req.cookieSession) clearSessionCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out from all sessions'
+        });
+    }
+    catch (error) {
+        return res.status(500).json({
+            success: false,
+            error: "Error while processing your request",
+            details: error.message,
+        })
+    }
+})
+
+module.exports = router;
@@ -0,0 +1,372 @@
+var express = require('express');
+var router = express.Router();
+const path = require('path');
+const fs = require('fs');
+const bcrypt = require('bcrypt');
+const User = require('../config/database');
+const { resolvePermissions } = require('../config/permissions');
+const { requirePermission, rejectApiKeyCaller } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const {
+    profileUpdateSchema,
+    passwordChangeSchema,
+    emailChangeSchema,
+    reauthenticationSchema,
+    accountDeletionSchema
+} = require('../schemas/validation');
+const { readDocuments } = require('../utilities/utilities');
+const { acceptSingleFile, imageFileFilter, saveDocumentRecord, deleteDocument } = require('../utilities/uploads');
+const {
+    createSession,
+    revokeUserRefreshTokens,
+    getAccountDeletionTtl,
+    signAccountDeletionToken,
+    verifyAccountDeletionToken
+} = require('../utilities/tokens');
+const { deliverSession } = require('../utilities/session-cookies');
+const { isVerified, sendEmailChangeConfirmation } = require('../utilities/email-verification');
+const { isTwoFactorEnabled, verifySecondFactor } = require('../utilities/two-factor');
+const { writeAccountArchive, eraseAccountData } = require('../utilities/account-data');
+const { disconnectSessions, userMessages, removeUserMessages } = require('./chatroom');
+
+const acceptAvatar = acceptSingleFile({
+    fileFilter: imageFileFilter,
+    maxFileSizeMb: 2
+});
+
+async function findCurrentUser(req, res) {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+        return null;
+    }
+    return user;
+}
+
+function toProfile(user) {
+    return {
+        id: user._id,
+        email: user.email,
+        displayName: user.displayName || null,
+        avatarUrl: user.avatarDocumentId ? '/me/avatar' : null,
+        roles: user.roles,
+        permissions: resolvePermissions(user.roles),
+        verified: isVerified(user),
+        pendingEmail: user.pendingEmail || null,
+        twoFactorEnabled: isTwoFactorEnabled(user),
+        createdAt: user.createdAt
+    };
+}
+
+// Exporting or deleting the account takes a login session; a leaked API key must not do either
+const requireLoginSession = rejectApiKeyCaller('export or delete your account');
+
+function lastAdminConflict(res) {
+    return res.status(409).json({
+        success: false,
+        error: 'The last active admin cannot delete their account'
+    });
+}
+
+function sendError(res, message, error) {
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message,
+        details: error.message
+    });
+}
+
+// GET /me - Your profile (also available to restricted tokens)
+router.get('/', async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        res.json({
+            success: true,
+            data: toProfile(user)
+        });
+    } catch (error) {
+        sendError(res, 'Failed to read profile', error);
+    }
+});
+
+// PATCH /me - Update your display name ({ "displayName": "Alice" }, null to clear it)
+router.patch('/', requirePermission(), validate({ body: profileUpdateSchema }), async function (req, res, next) {
+    try {
+        const { displayName } = req.body;
+
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        user.displayName = displayName || undefined;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Profile updated',
+            data: toProfile(user)
+        });
+    } catch (error) {
+        sendError(res, 'Failed to update profile', error);
+    }
+});
+
+// POST /me/password - Change your password; every other session is logged out
+router.post('/password', requirePermission(), rejectApiKeyCaller('change your password'), validate({ body: passwordChangeSchema }), async function (req, res, next) {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        if (!await bcrypt.compare(currentPassword, user.password)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Current password is incorrect'
+            });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+
+        revokeUserRefreshTokens(user._id);
+        disconnectSessions({ userId: String(user._id) });
+
+        // This client continues with a fresh session
+        res.json({
+            success: true,
+            message: 'Password changed; all other sessions have been logged out',
+            data: deliverSession(req, res, createSession(user))
+        });
+    } catch (error) {
+        sendError(res, 'Failed to change password', error);
+    }
+});
+
+// POST /me/email - Request an email change; it applies once the link sent to the new address is opened
+// (also available to unverified accounts, so a mistyped address can be corrected)
+router.post('/email', rejectApiKeyCaller('change your email'), validate({ body: emailChangeSchema }), async function (req, res, next) {
+    try {
+        const { newEmail, password } = req.body;
+
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        if (!await bcrypt.compare(password, user.password)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Password is incorrect'
+            });
+        }
+
+        const email = newEmail.toLowerCase();
+        if (email === user.email) {
+            return res.status(400).json({
+                success: false,
+                error: 'This is already your email address'
+            });
+        }
+
+        if (await User.findOne({ email })) {
+            return res.status(409).json({
+                success: false,
+                error: 'Email already exists'
+            });
+        }
+
+        await sendEmailChangeConfirmation(user, email);
+
+        res.status(202).json({
+            success: true,
+            message: `A confirmation link has been sent to ${email}; your address changes once it is opened`
+        });
+    } catch (error) {
+        sendError(res, 'Failed to request email change', error);
+    }
+});
+
+// PUT /me/avatar - Upload an avatar image (multipart field "file", max 2MB)
+router.put('/avatar', requirePermission(), acceptAvatar, async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) {
+            fs.rm(req.file.path, { force: true }, () => {});
+            return;
+        }
+
+        const document = saveDocumentRecord(req.file, user._id, { purpose: 'avatar' });
+        const previousId = user.avatarDocumentId;
+        user.avatarDocumentId = document.id;
+        await user.save();
+
+        if (previousId) deleteDocument(previousId);
+
+        res.json({
+            success: true,
+            message: 'Avatar updated',
+            data: toProfile(user)
+        });
+    } catch (error) {
+        sendError(res, 'Failed to update avatar', error);
+    }
+});
+
+// GET /me/avatar - Your avatar image
+router.get('/avatar', async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        const document = user.avatarDocumentId &&
+            readDocuments().find(doc => doc.id === user.avatarDocumentId);
+
+        if (!document || !fs.existsSync(document.filePath)) {
+            return res.status(404).json({
+                success: false,
+                error: 'No avatar set'
+            });
+        }
+
+        res.setHeader('Content-Type', document.mimeType);
+        res.sendFile(path.resolve(document.filePath));
+    } catch (error) {
+        sendError(res, 'Failed to read avatar', error);
+    }
+});
+
+// DELETE /me/avatar - Remove your avatar
+router.delete('/avatar', requirePermission(), async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        if (!user.avatarDocumentId) {
+            return res.status(404).json({
+                success: false,
+                error: 'No avatar set'
+            });
+        }
+
+        deleteDocument(user.avatarDocumentId);
+        user.avatarDocumentId = undefined;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Avatar removed',
+            data: toProfile(user)
+        });
+    } catch (error) {
+        sendError(res, 'Failed to remove avatar', error);
+    }
+});
+
+// GET /me/export - Download a zip archive of all your personal data
+// (also available to restricted tokens)
+router.get('/export', requireLoginSession, async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.attachment(`account-export-${date}.zip`);
+        await writeAccountArchive(user, res, { chatMessages: userMessages(user._id) });
+    } catch (error) {
+        if (res.headersSent) {
+            // Part of the archive is already on its way; all we can do is cut it off
+            console.error('Failed to export account data:', error);
+            return res.destroy();
+        }
+        sendError(res, 'Failed to export account data', error);
+    }
+});
+
+// POST /me/delete-request - Confirm your password (and 2FA code) to get a token for DELETE /me
+router.post('/delete-request', requireLoginSession, validate({ body: reauthenticationSchema }), async function (req, res, next) {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        if (!await bcrypt.compare(password, user.password)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Password is incorrect'
+            });
+        }
+
+        if (isTwoFactorEnabled(user)) {
+            if (!verifySecondFactor(user, { code, recoveryCode })) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid two-factor code'
+                });
+            }
+            await user.save();
+        }
+
+        if (await User.isLastActiveAdmin(user)) return lastAdminConflict(res);
+
+        res.json({
+            success: true,
+            message: 'Send the confirmationToken to DELETE /me to delete your account and personal data for good',
+            data: {
+                confirmationToken: signAccountDeletionToken(user),
+                expiresIn: getAccountDeletionTtl()
+            }
+        });
+    } catch (error) {
+        sendError(res, 'Failed to request account deletion', error);
+    }
+});
+
+// DELETE /me - Delete your account ({ "confirmationToken": "..." } from POST /me/delete-request).
+// Cart, documents, avatar, API keys, sessions and chat messages are removed; orders are anonymized.
+router.delete('/', requireLoginSession, validate({ body: accountDeletionSchema }), async function (req, res, next) {
+    try {
+        const confirmation = verifyAccountDeletionToken(req.body.confirmationToken);
+        if (!confirmation || String(confirmation.userId) !== String(req.user.userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid confirmationToken from POST /me/delete-request is required'
+            });
+        }
+
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        // Password changes and logouts everywhere invalidate pending confirmations
+        if ((user.tokenVersion || 0) !== (confirmation.tv || 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'The confirmationToken is no longer valid; request a new one'
+            });
+        }
+        if (await User.isLastActiveAdmin(user)) return lastAdminConflict(res);
+
+        const erased = eraseAccountData(user._id);
+        const chatMessages = removeUserMessages(user._id);
+        await User.deleteOne({ _id: user._id });
+        disconnectSessions({ userId: String(user._id) });
+
+        res.json({
+            success: true,
+            message: 'Your account and personal data have been deleted',
+            data: {
+                ...erased,
+                chatMessages: chatMessages
+            }
+        });
+    } catch (error) {
+        sendError(res, 'Failed to delete account', error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+var express = require('express');
+var router = express.Router();
+const { requirePermission, can } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const {
+    idParamSchema,
+    orderListQuerySchema,
+    orderStatusSchema,
+    orderCancelSchema,
+    paymentSchema
+} = require('../schemas/validation');
+const { readOrders, readUserOrders, canTransition, applyTransition, saveOrder } = require('../utilities/orders');
+const { payOrder, refundOrderPayment } = require('../utilities/payments');
+const { reserveStock, commitReservation, releaseReservation } = require('../utilities/inventory');
+
+// Other users' orders are reported as missing rather than forbidden, unless the
+// caller holds anyPermission (reading them is not enough to act on them)
+function findVisibleOrder(req, anyPermission = 'orders:read:any') {
+    const order = readOrders().find(o => o.id === req.params.id);
+    if (!order || (order.userId !== String(req.user.userId) && !can(req.user, anyPermission))) {
+        return null;
+    }
+    return order;
+}
+
+// GET /orders - List the caller's orders, newest first
+router.get('/', requirePermission('orders:read'), function (req, res, next) {
+    try {
+        const orders = readUserOrders(req.user.userId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        res.json({
+            success: true,
+            count: orders.length,
+            data: orders
+        });
+    } catch (error) {
+        console.error('Error reading orders:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read orders',
+            details: error.message
+        });
+    }
+});
+
+// GET /orders/all - List every order, optionally filtered by status (orders:read:any)
+router.get('/all', requirePermission('orders:read:any'), validate({ query: orderListQuerySchema }), function (req, res, next) {
+    try {
+        const { status } = req.query;
+
+        const orders = readOrders()
+            .filter(o => !status || o.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        res.json({
+            success: true,
+            count: orders.length,
+            data: orders
+        });
+    } catch (error) {
+        console.error('Error reading orders:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read orders',
+            details: error.message
+        });
+    }
+});
+
+// GET /orders/:id - Get a single order (owner or orders:read:any)
+router.get('/:id', requirePermission('orders:read'), validate({ params: idParamSchema }), function (req, res, next) {
+    try {
+        const order = findVisibleOrder(req);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        console.error('Error reading order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read order',
+            details: error.message
+        });
+    }
+});
+
+// POST /orders/:id/status - Move an order to a new status (orders:manage, or orders:refund for refunds)
+router.post('/:id/status', requirePermission('orders:read:any'), validate({ params: idParamSchema, body: orderStatusSchema }), async function (req, res, next) {
+    try {
+        const orderId = req.params.id;
+        const { status, note } = req.body;
+
+        // Support staff may refund without being able to ship or cancel orders
+        const requiredPermission = status === 'refunded' ? 'orders:refund' : 'orders:manage';
+        if (!can(req.user, requiredPermission)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                requiredPermissions: [requiredPermission]
+            });
+        }
+
+        const order = readOrders().find(o => o.id === orderId);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        if (!canTransition(order.status, status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Cannot move order from ${order.status} to ${status}`
+            });
+        }
+
+        // Refunds go back through the provider that captured the money
+        if (status === 'refunded') {
+            try {
+                await refundOrderPayment(order);
+            } catch (error) {
+                if (error.code !== 'REFUND_NOT_POSSIBLE') throw error;
+                return res.status(409).json({
+                    success: false,
+                    error: 'The payment provider cannot refund this payment',
+                    details: error.message
+                });
+            }
+        }
+
+        // A reservation that timed out is taken again, if the stock is still there
+        if (status === 'paid') {
+            const shortages = reserveStock(order);
+
+            if (shortages.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Some products do not have enough stock',
+                    details: shortages
+                });
+            }
+        }
+
+        applyTransition(order, status, req.user, note);
+        if (status === 'paid') commitReservation(order);
+        if (status === 'cancelled') releaseReservation(order);
+        saveOrder(order);
+
+        res.json({
+            success: true,
+            message: `Order marked as ${status}`,
+            data: order
+        });
+    } catch (error) {
+        console.error('Error updating order status:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update order status',
+            details: error.message
+        });
+    }
+});
+
+// POST /orders/:id/pay - Pay for one of your own pending orders
+router.post('/:id/pay', requirePermission('orders:write'), validate({ params: idParamSchema, body: paymentSchema }), async function (req, res, next) {
+    try {
+        const { card } = req.body;
+
+        const order = findVisibleOrder(req, 'orders:manage');
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        if (order.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                error: 'Only pending orders can be paid'
+            });
+        }
+
+        // A reservation that timed out is taken again, if the stock is still there
+        const shortages = reserveStock(order);
+
+        if (shortages.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some products do not have enough stock',
+                details: shortages
+            });
+        }
+
+        const { outcome } = await payOrder(order, card);
+        saveOrder(order);
+
+        if (outcome === 'declined') {
+            return res.status(402).json({
+                success: false,
+                error: 'Payment declined',
+                details: order.payment.reason,
+                data: order
+            });
+        }
+
+        if (outcome === 'timeout') {
+            return res.status(504).json({
+                success: false,
+                error: 'Payment provider timed out',
+                data: order
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Order paid successfully',
+            data: order
+        });
+    } catch (error) {
+        console.error('Error paying order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to pay order',
+            details: error.message
+        });
+    }
+});
+
+// POST /orders/:id/cancel - Cancel one of your own orders while it is still pending
+router.post('/:id/cancel', requirePermission('orders:write'), validate({ params: idParamSchema, body: orderCancelSchema }), function (req, res, next) {
+    try {
+        const order = findVisibleOrder(req, 'orders:manage');
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        if (order.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                error: 'Only pending orders can be cancelled'
+            });
+        }
+
+        applyTransition(order, 'cancelled', req.user, req.body.reason);
+        releaseReservation(order);
+        saveOrder(order);
+
+        res.json({
+            success: true,
+            message: 'Order cancelled successfully',
+            data: order
+        });
+    } catch (error) {
+        console.error('Error cancelling order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel order',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+var express = require('express');
+var router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const User = require('../config/database');
+const { hashToken, revokeUserRefreshTokens } = require('../utilities/tokens');
+const { sendMail, buildAppUrl } = require('../utilities/mailer');
+const { validate } = require('../middleware/validate');
+const { emailSchema, passwordResetSchema } = require('../schemas/validation');
+
+const getResetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// POST /password/forgot - Email a single-use reset link
+router.post('/forgot', validate({ body: emailSchema }), async function (req, res, next) {
+    try {
+        const { email } = req.body;
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        if (user) {
+            const token = crypto.randomBytes(32).toString('hex');
+            user.passwordResetTokenHash = hashToken(token);
+            user.passwordResetExpires = new Date(Date.now() + getResetTtlMinutes() * 60 * 1000);
+            await user.save();
+
+            await sendMail({
+                to: user.email,
+                subject: 'Reset your password',
+                text: [
+                    'Someone asked to reset the password for this account.',
+                    `Open this link within ${getResetTtlMinutes()} minutes to choose a new one:`,
+                    buildAppUrl(`/reset-password-page?token=${token}`),
+                    '',
+                    'If this was not you, you can ignore this email.'
+                ].join('\n')
+            });
+        }
+
+        // Same answer whether or not the account exists, so emails cannot be probed
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for this email, a reset link has been sent'
+        });
+    }
+    catch (error) {
+        return res.status(500).json({
+            success: false,
+            error: 'Error while processing your request',
+            details: error.message,
+        })
+    }
+})
+
+// POST /password/reset - Set a new password with a reset token
+router.post('/reset', validate({ body: passwordResetSchema }), async function (req, res, next) {
+    try {
+        const { token, password } = req.body;
+
+        const user = await User.findOne({
+            passwordResetTokenHash: hashToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: 'Reset token is invalid or has expired'
+            });
+        }
+
+        user.password = await bcrypt.hash(password, 10);
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpires = undefined;
+        // Whoever knew the old password is logged out everywhere
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+        revokeUserRefreshTokens(user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset, you can now log in'
+        });
+    }
+    catch (error) {
+        return res.status(500).json({
+            success: false,
+            error: 'Error while processing your request',
+            details: error.message,
+        })
+    }
+})
+
+module.exports = router;
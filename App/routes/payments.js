@@ -0,0 +1,68 @@
+var express = require('express');
+var router = express.Router();
+const { readOrders, saveOrder } = require('../utilities/orders');
+const { getPaymentProvider, applyWebhookEvent, findWebhookOrder } = require('../utilities/payments');
+const { validate } = require('../middleware/validate');
+const { providerParamSchema } = require('../schemas/validation');
+
+// POST /payments/webhook/:provider - Signed status callbacks from a payment provider
+// (only the path is validated: the body is the provider's own format and is checked against its signature)
+router.post('/webhook/:provider', validate({ params: providerParamSchema }), function (req, res, next) {
+    try {
+        let provider;
+        try {
+            provider = getPaymentProvider(req.params.provider);
+        } catch (error) {
+            return res.status(404).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        if (!provider.webhooksEnabled()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Webhooks are not configured for this provider'
+            });
+        }
+
+        // The signature covers the exact bytes that were sent, not the parsed body
+        if (!provider.verifyWebhook(req.rawBody, req.headers['x-payment-signature'])) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid webhook signature'
+            });
+        }
+
+        const event = provider.parseWebhookEvent(req.rawBody);
+        const order = findWebhookOrder(readOrders(), event, provider);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'No order matches this transaction'
+            });
+        }
+
+        const updated = applyWebhookEvent(order, event, provider);
+        if (updated) {
+            saveOrder(order);
+        }
+
+        res.json({
+            success: true,
+            updated,
+            orderId: order.id,
+            status: order.status
+        });
+    } catch (error) {
+        console.error('Error handling payment webhook:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process webhook',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
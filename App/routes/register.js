@@ -3,39 +3,108 @@ var router = express.Router()
 
 const bcrypt = require('bcrypt')
 const User = require('../config/database');
+const { hashToken } = require('../utilities/tokens');
+const { sendVerificationEmail, secondsUntilResendAllowed, isVerified } = require('../utilities/email-verification');
+const {
+    getRegistrationMode,
+    claimInvitation,
+    releaseInvitation,
+    recordInvitationUse
+} = require('../utilities/invitations');
+const { recordAudit, actorFromUser } = require('../utilities/audit-log');
+const { validate } = require('../middleware/validate');
+const { userRegistrationSchema, tokenQuerySchema, emailSchema } = require('../schemas/validation');
 
+const INVITATION_ERRORS = {
+    invalid: 'Invitation code is invalid',
+    revoked: 'Invitation has been revoked',
+    expired: 'Invitation has expired',
+    used: 'Invitation has already been used',
+    email: 'Invitation was issued for a different email address'
+};
 
-router.post('/', async function (req, res, next) {
-    const { email, password, roles } = req.body;
+// POST /register - Create an account ({ email, password, invitationCode? })
+// With REGISTRATION_MODE=invite the invitation code is required
+router.post('/', validate({ body: userRegistrationSchema }), async function (req, res, next) {
+    const { email, password, invitationCode } = req.body;
     const existingUser = await User.findOne({ email })
     const hashedPassword = await bcrypt.hash(password, 10);
 
     try {
+        const auditFailure = (reason) => recordAudit(req, {
+            action: 'auth.register',
+            outcome: 'failure',
+            actor: { userId: null, email, apiKeyId: null },
+            details: { reason }
+        });
+
+        if (!invitationCode && getRegistrationMode() === 'invite') {
+            auditFailure('invitation_required');
+            return res.status(403).json({
+                success: false,
+                message: 'Registration is by invitation only'
+            });
+        }
+
+        // Checked before anything else so private instances do not reveal which emails exist.
+        // The use is taken now and given back if the account is not created.
+        let invitation = null;
+        if (invitationCode) {
+            const claim = claimInvitation(invitationCode, email);
+            if (claim.error) {
+                auditFailure(`invitation_${claim.error}`);
+                return res.status(400).json({
+                    success: false,
+                    message: INVITATION_ERRORS[claim.error]
+                });
+            }
+            invitation = claim.invitation;
+        }
+        const releaseClaim = () => invitation && releaseInvitation(invitation.id);
+
         if (existingUser) {
+            releaseClaim();
+            auditFailure('email_exists');
             return res.status(409).json({
                 success: false,
                 message: 'Email already exists'
             })
         }
 
-        if (!password || password.trim().length < 8) {
-            return res.status(422).json({
-                success: false,
-                message: 'Password must be at least 8 characters long'
-            });
-        }
-
         const newUser = new User({
-            email: email.trim(),
+            email,
             password: hashedPassword,
-            roles: ['user']
+            roles: invitation ? [...new Set(['user', invitation.role])] : ['user'],
+            verified: false
         });
-        await newUser.save();
+        try {
+            await newUser.save();
+        } catch (saveError) {
+            releaseClaim();
+            throw saveError;
+        }
+        if (invitation) recordInvitationUse(invitation.id, newUser);
+        recordAudit(req, {
+            action: 'auth.register',
+            actor: actorFromUser(newUser),
+            target: { type: 'user', id: String(newUser._id) },
+            details: { roles: newUser.roles, invitationId: invitation ? invitation.id : null }
+        });
+
+        // The account exists either way; a failed mail can be retried via /register/resend-verification
+        let verificationEmailSent = true;
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            console.error('Error sending verification email:', mailError);
+            verificationEmailSent = false;
+        }
 
         res.status(201).json({
             success: true,
             message: 'Added user',
-            data: `User n°${newUser.id}, email: ${newUser.email} with roles: ${newUser.roles} was created`
+            data: `User n°${newUser.id}, email: ${newUser.email} with roles: ${newUser.roles} was created`,
+            verificationEmailSent
         })
     }
     catch (error) {
@@ -47,4 +116,123 @@ router.post('/', async function (req, res, next) {
     }
 })
 
+// GET /register/verify?token=... - Confirm an email address from the emailed link
+router.get('/verify', validate({ query: tokenQuerySchema }), async function (req, res, next) {
+    try {
+        const { token } = req.query;
+
+        const user = await User.findOne({
+            emailVerificationTokenHash: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+
+        user.verified = true;
+        user.emailVerificationTokenHash = undefined;
+        user.emailVerificationExpires = undefined;
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified, please log in again to get full access'
+        })
+    }
+    catch (error) {
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to verify email',
+            error: error.message
+        })
+    }
+})
+
+// GET /register/confirm-email?token=... - Switch to the new email address requested via /me/email
+router.get('/confirm-email', validate({ query: tokenQuerySchema }), async function (req, res, next) {
+    try {
+        const { token } = req.query;
+
+        const user = await User.findOne({
+            emailChangeTokenHash: hashToken(token),
+            emailChangeExpires: { $gt: new Date() }
+        });
+
+        if (!user || !user.pendingEmail) {
+            return res.status(400).json({
+                success: false,
+                message: 'Confirmation link is invalid or has expired'
+            });
+        }
+
+        // The address may have been registered by someone else in the meantime
+        const taken = await User.findOne({ email: user.pendingEmail });
+        if (taken) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email already exists'
+            });
+        }
+
+        user.email = user.pendingEmail;
+        user.verified = true;
+        user.pendingEmail = undefined;
+        user.emailChangeTokenHash = undefined;
+        user.emailChangeExpires = undefined;
+        // Access tokens carry the old address; refreshing issues ones with the new address
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: `Your email address is now ${user.email}`
+        })
+    }
+    catch (error) {
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to confirm email change',
+            error: error.message
+        })
+    }
+})
+
+// POST /register/resend-verification - Send a new verification link (throttled per account)
+router.post('/resend-verification', validate({ body: emailSchema }), async function (req, res, next) {
+    try {
+        const { email } = req.body;
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        if (user && !isVerified(user)) {
+            const retryAfter = secondsUntilResendAllowed(user);
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: `Please wait ${retryAfter} seconds before requesting another email`
+                });
+            }
+            await sendVerificationEmail(user);
+        }
+
+        // Same answer for unknown and already verified accounts
+        res.status(200).json({
+            success: true,
+            message: 'If this account is awaiting verification, a new link has been sent'
+        })
+    }
+    catch (error) {
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to resend verification email',
+            error: error.message
+        })
+    }
+})
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,235 @@
+var express = require('express');
+var router = express.Router();
+const bcrypt = require('bcrypt');
+const User = require('../config/database');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utilities/totp');
+const {
+    isTwoFactorEnabled,
+    isTwoFactorRequired,
+    generateRecoveryCodes,
+    verifySecondFactor
+} = require('../utilities/two-factor');
+const { createSession, revokeUserRefreshTokens } = require('../utilities/tokens');
+const { deliverSession } = require('../utilities/session-cookies');
+const { validate } = require('../middleware/validate');
+const { rejectApiKeyCaller } = require('../middleware/permissions');
+const { twoFactorCodeSchema, reauthenticationSchema } = require('../schemas/validation');
+const { disconnectSessions } = require('./chatroom');
+
+// These routes deliberately skip securityMiddleware: accounts that must enroll
+// hold a restricted token and still need to reach them.
+// They do take a login session: /2fa/confirm mints one, and a key must not change the second factor.
+router.use(rejectApiKeyCaller('manage two-factor authentication'));
+
+async function findCurrentUser(req, res) {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+        return null;
+    }
+    return user;
+}
+
+function invalidCode(res) {
+    return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code'
+    });
+}
+
+// GET /2fa - Two-factor status of the current account
+router.get('/', async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        res.json({
+            success: true,
+            data: {
+                enabled: isTwoFactorEnabled(user),
+                required: isTwoFactorRequired(user),
+                recoveryCodesRemaining: (user.twoFactorRecoveryCodeHashes || []).length
+            }
+        });
+    } catch (error) {
+        console.error('Error reading 2FA status:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read two-factor status',
+            details: error.message
+        });
+    }
+});
+
+// POST /2fa/setup - Start enrollment: returns a new secret and its otpauth:// URI
+router.post('/setup', async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        if (isTwoFactorEnabled(user)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        // Calling setup again replaces a secret that was never confirmed
+        const secret = generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Add the secret to your authenticator app, then confirm with a code',
+            data: {
+                secret: secret,
+                otpauthUri: buildOtpauthUri(secret, user.email)
+            }
+        });
+    } catch (error) {
+        console.error('Error starting 2FA setup:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start two-factor setup',
+            details: error.message
+        });
+    }
+});
+
+// POST /2fa/confirm - Finish enrollment with a first code; returns recovery codes and a new session
+router.post('/confirm', validate({ body: twoFactorCodeSchema }), async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        if (!user.twoFactorPendingSecret) {
+            return res.status(409).json({
+                success: false,
+                error: 'No two-factor setup in progress, call /2fa/setup first'
+            });
+        }
+
+        const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+        if (step === null) return invalidCode(res);
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorRecoveryCodeHashes = hashes;
+        user.twoFactorLastUsedStep = step;
+        // Sessions opened with the password alone end here
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+
+        revokeUserRefreshTokens(user._id);
+        disconnectSessions({ userId: String(user._id) });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+            data: {
+                recoveryCodes: codes,
+                ...deliverSession(req, res, createSession(user))
+            }
+        });
+    } catch (error) {
+        console.error('Error confirming 2FA setup:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to confirm two-factor setup',
+            details: error.message
+        });
+    }
+});
+
+// POST /2fa/recovery-codes - Replace all recovery codes (requires a current code)
+router.post('/recovery-codes', validate({ body: twoFactorCodeSchema }), async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        if (!isTwoFactorEnabled(user)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!verifySecondFactor(user, { code: req.body.code })) return invalidCode(res);
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorRecoveryCodeHashes = hashes;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated; the previous ones no longer work',
+            data: { recoveryCodes: codes }
+        });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to regenerate recovery codes',
+            details: error.message
+        });
+    }
+});
+
+// POST /2fa/disable - Turn 2FA off (requires the password and a code or recovery code)
+router.post('/disable', validate({ body: reauthenticationSchema }), async function (req, res, next) {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+
+        if (!isTwoFactorEnabled(user)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (isTwoFactorRequired(user)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Two-factor authentication is mandatory for your role'
+            });
+        }
+
+        const { password, code, recoveryCode } = req.body;
+        if (!await bcrypt.compare(password, user.password)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid password'
+            });
+        }
+
+        if (!verifySecondFactor(user, { code, recoveryCode })) return invalidCode(res);
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorRecoveryCodeHashes = undefined;
+        user.twoFactorLastUsedStep = undefined;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Error disabling 2FA:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to disable two-factor authentication',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+var express = require('express');
+var router = express.Router();
+const { getJwks } = require('../utilities/jwt-keys');
+
+// GET /.well-known/jwks.json - Public keys that verify the tokens this app issues (public)
+router.get('/jwks.json', function (req, res, next) {
+    try {
+        // Short enough that verifiers see a newly added key soon after a rotation
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json(getJwks());
+    } catch (error) {
+        console.error('Error building JWKS:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load signing keys',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,91 @@
 const Joi = require('joi');
+const { ROLES, isKnownPermission } = require('../config/permissions');
+const { ORDER_STATUSES } = require('../utilities/orders');
+const { PRODUCT_SORTS } = require('../utilities/product-listing');
+
+/**
+ * Building blocks shared by several schemas
+ */
+const emailField = Joi.string()
+    .trim()
+    .email()
+    .max(254)
+    .messages({
+        'string.email': 'Please provide a valid email address',
+        'string.empty': 'Email is required',
+        'any.required': 'Email is required'
+    });
+
+// New passwords: registration, password reset and password change
+const passwordField = Joi.string()
+    .min(8)
+    .max(128)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'string.max': 'Password cannot exceed 128 characters',
+        'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, and one digit',
+        'any.required': 'Password is required'
+    });
+
+// Opaque tokens and codes handed out by the server (refresh tokens, challenge tokens, links)
+const tokenField = Joi.string().trim().max(4096);
+
+// A TOTP code or a recovery code, whichever the account holder has at hand
+const secondFactorFields = {
+    code: Joi.string().trim().max(20),
+    recoveryCode: Joi.string().trim().max(50)
+};
+
+const pageField = Joi.number().integer().min(1).default(1);
+
+// Catalog organization: products point at one category and carry any number of tags
+const categoryIdField = Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .messages({
+        'number.base': 'Category ID must be a number'
+    });
+
+const tagField = Joi.string().trim().min(1).max(30);
+
+const tagsField = Joi.array()
+    .items(tagField)
+    .max(20)
+    .messages({
+        'array.max': 'A product can have at most 20 tags'
+    });
+
+// Units on hand; null stops tracking stock for the product
+const stockField = Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+        'number.base': 'Stock must be a number',
+        'number.integer': 'Stock must be a whole number',
+        'number.min': 'Stock cannot be negative'
+    });
+
+const lowStockThresholdField = Joi.number().integer().min(0).allow(null);
+
+const slugField = Joi.string()
+    .trim()
+    .lowercase()
+    .max(60)
+    // At least one letter, so a slug can never be mistaken for an id
+    .pattern(/^(?=.*[a-z])[a-z0-9]+(-[a-z0-9]+)*$/)
+    .messages({
+        'string.pattern.base': 'slug may only contain lowercase letters, digits and single hyphens, and needs a letter'
+    });
 
 /**
  * Product validation schemas
  */
 const productSchema = Joi.object({
     name: Joi.string()
+        .trim()
         .min(1)
         .max(100)
         .required()
@@ -22,11 +103,16 @@ const productSchema = Joi.object({
             'number.base': 'Price must be a number',
             'number.positive': 'Price must be a positive number',
             'any.required': 'Price is required'
-        })
+        }),
+    categoryId: categoryIdField,
+    tags: tagsField,
+    stock: stockField,
+    lowStockThreshold: lowStockThresholdField
 });
 
 const productUpdateSchema = Joi.object({
     name: Joi.string()
+        .trim()
         .min(1)
         .max(100)
         .optional()
@@ -42,9 +128,139 @@ const productUpdateSchema = Joi.object({
         .messages({
             'number.base': 'Price must be a number',
             'number.positive': 'Price must be a positive number'
-        })
+        }),
+    categoryId: categoryIdField,
+    tags: tagsField,
+    stock: stockField,
+    lowStockThreshold: lowStockThresholdField
 }).min(1).messages({
-    'object.min': 'At least one field (name or price) must be provided for update'
+    'object.min': 'At least one product field must be provided for update'
+});
+
+// GET /articles; page and cursor are two ways of saying where to start, so only one may be given
+const productListQuerySchema = Joi.object({
+    page: Joi.number().integer().min(1),
+    cursor: Joi.string().max(500),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sort: Joi.string()
+        .valid(...PRODUCT_SORTS)
+        .default('id')
+        .messages({
+            'any.only': `sort must be one of ${PRODUCT_SORTS.join(', ')}`
+        }),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number()
+        .min(0)
+        .when('minPrice', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minPrice')) })
+        .messages({
+            'number.min': 'maxPrice must be at least minPrice and not negative'
+        }),
+    createdAfter: Joi.date(),
+    createdBefore: Joi.date(),
+    // id or slug; subcategories are included
+    category: Joi.string().trim().max(60),
+    // ?tag=a&tag=b finds products carrying both
+    tag: Joi.array().items(tagField).single().max(10)
+}).oxor('page', 'cursor').messages({
+    'object.oxor': 'Use either page or cursor, not both'
+});
+
+const productSearchQuerySchema = Joi.object({
+    q: Joi.string()
+        .trim()
+        .min(1)
+        .max(200)
+        .required()
+        .messages({
+            'string.empty': 'A search query is required',
+            'any.required': 'A search query is required'
+        }),
+    page: pageField,
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+/**
+ * Category validation schemas
+ */
+const categorySchema = Joi.object({
+    name: Joi.string()
+        .trim()
+        .min(1)
+        .max(60)
+        .required()
+        .messages({
+            'string.empty': 'Category name cannot be empty',
+            'any.required': 'Category name is required'
+        }),
+    slug: slugField,
+    parentId: categoryIdField.default(null),
+    position: Joi.number().integer().min(0)
+});
+
+const categoryUpdateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(60),
+    slug: slugField,
+    parentId: categoryIdField,
+    position: Joi.number().integer().min(0)
+}).min(1).messages({
+    'object.min': 'At least one field (name, slug, parentId or position) must be provided for update'
+});
+
+// Categories are addressed by id or by slug
+const categoryParamSchema = Joi.object({
+    id: Joi.string().max(60).required()
+});
+
+/**
+ * Product variant validation schemas
+ */
+// SKUs are stored upper-case, so "ph-128-blk" and "PH-128-BLK" are the same SKU
+const skuField = Joi.string()
+    .trim()
+    .uppercase()
+    .max(64)
+    .pattern(/^[A-Z0-9][A-Z0-9._-]*$/)
+    .messages({
+        'string.empty': 'SKU cannot be empty',
+        'string.pattern.base': 'SKU may only contain letters, digits, dots, dashes and underscores',
+        'any.required': 'SKU is required'
+    });
+
+// Option name -> value, e.g. { "storage": "128GB", "colour": "Black" }
+const variantOptionsField = Joi.object()
+    .pattern(Joi.string().trim().min(1).max(30), Joi.string().trim().min(1).max(50))
+    .min(1)
+    .max(5)
+    .messages({
+        'object.min': 'A variant needs at least one option value',
+        'object.max': 'A variant cannot have more than 5 options',
+        'any.required': 'Option values are required'
+    });
+
+// null means the variant sells at the product's price
+const variantPriceField = Joi.number()
+    .positive()
+    .precision(2)
+    .allow(null)
+    .messages({
+        'number.base': 'Price must be a number',
+        'number.positive': 'Price must be a positive number'
+    });
+
+const variantSchema = Joi.object({
+    sku: skuField.required(),
+    options: variantOptionsField.required(),
+    price: variantPriceField.default(null),
+    stock: stockField.default(null)
+});
+
+const variantUpdateSchema = Joi.object({
+    sku: skuField,
+    options: variantOptionsField,
+    price: variantPriceField,
+    stock: stockField
+}).min(1).messages({
+    'object.min': 'At least one variant field (sku, options, price or stock) must be provided for update'
 });
 
 /**
@@ -61,6 +277,15 @@ const cartItemSchema = Joi.object({
             'number.positive': 'Product ID must be positive',
             'any.required': 'Product ID is required'
         }),
+    // Required for products that have variants
+    variantId: Joi.number()
+        .integer()
+        .positive()
+        .messages({
+            'number.base': 'Variant ID must be a number',
+            'number.integer': 'Variant ID must be an integer',
+            'number.positive': 'Variant ID must be positive'
+        }),
     quantity: Joi.number()
         .integer()
         .min(1)
@@ -94,50 +319,182 @@ const cartUpdateSchema = Joi.object({
  * User authentication validation schemas
  */
 const userRegistrationSchema = Joi.object({
-    email: Joi.string()
-        .email()
-        .required()
-        .messages({
-            'string.email': 'Please provide a valid email address',
-            'any.required': 'Email is required'
-        }),
-    password: Joi.string()
-        .min(8)
-        .max(128)
-        .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-        .required()
-        .messages({
-            'string.min': 'Password must be at least 8 characters long',
-            'string.max': 'Password cannot exceed 128 characters',
-            'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, and one digit',
-            'any.required': 'Password is required'
-        }),
+    email: emailField.required(),
+    password: passwordField.required(),
     roles: Joi.array()
         .items(Joi.string().valid('user', 'admin'))
         .optional()
         .default(['user'])
         .messages({
             'array.includes': 'Roles must be one of: user, admin'
-        })
+        }),
+    invitationCode: Joi.string().trim().max(100)
 });
 
 const userLoginSchema = Joi.object({
-    email: Joi.string()
-        .email()
-        .required()
-        .messages({
-            'string.email': 'Please provide a valid email address',
-            'any.required': 'Email is required'
-        }),
+    email: emailField.required(),
     password: Joi.string()
         .min(1)
         .required()
         .messages({
             'string.empty': 'Password cannot be empty',
             'any.required': 'Password is required'
+        }),
+    // Browser pages ask for the tokens to be kept in httpOnly cookies
+    session: Joi.string().valid('cookie')
+});
+
+const twoFactorLoginSchema = Joi.object({
+    challengeToken: tokenField.required(),
+    ...secondFactorFields
+});
+
+// /login/refresh and /logout; cookie sessions send no body
+const refreshTokenSchema = Joi.object({
+    refreshToken: tokenField
+});
+
+const emailSchema = Joi.object({
+    email: emailField.required()
+});
+
+const tokenQuerySchema = Joi.object({
+    token: tokenField.required()
+});
+
+const passwordResetSchema = Joi.object({
+    token: tokenField.required(),
+    password: passwordField.required()
+});
+
+/**
+ * Profile (/me) and two-factor validation schemas
+ */
+const profileUpdateSchema = Joi.object({
+    displayName: Joi.string()
+        .trim()
+        .max(50)
+        .pattern(/^[^\u0000-\u001f<>]*$/)
+        .allow(null, '')
+        .required()
+        .messages({
+            'string.max': 'displayName must be at most 50 characters',
+            'string.pattern.base': 'displayName cannot contain < or >'
         })
 });
 
+const passwordChangeSchema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: passwordField.required()
+});
+
+const emailChangeSchema = Joi.object({
+    newEmail: emailField.required(),
+    password: Joi.string().required()
+});
+
+// Re-authentication for sensitive changes (account deletion, turning 2FA off)
+const reauthenticationSchema = Joi.object({
+    password: Joi.string().required(),
+    ...secondFactorFields
+});
+
+const accountDeletionSchema = Joi.object({
+    confirmationToken: tokenField.required()
+});
+
+const twoFactorCodeSchema = Joi.object({
+    code: secondFactorFields.code.required()
+});
+
+/**
+ * API key and admin validation schemas
+ */
+const apiKeySchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    permissions: Joi.array()
+        .items(Joi.string().custom((value, helpers) =>
+            isKnownPermission(value) ? value : helpers.message(`${value} is not a known permission`)))
+        .min(1),
+    expiresInDays: Joi.number().integer().min(1).max(365).allow(null)
+});
+
+const userListQuerySchema = Joi.object({
+    q: Joi.string().trim().max(100).allow(''),
+    role: Joi.string().valid(...ROLES),
+    disabled: Joi.boolean(),
+    page: pageField,
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const userDisableSchema = Joi.object({
+    reason: Joi.string().trim().max(500).allow('')
+});
+
+const roleSchema = Joi.object({
+    role: Joi.string().valid(...ROLES).required()
+});
+
+const invitationSchema = Joi.object({
+    maxUses: Joi.number().integer().min(1).max(1000).allow(null).default(1),
+    expiresInDays: Joi.number().integer().min(1).max(365).allow(null),
+    role: Joi.string().valid(...ROLES).default('user'),
+    email: emailField.allow(null),
+    note: Joi.string().trim().max(200).allow(null, '')
+});
+
+const invitationListQuerySchema = Joi.object({
+    status: Joi.string().valid('active', 'used', 'expired', 'revoked')
+});
+
+const auditQuerySchema = Joi.object({
+    action: Joi.string().trim().max(100),
+    outcome: Joi.string().valid('success', 'failure'),
+    actor: Joi.string().trim().max(254),
+    targetType: Joi.string().trim().max(50),
+    targetId: Joi.string().trim().max(100),
+    ip: Joi.string().trim().max(100),
+    from: Joi.date(),
+    to: Joi.date(),
+    page: pageField,
+    limit: Joi.number().integer().min(1).max(500).default(50),
+    format: Joi.string().valid('json', 'csv').default('json')
+});
+
+const inventoryQuerySchema = Joi.object({
+    lowStock: Joi.boolean()
+});
+
+/**
+ * Order and checkout validation schemas
+ */
+const cardField = Joi.string().trim().max(30).messages({
+    'any.required': 'A card number is required'
+});
+
+const checkoutSchema = Joi.object({
+    payment: Joi.object({
+        card: cardField.required()
+    })
+});
+
+const paymentSchema = Joi.object({
+    card: cardField.required()
+});
+
+const orderStatusSchema = Joi.object({
+    status: Joi.string().valid(...ORDER_STATUSES).required(),
+    note: Joi.string().trim().max(500).allow('')
+});
+
+const orderCancelSchema = Joi.object({
+    reason: Joi.string().trim().max(500).allow('')
+});
+
+const orderListQuerySchema = Joi.object({
+    status: Joi.string().valid(...ORDER_STATUSES)
+});
+
 /**
  * ID parameter validation
  */
@@ -154,6 +511,37 @@ const idParamSchema = Joi.object({
         })
 });
 
+// Accounts are MongoDB documents
+const objectIdParamSchema = Joi.object({
+    id: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'Invalid user ID'
+        })
+});
+
+const variantParamSchema = idParamSchema.keys({
+    variantId: Joi.number().integer().positive().required()
+});
+
+const userRoleParamSchema = objectIdParamSchema.keys({
+    role: Joi.string().valid(...ROLES).required()
+});
+
+// Random identifiers (API keys, invitations) and other free-form path segments
+const stringIdParamSchema = Joi.object({
+    id: Joi.string().max(100).required()
+});
+
+const userIdParamSchema = Joi.object({
+    userId: Joi.string().max(100).required()
+});
+
+const providerParamSchema = Joi.object({
+    provider: Joi.string().max(50).required()
+});
+
 /**
  * Test data generators for valid and invalid scenarios
  */
@@ -224,10 +612,47 @@ const testData = {
 module.exports = {
     productSchema,
     productUpdateSchema,
+    productListQuerySchema,
+    productSearchQuerySchema,
+    categorySchema,
+    categoryUpdateSchema,
+    categoryParamSchema,
+    variantSchema,
+    variantUpdateSchema,
     cartItemSchema,
     cartUpdateSchema,
+    checkoutSchema,
+    paymentSchema,
+    orderStatusSchema,
+    orderCancelSchema,
+    orderListQuerySchema,
     userRegistrationSchema,
     userLoginSchema,
+    twoFactorLoginSchema,
+    refreshTokenSchema,
+    emailSchema,
+    tokenQuerySchema,
+    passwordResetSchema,
+    profileUpdateSchema,
+    passwordChangeSchema,
+    emailChangeSchema,
+    reauthenticationSchema,
+    accountDeletionSchema,
+    twoFactorCodeSchema,
+    apiKeySchema,
+    userListQuerySchema,
+    userDisableSchema,
+    roleSchema,
+    invitationSchema,
+    invitationListQuerySchema,
+    auditQuerySchema,
+    inventoryQuerySchema,
     idParamSchema,
+    variantParamSchema,
+    objectIdParamSchema,
+    userRoleParamSchema,
+    stringIdParamSchema,
+    userIdParamSchema,
+    providerParamSchema,
     testData
 };
\ No newline at end of file
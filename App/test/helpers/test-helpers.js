@@ -15,8 +15,8 @@ const path = require('path');
  */
 const TEST_CONFIG = {
     TIMEOUT: 20000,
-    DEFAULT_PASSWORD: 'testpass123',
-    ADMIN_PASSWORD: 'adminpass123',
+    DEFAULT_PASSWORD: 'TestPass123',
+    ADMIN_PASSWORD: 'AdminPass123',
     TEST_IMAGE_PATH: path.join(__dirname, '../imgs/1718217729729.jpg'),
     TEST_IMAGE_HASH: 'fb9a32989d331497bbd0393e3b423cde',
     API_ENDPOINTS: {
@@ -34,6 +34,7 @@ const TEST_CONFIG = {
         FORBIDDEN: 403,
         NOT_FOUND: 404,
         CONFLICT: 409,
+        UNPROCESSABLE_ENTITY: 422,
         INTERNAL_ERROR: 500
     }
 };
@@ -301,6 +302,42 @@ class CleanupHelper {
     }
 }
 
+/**
+ * Environment utilities
+ */
+class EnvHelper {
+    /**
+     * Set an environment variable for the enclosing describe block and restore it afterwards
+     * @param {string} name - Variable name
+     * @param {string|undefined} value - Value to use, or undefined to unset it
+     */
+    static useEnv(name, value) {
+        let previous;
+
+        before(function() {
+            previous = process.env[name];
+            EnvHelper.setEnv(name, value);
+        });
+
+        after(function() {
+            EnvHelper.setEnv(name, previous);
+        });
+    }
+
+    /**
+     * Set or unset an environment variable
+     * @param {string} name - Variable name
+     * @param {string|undefined} value - Value to use, or undefined to unset it
+     */
+    static setEnv(name, value) {
+        if (value === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = value;
+        }
+    }
+}
+
 module.exports = {
     TEST_CONFIG,
     TestUserFactory,
@@ -308,5 +345,6 @@ module.exports = {
     FileHelper,
     ApiHelper,
     ValidationHelper,
-    CleanupHelper
+    CleanupHelper,
+    EnvHelper
 };
\ No newline at end of file
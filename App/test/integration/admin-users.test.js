@@ -0,0 +1,283 @@
+/**
+ * @fileoverview User administration API integration tests
+ * @description Tests for permission checks, role grants, the last-admin guard and session revocation on /admin/users
+ */
+
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../config/database');
+const {
+    TEST_CONFIG,
+    TestUserFactory,
+    AuthHelper,
+    ValidationHelper,
+    EnvHelper
+} = require('../helpers/test-helpers');
+
+describe('User Administration API', function() {
+    this.timeout(TEST_CONFIG.TIMEOUT);
+
+    // The test users log in right after registering and never open the verification mail
+    EnvHelper.useEnv('UNVERIFIED_LOGIN_POLICY', 'allow');
+
+    const createdEmails = [];
+
+    // Register a user, give them the roles and log in so the token carries them
+    async function createUser(roles = ['user']) {
+        const userData = TestUserFactory.createUser();
+        await AuthHelper.registerUser(userData);
+        createdEmails.push(userData.email);
+
+        if (roles.length !== 1 || roles[0] !== 'user') {
+            await User.updateOne({ email: userData.email }, { $set: { roles } });
+        }
+
+        const response = await AuthHelper.loginUser({
+            email: userData.email,
+            password: userData.password
+        });
+
+        return {
+            userData,
+            id: response.body.user.id,
+            token: response.body.token,
+            refreshToken: response.body.refreshToken
+        };
+    }
+
+    function refresh(refreshToken) {
+        return request(app)
+            .post('/login/refresh')
+            .send({ refreshToken });
+    }
+
+    let admin;
+
+    before(async function() {
+        admin = await createUser(['user', 'admin']);
+    });
+
+    after(async function() {
+        await User.deleteMany({ email: { $in: createdEmails } });
+    });
+
+    describe('Permission Checks', function() {
+        let member, support;
+
+        before(async function() {
+            member = await createUser();
+            support = await createUser(['user', 'support']);
+        });
+
+        it('should reject requests without a token', async function() {
+            const response = await request(app).get('/admin/users');
+
+            ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.UNAUTHORIZED, false);
+        });
+
+        it('should forbid plain users from listing users', async function() {
+            const response = await request(app)
+                .get('/admin/users')
+                .set('Authorization', `Bearer ${member.token}`);
+
+            ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.FORBIDDEN, false);
+        });
+
+        it('should let support list users but not disable, delete or grant roles', async function() {
+            const list = await request(app)
+                .get('/admin/users')
+                .set('Authorization', `Bearer ${support.token}`);
+            const disable = await request(app)
+                .post(`/admin/users/${member.id}/disable`)
+                .set('Authorization', `Bearer ${support.token}`)
+                .send({});
+            const remove = await request(app)
+                .delete(`/admin/users/${member.id}`)
+                .set('Authorization', `Bearer ${support.token}`);
+            const grant = await request(app)
+                .post(`/admin/users/${member.id}/roles`)
+                .set('Authorization', `Bearer ${support.token}`)
+                .send({ role: 'admin' });
+
+            ValidationHelper.validateApiResponse(list, TEST_CONFIG.HTTP_STATUS.OK);
+            expect([disable.status, remove.status, grant.status]).to.deep.equal([403, 403, 403]);
+        });
+
+        it('should let admins view a user without exposing secrets', async function() {
+            const response = await request(app)
+                .get(`/admin/users/${member.id}`)
+                .set('Authorization', `Bearer ${admin.token}`);
+
+            ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.OK);
+            expect(response.body.data.email).to.equal(member.userData.email);
+            expect(response.body.data).to.not.have.property('password');
+        });
+    });
+
+    describe('Last-Admin Guard', function() {
+        let otherAdminIds = [];
+
+        // Leave the test admin as the only active one, whatever else the database holds
+        before(async function() {
+            const others = await User.find({ roles: 'admin', disabled: { $ne: true }, _id: { $ne: admin.id } });
+            otherAdminIds = others.map((user) => user._id);
+            await User.updateMany({ _id: { $in: otherAdminIds } }, { $set: { disabled: true } });
+        });
+
+        after(async function() {
+            await User.updateMany({ _id: { $in: otherAdminIds } }, { $set: { disabled: false } });
+        });
+
+        // The caller's token still carries '*' after their own admin role is dropped behind its back,
+        // which leaves the target as the only active admin
+        it('should refuse to take the admin role from, disable or delete the last active admin', async function() {
+            const last = await createUser(['user', 'admin']);
+            await User.updateOne({ _id: admin.id }, { $set: { roles: ['user'] } });
+
+            try {
+                const revoke = await request(app)
+                    .delete(`/admin/users/${last.id}/roles/admin`)
+                    .set('Authorization', `Bearer ${admin.token}`);
+                const disable = await request(app)
+                    .post(`/admin/users/${last.id}/disable`)
+                    .set('Authorization', `Bearer ${admin.token}`)
+                    .send({});
+                const remove = await request(app)
+                    .delete(`/admin/users/${last.id}`)
+                    .set('Authorization', `Bearer ${admin.token}`);
+
+                [revoke, disable, remove].forEach((response) => {
+                    ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.CONFLICT, false);
+                    expect(response.body.error).to.equal('Cannot remove the last active admin');
+                });
+            } finally {
+                await User.updateOne({ _id: admin.id }, { $set: { roles: ['user', 'admin'] } });
+                await User.updateOne({ _id: last.id }, { $set: { roles: ['user'] } });
+            }
+        });
+
+        it('should let admins demote each other while another admin remains', async function() {
+            const second = await createUser(['user', 'admin']);
+
+            const response = await request(app)
+                .delete(`/admin/users/${second.id}/roles/admin`)
+                .set('Authorization', `Bearer ${admin.token}`);
+
+            ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.OK);
+            expect(response.body.data.roles).to.deep.equal(['user']);
+        });
+
+        it('should refuse to disable or delete yourself', async function() {
+            const disable = await request(app)
+                .post(`/admin/users/${admin.id}/disable`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({});
+            const remove = await request(app)
+                .delete(`/admin/users/${admin.id}`)
+                .set('Authorization', `Bearer ${admin.token}`);
+
+            ValidationHelper.validateApiResponse(disable, TEST_CONFIG.HTTP_STATUS.CONFLICT, false);
+            ValidationHelper.validateApiResponse(remove, TEST_CONFIG.HTTP_STATUS.CONFLICT, false);
+        });
+    });
+
+    describe('Role Grants', function() {
+        let member, rolesKey;
+
+        before(async function() {
+            member = await createUser();
+
+            const response = await request(app)
+                .post('/api-keys')
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ name: 'Role manager', permissions: ['users:read', 'users:roles'] });
+            rolesKey = response.body.data.key;
+        });
+
+        it('should refuse to grant or revoke your own roles', async function() {
+            const grant = await request(app)
+                .post(`/admin/users/${admin.id}/roles`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ role: 'support' });
+            const revoke = await request(app)
+                .delete(`/admin/users/${admin.id}/roles/admin`)
+                .set('Authorization', `Bearer ${admin.token}`);
+
+            ValidationHelper.validateApiResponse(grant, TEST_CONFIG.HTTP_STATUS.FORBIDDEN, false);
+            ValidationHelper.validateApiResponse(revoke, TEST_CONFIG.HTTP_STATUS.FORBIDDEN, false);
+            expect(grant.body.error).to.equal('You cannot change your own roles');
+        });
+
+        it('should refuse to grant a role whose permissions the caller does not hold', async function() {
+            const adminGrant = await request(app)
+                .post(`/admin/users/${member.id}/roles`)
+                .set('X-API-Key', rolesKey)
+                .send({ role: 'admin' });
+            const supportGrant = await request(app)
+                .post(`/admin/users/${member.id}/roles`)
+                .set('X-API-Key', rolesKey)
+                .send({ role: 'support' });
+
+            ValidationHelper.validateApiResponse(adminGrant, TEST_CONFIG.HTTP_STATUS.FORBIDDEN, false);
+            ValidationHelper.validateApiResponse(supportGrant, TEST_CONFIG.HTTP_STATUS.FORBIDDEN, false);
+            expect(adminGrant.body.error).to.equal('You can only grant or revoke roles whose permissions you hold all of');
+        });
+
+        it('should let admins grant any role to someone else', async function() {
+            const response = await request(app)
+                .post(`/admin/users/${member.id}/roles`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ role: 'support' });
+
+            ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.OK);
+            expect(response.body.data.roles).to.deep.equal(['user', 'support']);
+        });
+    });
+
+    describe('Session Revocation', function() {
+        it('should end every session of a disabled user and block their logins', async function() {
+            const target = await createUser();
+
+            const response = await request(app)
+                .post(`/admin/users/${target.id}/disable`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ reason: 'Chargebacks' });
+
+            ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.OK);
+            expect(response.body.data).to.include({ disabled: true, disabledReason: 'Chargebacks' });
+
+            const oldToken = await request(app)
+                .get(TEST_CONFIG.API_ENDPOINTS.ARTICLES)
+                .set('Authorization', `Bearer ${target.token}`);
+            const oldRefresh = await refresh(target.refreshToken);
+            const login = await AuthHelper.loginUser({
+                email: target.userData.email,
+                password: target.userData.password
+            });
+
+            expect(oldToken.status).to.equal(TEST_CONFIG.HTTP_STATUS.UNAUTHORIZED);
+            expect(oldRefresh.status).to.equal(TEST_CONFIG.HTTP_STATUS.UNAUTHORIZED);
+            expect(login.status).to.not.equal(TEST_CONFIG.HTTP_STATUS.OK);
+            expect(login.body).to.not.have.property('token');
+        });
+
+        it('should end every session of a deleted user', async function() {
+            const target = await createUser();
+
+            const response = await request(app)
+                .delete(`/admin/users/${target.id}`)
+                .set('Authorization', `Bearer ${admin.token}`);
+
+            ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.OK);
+
+            const oldToken = await request(app)
+                .get(TEST_CONFIG.API_ENDPOINTS.ARTICLES)
+                .set('Authorization', `Bearer ${target.token}`);
+            const oldRefresh = await refresh(target.refreshToken);
+
+            expect(oldToken.status).to.equal(TEST_CONFIG.HTTP_STATUS.UNAUTHORIZED);
+            expect(oldRefresh.status).to.equal(TEST_CONFIG.HTTP_STATUS.UNAUTHORIZED);
+            expect(await User.findById(target.id)).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview API key integration tests
+ * @description Tests that API keys are refused wherever a login session is required
+ */
+
+const request = require('supertest');
+const app = require('../../app');
+const {
+    TEST_CONFIG,
+    AuthHelper,
+    ValidationHelper,
+    EnvHelper
+} = require('../helpers/test-helpers');
+
+describe('API Keys', function() {
+    this.timeout(TEST_CONFIG.TIMEOUT);
+
+    // The test users log in right after registering and never open the verification mail
+    EnvHelper.useEnv('UNVERIFIED_LOGIN_POLICY', 'allow');
+
+    let authToken, userData, apiKey;
+
+    before(async function() {
+        ({ token: authToken, userData } = await AuthHelper.createAuthenticatedUser());
+
+        const response = await request(app)
+            .post('/api-keys')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ name: 'Catalogue reader', permissions: ['products:read'] });
+
+        ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.CREATED);
+        apiKey = response.body.data.key;
+    });
+
+    it('should authenticate requests within the key scope', async function() {
+        const response = await request(app)
+            .get(TEST_CONFIG.API_ENDPOINTS.ARTICLES)
+            .set('X-API-Key', apiKey);
+
+        expect(response.status).to.equal(TEST_CONFIG.HTTP_STATUS.OK);
+    });
+
+    describe('Routes requiring a login session', function() {
+        const cases = [
+            { method: 'get', url: '/api-keys' },
+            { method: 'post', url: '/2fa/setup' },
+            { method: 'post', url: '/2fa/confirm', body: { code: '123456' } },
+            { method: 'post', url: '/me/password', body: { currentPassword: TEST_CONFIG.DEFAULT_PASSWORD, newPassword: 'NewPass12345' } },
+            { method: 'post', url: '/me/email', body: { newEmail: 'taken-over@example.com', password: TEST_CONFIG.DEFAULT_PASSWORD } },
+            { method: 'post', url: '/logout' },
+            { method: 'post', url: '/logout/all' },
+            { method: 'get', url: '/me/export' }
+        ];
+
+        cases.forEach(({ method, url, body }) => {
+            it(`should refuse a scoped key on ${method.toUpperCase()} ${url}`, async function() {
+                const response = await request(app)[method](url)
+                    .set('X-API-Key', apiKey)
+                    .send(body || {});
+
+                ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.FORBIDDEN, false);
+                expect(response.body.error).to.match(/^API keys cannot be used to /);
+            });
+        });
+
+        it('should leave the password and the session untouched', async function() {
+            const login = await AuthHelper.loginUser({
+                email: userData.email,
+                password: userData.password
+            });
+            const session = await request(app)
+                .get('/2fa')
+                .set('Authorization', `Bearer ${authToken}`);
+
+            ValidationHelper.validateApiResponse(login, TEST_CONFIG.HTTP_STATUS.OK);
+            ValidationHelper.validateApiResponse(session, TEST_CONFIG.HTTP_STATUS.OK);
+            expect(session.body.data.enabled).to.be.false;
+        });
+    });
+});
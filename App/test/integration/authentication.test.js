@@ -11,13 +11,17 @@ const {
     TEST_CONFIG, 
     TestUserFactory, 
     AuthHelper, 
-    ValidationHelper 
-} = require('./helpers/test-helpers');
+    ValidationHelper,
+    EnvHelper
+} = require('../helpers/test-helpers');
 
 describe('Authentication API', function() {
     // Set timeout for all tests in this suite
     this.timeout(TEST_CONFIG.TIMEOUT);
 
+    // The test users log in right after registering and never open the verification mail
+    EnvHelper.useEnv('UNVERIFIED_LOGIN_POLICY', 'allow');
+
     describe('User Registration', function() {
         describe('POST /register - Success Cases', function() {
             it('should successfully register a new user', async function() {
@@ -48,7 +52,7 @@ describe('Authentication API', function() {
 
                 ValidationHelper.validateApiResponse(
                     response, 
-                    TEST_CONFIG.HTTP_STATUS.INTERNAL_ERROR, 
+                    TEST_CONFIG.HTTP_STATUS.UNPROCESSABLE_ENTITY, 
                     false
                 );
             });
@@ -58,10 +62,7 @@ describe('Authentication API', function() {
 
                 const response = await AuthHelper.registerUser(invalidUser);
                 
-                // This test may timeout due to validation issues
-                if (response) {
-                    ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.INTERNAL_ERROR, false);
-                }
+                ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.UNPROCESSABLE_ENTITY, false);
             });
 
             it('should validate email format', async function() {
@@ -74,7 +75,7 @@ describe('Authentication API', function() {
 
                 ValidationHelper.validateApiResponse(
                     response, 
-                    TEST_CONFIG.HTTP_STATUS.INTERNAL_ERROR, 
+                    TEST_CONFIG.HTTP_STATUS.UNPROCESSABLE_ENTITY, 
                     false
                 );
             });
@@ -89,7 +90,7 @@ describe('Authentication API', function() {
 
                 ValidationHelper.validateApiResponse(
                     response, 
-                    TEST_CONFIG.HTTP_STATUS.CONFLICT, 
+                    TEST_CONFIG.HTTP_STATUS.UNPROCESSABLE_ENTITY, 
                     false
                 );
             });
@@ -180,7 +181,7 @@ describe('Authentication API', function() {
 
                 ValidationHelper.validateApiResponse(
                     response, 
-                    TEST_CONFIG.HTTP_STATUS.UNAUTHORIZED, 
+                    TEST_CONFIG.HTTP_STATUS.UNPROCESSABLE_ENTITY, 
                     false
                 );
             });
@@ -192,7 +193,7 @@ describe('Authentication API', function() {
 
                 ValidationHelper.validateApiResponse(
                     response, 
-                    TEST_CONFIG.HTTP_STATUS.INTERNAL_ERROR, 
+                    TEST_CONFIG.HTTP_STATUS.UNPROCESSABLE_ENTITY, 
                     false
                 );
             });
@@ -202,7 +203,7 @@ describe('Authentication API', function() {
 
                 ValidationHelper.validateApiResponse(
                     response, 
-                    TEST_CONFIG.HTTP_STATUS.UNAUTHORIZED, 
+                    TEST_CONFIG.HTTP_STATUS.UNPROCESSABLE_ENTITY, 
                     false
                 );
             });
@@ -271,4 +272,39 @@ describe('Authentication API', function() {
             });
         });
     });
+
+    describe('Unverified Accounts - Default Policy', function() {
+        EnvHelper.useEnv('UNVERIFIED_LOGIN_POLICY', undefined);
+
+        let testUser;
+
+        before(async function() {
+            testUser = TestUserFactory.createUser();
+            await AuthHelper.registerUser(testUser);
+        });
+
+        it('should let an unverified user log in', async function() {
+            const response = await AuthHelper.loginUser({
+                email: testUser.email,
+                password: testUser.password
+            });
+
+            ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.OK);
+            ValidationHelper.validateJwtToken(response.body.token);
+        });
+
+        it('should refuse role-protected routes until the email is verified', async function() {
+            const { body } = await AuthHelper.loginUser({
+                email: testUser.email,
+                password: testUser.password
+            });
+
+            const response = await request(app)
+                .get(TEST_CONFIG.API_ENDPOINTS.ARTICLES)
+                .set('Authorization', `Bearer ${body.token}`);
+
+            ValidationHelper.validateApiResponse(response, TEST_CONFIG.HTTP_STATUS.FORBIDDEN, false);
+            expect(response.body.error).to.equal('Email verification required');
+        });
+    });
 });
\ No newline at end of file
@@ -15,12 +15,16 @@ const {
     FileHelper, 
     ApiHelper,
     ValidationHelper,
-    CleanupHelper 
-} = require('./helpers/test-helpers');
+    CleanupHelper,
+    EnvHelper
+} = require('../helpers/test-helpers');
 
 describe('Document Management API', function() {
     this.timeout(TEST_CONFIG.TIMEOUT);
 
+    // The test users log in right after registering and never open the verification mail
+    EnvHelper.useEnv('UNVERIFIED_LOGIN_POLICY', 'allow');
+
     let authToken, userId;
     const uploadedFiles = []; // Track files for cleanup
 
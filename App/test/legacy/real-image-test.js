@@ -15,7 +15,7 @@ describe('Real Image Upload/Retrieval Test', () => {
         
         // Login to get auth token
         const testEmail = 'imagetest@example.com';
-        const testPassword = 'testpass123';
+        const testPassword = 'TestPass123';
         
         try {
             await request(app)
@@ -14,6 +14,9 @@ chai.config.includeStack = true;
 global.expect = chai.expect;
 global.sinon = sinon;
 
+// Links in mails are built from APP_URL; pin it instead of relying on the localhost fallback
+process.env.APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
 // Set default timeout for all tests
 const DEFAULT_TIMEOUT = 20000;
 
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Unit tests for the personal data export and erasure
+ * @description Tests for what is exported about an account and what deletion leaves behind
+ */
+
+const sinon = require('sinon');
+const fs = require('fs');
+const path = require('path');
+const accountData = require('../../utilities/account-data');
+
+describe('Account Data Module', function() {
+    let files;
+
+    const store = (name) => path.join(__dirname, '..', '..', 'data', name);
+
+    beforeEach(function() {
+        files = {
+            [store('cart.json')]: [
+                { id: 1, productId: 2, quantity: 1, userId: 'u1' },
+                { id: 2, productId: 3, quantity: 4, userId: 'u2' }
+            ],
+            [store('orders.json')]: [
+                {
+                    id: 1,
+                    userId: 'u1',
+                    status: 'shipped',
+                    history: [
+                        { from: null, to: 'pending', by: { userId: 'u1', email: 'alice@example.com' } },
+                        { from: 'paid', to: 'shipped', by: { userId: 'admin', email: 'admin@example.com' } }
+                    ]
+                },
+                {
+                    id: 2,
+                    userId: 'u2',
+                    status: 'refunded',
+                    history: [{ from: 'paid', to: 'refunded', by: { userId: 'u1', email: 'alice@example.com' } }]
+                }
+            ],
+            [store('documents.json')]: [
+                { id: 1, userId: 'u1', filePath: '/tmp/none-1' },
+                { id: 2, userId: 'u2', filePath: '/tmp/none-2' }
+            ],
+            [store('api-keys.json')]: [{ id: 'k1', userId: 'u1' }, { id: 'k2', userId: 'u2' }],
+            [store('refresh-tokens.json')]: []
+        };
+
+        // Keep every JSON store in memory
+        sinon.stub(fs, 'readFileSync').callsFake((file) => JSON.stringify(files[file] || []));
+        sinon.stub(fs, 'writeFileSync').callsFake((file, data) => {
+            files[file] = JSON.parse(data);
+        });
+        sinon.stub(fs, 'rm');
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('exportProfile()', function() {
+        it('should leave out passwords and token hashes', function() {
+            const profile = accountData.exportProfile({
+                _id: 'u1',
+                email: 'alice@example.com',
+                password: 'hash',
+                roles: ['user'],
+                twoFactorSecret: 'secret',
+                passwordResetTokenHash: 'hash'
+            });
+
+            expect(profile).to.include({ id: 'u1', email: 'alice@example.com' });
+            expect(JSON.stringify(profile)).to.not.include('hash');
+            expect(JSON.stringify(profile)).to.not.include('secret');
+        });
+    });
+
+    describe('eraseAccountData()', function() {
+        it('should remove the cart, documents and API keys of the user only', function() {
+            const erased = accountData.eraseAccountData('u1');
+
+            expect(erased).to.include({ cartItems: 1, documents: 1 });
+            expect(files[store('cart.json')].map((item) => item.userId)).to.deep.equal(['u2']);
+            expect(files[store('documents.json')].map((doc) => doc.id)).to.deep.equal([2]);
+            expect(files[store('api-keys.json')].map((key) => key.id)).to.deep.equal(['k2']);
+            expect(fs.rm.calledWith('/tmp/none-1')).to.be.true;
+        });
+
+        it('should keep orders but unlink them from the user', function() {
+            const erased = accountData.eraseAccountData('u1');
+
+            const [own, other] = files[store('orders.json')];
+            expect(erased.orders).to.equal(1);
+            expect(own.userId).to.be.null;
+            expect(own.anonymizedAt).to.be.a('string');
+            expect(own.history[0].by).to.deep.equal({ userId: null, email: null });
+            expect(own.history[1].by.userId).to.equal('admin');
+            expect(other.userId).to.equal('u2');
+            expect(other.history[0].by).to.deep.equal({ userId: null, email: null });
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Unit tests for personal API keys
+ * @description Tests for key creation, lookup, expiry, revocation and scoping
+ */
+
+const sinon = require('sinon');
+const fs = require('fs');
+const apiKeys = require('../../utilities/api-keys');
+
+describe('API Keys Module', function() {
+    let storedFile;
+
+    beforeEach(function() {
+        storedFile = '[]';
+        // Keep keys in memory instead of data/api-keys.json
+        sinon.stub(fs, 'readFileSync').callsFake(() => storedFile);
+        sinon.stub(fs, 'writeFileSync').callsFake((file, data) => {
+            storedFile = data;
+        });
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('createApiKey()', function() {
+        it('should return the key once and store only its hash', function() {
+            const { key, record } = apiKeys.createApiKey('u1', { name: 'CI', permissions: ['products:write'] });
+
+            expect(key).to.match(/^jsk_/);
+            expect(record.prefix).to.equal(key.slice(0, 12));
+            expect(record).to.not.have.property('keyHash');
+            expect(storedFile).to.not.include(key);
+        });
+    });
+
+    describe('authenticateApiKey()', function() {
+        it('should find an active key and record when it was used', function() {
+            const { key, record } = apiKeys.createApiKey('u1', { name: 'CI', permissions: ['products:write'] });
+
+            const found = apiKeys.authenticateApiKey(key);
+
+            expect(found.id).to.equal(record.id);
+            expect(found.lastUsedAt).to.be.a('string');
+        });
+
+        it('should reject unknown, revoked and expired keys', function() {
+            const revoked = apiKeys.createApiKey('u1', { name: 'old', permissions: ['products:read'] });
+            apiKeys.revokeApiKey('u1', revoked.record.id);
+            const expired = apiKeys.createApiKey('u1', {
+                name: 'expired',
+                permissions: ['products:read'],
+                expiresAt: new Date(Date.now() - 1000)
+            });
+
+            expect(apiKeys.authenticateApiKey('jsk_nope')).to.be.null;
+            expect(apiKeys.authenticateApiKey('Bearer something')).to.be.null;
+            expect(apiKeys.authenticateApiKey(revoked.key)).to.be.null;
+            expect(apiKeys.authenticateApiKey(expired.key)).to.be.null;
+        });
+    });
+
+    describe('revokeApiKey()', function() {
+        it('should only revoke keys of the given user', function() {
+            const { record } = apiKeys.createApiKey('u1', { name: 'CI', permissions: ['products:read'] });
+
+            expect(apiKeys.revokeApiKey('u2', record.id)).to.be.false;
+            expect(apiKeys.revokeApiKey('u1', record.id)).to.be.true;
+            expect(apiKeys.revokeApiKey('u1', record.id)).to.be.false;
+            expect(apiKeys.listUserApiKeys('u1')[0].active).to.be.false;
+        });
+    });
+
+    describe('effectiveKeyPermissions()', function() {
+        it('should limit a key to what its owner can still do', function() {
+            const effective = apiKeys.effectiveKeyPermissions(
+                ['products:*', 'documents:write'],
+                ['products:read', 'documents:read', 'documents:write']
+            );
+
+            expect(effective).to.deep.equal(['products:read', 'documents:write']);
+        });
+
+        it('should expand an admin owner for a scoped key', function() {
+            expect(apiKeys.effectiveKeyPermissions(['products:write'], ['*'])).to.deep.equal(['products:write']);
+        });
+    });
+});
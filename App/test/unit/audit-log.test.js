@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Unit tests for the security audit log
+ * @description Tests for appending entries, filtering queries and the CSV export
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auditLog = require('../../utilities/audit-log');
+
+describe('Audit Log Module', function() {
+    let logDir;
+
+    const fakeRequest = (user, { ip = '10.0.0.1', userAgent = 'mocha' } = {}) => ({
+        user,
+        ip,
+        get: (name) => (name.toLowerCase() === 'user-agent' ? userAgent : undefined)
+    });
+    const admin = { userId: 'a1', email: 'admin@example.com' };
+
+    beforeEach(function() {
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+        process.env.AUDIT_LOG_FILE = path.join(logDir, 'audit.log');
+    });
+
+    afterEach(function() {
+        fs.rmSync(logDir, { recursive: true, force: true });
+        delete process.env.AUDIT_LOG_FILE;
+    });
+
+    describe('recordAudit()', function() {
+        it('should append one JSON line with the caller, IP and user agent', function() {
+            auditLog.recordAudit(fakeRequest(admin), { action: 'products.delete_all', details: { count: 3 } });
+            auditLog.recordAudit(fakeRequest(admin), { action: 'products.create', target: { type: 'product', id: 4 } });
+
+            const lines = fs.readFileSync(process.env.AUDIT_LOG_FILE, 'utf8').trim().split('\n');
+            expect(lines).to.have.length(2);
+            expect(JSON.parse(lines[0])).to.deep.include({
+                action: 'products.delete_all',
+                outcome: 'success',
+                actor: { userId: 'a1', email: 'admin@example.com', apiKeyId: null },
+                target: null,
+                ip: '10.0.0.1',
+                userAgent: 'mocha',
+                details: { count: 3 }
+            });
+        });
+
+        it('should accept an explicit actor for unauthenticated requests', function() {
+            const entry = auditLog.recordAudit(fakeRequest(undefined), {
+                action: 'auth.login',
+                outcome: 'failure',
+                actor: { userId: null, email: 'who@example.com', apiKeyId: null }
+            });
+
+            expect(entry.actor.email).to.equal('who@example.com');
+        });
+
+        it('should not throw when the log cannot be written', function() {
+            process.env.AUDIT_LOG_FILE = logDir;
+            const consoleError = sinon.stub(console, 'error');
+
+            try {
+                expect(auditLog.recordAudit(fakeRequest(admin), { action: 'auth.login' })).to.be.null;
+                expect(consoleError.calledOnce).to.be.true;
+            } finally {
+                consoleError.restore();
+            }
+        });
+    });
+
+    describe('queryAuditLog()', function() {
+        beforeEach(function() {
+            auditLog.recordAudit(fakeRequest(undefined, { ip: '10.0.0.9' }), {
+                action: 'auth.login',
+                outcome: 'failure',
+                actor: { userId: null, email: 'Eve@example.com', apiKeyId: null }
+            });
+            auditLog.recordAudit(fakeRequest(admin), { action: 'auth.login' });
+            auditLog.recordAudit(fakeRequest(admin), {
+                action: 'users.role_grant',
+                target: { type: 'user', id: 'u7' },
+                details: { role: 'admin' }
+            });
+        });
+
+        it('should return entries newest first', function() {
+            expect(auditLog.queryAuditLog().map((e) => e.action))
+                .to.deep.equal(['users.role_grant', 'auth.login', 'auth.login']);
+        });
+
+        it('should filter by action prefix, outcome, actor, target and IP', function() {
+            expect(auditLog.queryAuditLog({ action: 'auth.*' })).to.have.length(2);
+            expect(auditLog.queryAuditLog({ action: 'auth' })).to.have.length(0);
+            expect(auditLog.queryAuditLog({ outcome: 'failure' })[0].actor.email).to.equal('Eve@example.com');
+            expect(auditLog.queryAuditLog({ actor: 'eve@EXAMPLE.com' })).to.have.length(1);
+            expect(auditLog.queryAuditLog({ actor: 'a1' })).to.have.length(2);
+            expect(auditLog.queryAuditLog({ targetType: 'user', targetId: 'u7' })).to.have.length(1);
+            expect(auditLog.queryAuditLog({ ip: '10.0.0.9' })).to.have.length(1);
+        });
+
+        it('should filter by time range', function() {
+            const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+            expect(auditLog.queryAuditLog({ from: hourAgo })).to.have.length(3);
+            expect(auditLog.queryAuditLog({ to: hourAgo })).to.have.length(0);
+        });
+
+        it('should skip a truncated last line', function() {
+            fs.appendFileSync(process.env.AUDIT_LOG_FILE, '{"action":"auth.lo');
+
+            expect(auditLog.queryAuditLog()).to.have.length(3);
+        });
+    });
+
+    describe('toCsv()', function() {
+        it('should quote values and defuse spreadsheet formulas', function() {
+            const csv = auditLog.toCsv([{
+                timestamp: '2025-01-01T00:00:00.000Z',
+                id: 'e1',
+                action: 'auth.login',
+                outcome: 'failure',
+                actor: { userId: null, email: '=HYPERLINK("http://evil")', apiKeyId: null },
+                target: null,
+                ip: '10.0.0.1',
+                userAgent: 'Mozilla/5.0 (X11, Linux)',
+                details: { reason: 'wrong_password' }
+            }]);
+            const [header, row] = csv.trim().split('\r\n');
+
+            expect(header).to.equal('timestamp,id,action,outcome,actorUserId,actorEmail,actorApiKeyId,targetType,targetId,ip,userAgent,details');
+            expect(row).to.include('"\'=HYPERLINK(""http://evil"")"');
+            expect(row).to.include('"Mozilla/5.0 (X11, Linux)"');
+            expect(row).to.include('"{""reason"":""wrong_password""}"');
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Unit tests for product categories and tags
+ * @description Tests for slugs, the category tree with counts, descendants, breadcrumbs and tags
+ */
+
+const {
+    slugify,
+    findCategory,
+    descendantIds,
+    ancestorPath,
+    nextPosition,
+    buildCategoryTree,
+    normalizeTags,
+    countTags
+} = require('../../utilities/categories');
+
+describe('Categories Module', function() {
+    const categories = [
+        { id: 1, name: 'Electronics', slug: 'electronics', parentId: null, position: 0 },
+        { id: 2, name: 'Phones', slug: 'phones', parentId: 1, position: 1 },
+        { id: 3, name: 'Audio', slug: 'audio', parentId: 1, position: 0 },
+        { id: 4, name: 'Android', slug: 'android', parentId: 2, position: 0 },
+        { id: 5, name: 'Garden', slug: 'garden', parentId: null, position: 1 }
+    ];
+    const products = [
+        { id: 1, name: 'Pixel', categoryId: 4, tags: ['sale', 'new'] },
+        { id: 2, name: 'Galaxy', categoryId: 4, tags: ['sale'] },
+        { id: 3, name: 'Phone case', categoryId: 2 },
+        { id: 4, name: 'Headphones', categoryId: 3, tags: ['new', 'sale'] },
+        { id: 5, name: 'Unsorted', categoryId: null }
+    ];
+
+    describe('slugify()', function() {
+        it('should turn names into lowercase, accent-free, hyphenated slugs', function() {
+            expect(slugify('  Phones & Tablets ')).to.equal('phones-tablets');
+            expect(slugify('Café Crème')).to.equal('cafe-creme');
+        });
+    });
+
+    describe('findCategory()', function() {
+        it('should find a category by id or by slug', function() {
+            expect(findCategory(categories, '2').name).to.equal('Phones');
+            expect(findCategory(categories, 4).name).to.equal('Android');
+            expect(findCategory(categories, 'audio').id).to.equal(3);
+            expect(findCategory(categories, 'toys')).to.be.null;
+        });
+    });
+
+    describe('descendantIds() / ancestorPath()', function() {
+        it('should collect a category and everything below it', function() {
+            expect([...descendantIds(categories, 1)].sort()).to.deep.equal([1, 2, 3, 4]);
+            expect([...descendantIds(categories, 5)]).to.deep.equal([5]);
+        });
+
+        it('should list the breadcrumbs from the top', function() {
+            expect(ancestorPath(categories, categories[3]).map(c => c.slug))
+                .to.deep.equal(['electronics', 'phones', 'android']);
+        });
+    });
+
+    describe('buildCategoryTree()', function() {
+        it('should nest categories in display order with direct and total counts', function() {
+            const tree = buildCategoryTree(categories, products);
+
+            expect(tree.map(c => c.slug)).to.deep.equal(['electronics', 'garden']);
+            expect(tree[0].children.map(c => c.slug)).to.deep.equal(['audio', 'phones']);
+            expect(tree[0]).to.include({ productCount: 0, totalProductCount: 4 });
+            expect(tree[0].children[1]).to.include({ productCount: 1, totalProductCount: 3 });
+            expect(tree[1]).to.include({ productCount: 0, totalProductCount: 0 });
+        });
+
+        it('should build the subtree of one category', function() {
+            const phones = buildCategoryTree(categories, products, 2);
+
+            expect(phones.children.map(c => c.slug)).to.deep.equal(['android']);
+            expect(phones.totalProductCount).to.equal(3);
+        });
+    });
+
+    describe('nextPosition()', function() {
+        it('should place a new category after its last sibling', function() {
+            expect(nextPosition(categories, 1)).to.equal(2);
+            expect(nextPosition(categories, 3)).to.equal(0);
+        });
+    });
+
+    describe('normalizeTags() / countTags()', function() {
+        it('should slug and de-duplicate tags', function() {
+            expect(normalizeTags(['Summer Sale', 'summer-sale', 'NEW', '!!'])).to.deep.equal(['summer-sale', 'new']);
+        });
+
+        it('should count tags, most used first', function() {
+            expect(countTags(products)).to.deep.equal([
+                { tag: 'sale', count: 3 },
+                { tag: 'new', count: 2 }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Unit tests for email verification helpers
+ * @description Tests for the unverified login policy, resend throttling and email changes
+ */
+
+const verification = require('../../utilities/email-verification');
+const mailer = require('../../utilities/mailer');
+const { hashToken } = require('../../utilities/utilities');
+
+describe('Email Verification Module', function() {
+    const originalPolicy = process.env.UNVERIFIED_LOGIN_POLICY;
+
+    afterEach(function() {
+        process.env.UNVERIFIED_LOGIN_POLICY = originalPolicy;
+        delete process.env.EMAIL_VERIFICATION_RESEND_SECONDS;
+    });
+
+    describe('getUnverifiedLoginPolicy()', function() {
+        it('should default to restricted', function() {
+            delete process.env.UNVERIFIED_LOGIN_POLICY;
+
+            expect(verification.getUnverifiedLoginPolicy()).to.equal('restricted');
+        });
+
+        it('should accept deny and allow', function() {
+            process.env.UNVERIFIED_LOGIN_POLICY = 'deny';
+            expect(verification.getUnverifiedLoginPolicy()).to.equal('deny');
+
+            process.env.UNVERIFIED_LOGIN_POLICY = 'allow';
+            expect(verification.getUnverifiedLoginPolicy()).to.equal('allow');
+        });
+
+        it('should fall back to restricted for unknown values', function() {
+            process.env.UNVERIFIED_LOGIN_POLICY = 'whatever';
+
+            expect(verification.getUnverifiedLoginPolicy()).to.equal('restricted');
+        });
+    });
+
+    describe('isVerified()', function() {
+        it('should only treat an explicit false as unverified', function() {
+            expect(verification.isVerified({ verified: false })).to.be.false;
+            expect(verification.isVerified({ verified: true })).to.be.true;
+            expect(verification.isVerified({})).to.be.true;
+        });
+    });
+
+    describe('secondsUntilResendAllowed()', function() {
+        const now = Date.parse('2025-01-01T12:00:00Z');
+
+        it('should allow the first email immediately', function() {
+            expect(verification.secondsUntilResendAllowed({}, now)).to.equal(0);
+        });
+
+        it('should throttle resends within the interval', function() {
+            const user = { emailVerificationSentAt: new Date(now - 20 * 1000) };
+
+            expect(verification.secondsUntilResendAllowed(user, now)).to.equal(40);
+        });
+
+        it('should allow a resend once the interval has passed', function() {
+            process.env.EMAIL_VERIFICATION_RESEND_SECONDS = '10';
+            const user = { emailVerificationSentAt: new Date(now - 20 * 1000) };
+
+            expect(verification.secondsUntilResendAllowed(user, now)).to.equal(0);
+        });
+    });
+    describe('sendEmailChangeConfirmation()', function() {
+        const originalTransport = process.env.MAIL_TRANSPORT;
+        let sent;
+
+        beforeEach(function() {
+            sent = [];
+            mailer.registerMailTransport({ name: 'memory', send: async (message) => sent.push(message) });
+            process.env.MAIL_TRANSPORT = 'memory';
+        });
+
+        after(function() {
+            process.env.MAIL_TRANSPORT = originalTransport;
+        });
+
+        it('should store the pending address and mail a link to it', async function() {
+            const user = { email: 'old@example.com', save: sinon.stub().resolves() };
+
+            await verification.sendEmailChangeConfirmation(user, 'new@example.com');
+
+            expect(user.pendingEmail).to.equal('new@example.com');
+            expect(user.emailChangeExpires.getTime()).to.be.greaterThan(Date.now());
+            expect(user.save.calledOnce).to.be.true;
+
+            const confirmation = sent.find((message) => message.to === 'new@example.com');
+            const token = confirmation.text.match(/confirm-email\?token=([a-f0-9]+)/)[1];
+            expect(user.emailChangeTokenHash).to.equal(hashToken(token));
+        });
+
+        it('should notify the current address without the link', async function() {
+            const user = { email: 'old@example.com', save: sinon.stub().resolves() };
+
+            await verification.sendEmailChangeConfirmation(user, 'new@example.com');
+
+            const notice = sent.find((message) => message.to === 'old@example.com');
+            expect(notice.text).to.include('new@example.com');
+            expect(notice.text).to.not.include('token=');
+        });
+    });
+});
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Unit tests for stock tracking
+ * @description Tests for reservations, available stock, shortages and the low-stock report
+ */
+
+const sinon = require('sinon');
+const fs = require('fs');
+const path = require('path');
+const {
+    isTracked,
+    isReservationHeld,
+    reservedQuantities,
+    availableStock,
+    findShortages,
+    commitReservation,
+    releaseReservation,
+    oversoldOrders,
+    stockReport
+} = require('../../utilities/inventory');
+
+describe('Inventory Module', function() {
+    const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    const products = [
+        { id: 1, name: 'Pixel', stock: 10, lowStockThreshold: 2 },
+        { id: 2, name: 'Galaxy', stock: 4 },
+        { id: 3, name: 'Sticker' },
+        { id: 4, name: 'Case', stock: 0 }
+    ];
+    const orders = [
+        { id: 1, items: [{ productId: 1, quantity: 3 }, { productId: 2, quantity: 1 }], reservation: { status: 'active', expiresAt: inAnHour } },
+        { id: 2, items: [{ productId: 1, quantity: 4 }], reservation: { status: 'active', expiresAt: inAnHour } },
+        { id: 3, items: [{ productId: 1, quantity: 5 }], reservation: { status: 'active', expiresAt: anHourAgo } },
+        { id: 4, items: [{ productId: 2, quantity: 2 }], reservation: { status: 'committed', expiresAt: inAnHour } },
+        { id: 5, items: [{ productId: 2, quantity: 2 }] }
+    ];
+
+    const phone = {
+        id: 5,
+        name: 'Phone',
+        stock: 100,
+        lowStockThreshold: 3,
+        variants: [
+            { id: 1, sku: 'PH-128', options: { storage: '128GB' }, stock: 4 },
+            { id: 2, sku: 'PH-256', options: { storage: '256GB' }, stock: null }
+        ]
+    };
+    const phoneOrders = [
+        { id: 6, items: [{ productId: 5, variantId: 1, quantity: 3 }], reservation: { status: 'active', expiresAt: inAnHour } }
+    ];
+
+    describe('isTracked() / isReservationHeld()', function() {
+        it('should only track products with a stock level', function() {
+            expect(isTracked(products[0])).to.be.true;
+            expect(isTracked(products[3])).to.be.true;
+            expect(isTracked(products[2])).to.be.false;
+        });
+
+        it('should only hold active reservations that have not expired', function() {
+            expect(orders.map(order => isReservationHeld(order))).to.deep.equal([true, true, false, false, false]);
+        });
+    });
+
+    describe('reservedQuantities()', function() {
+        it('should add up the units held per product', function() {
+            const reserved = reservedQuantities(orders);
+
+            expect(reserved.get('1')).to.equal(7);
+            expect(reserved.get('2')).to.equal(1);
+        });
+
+        it('should leave out the given order', function() {
+            expect(reservedQuantities(orders, 2).get('1')).to.equal(3);
+        });
+
+        it('should count variants separately from their product', function() {
+            const reserved = reservedQuantities(phoneOrders);
+
+            expect(reserved.get('5:1')).to.equal(3);
+            expect(reserved.has('5')).to.be.false;
+        });
+    });
+
+    describe('availableStock() / findShortages()', function() {
+        const reserved = reservedQuantities(orders);
+
+        it('should subtract reserved units, never going below zero', function() {
+            expect(availableStock(products[0], reserved)).to.equal(3);
+            expect(availableStock(products[1], reserved)).to.equal(3);
+            expect(availableStock({ id: 1, stock: 5 }, reserved)).to.equal(0);
+            expect(availableStock(products[2], reserved)).to.be.null;
+        });
+
+        it('should report the lines asking for more than is available', function() {
+            const shortages = findShortages([
+                { productId: 1, quantity: 4 },
+                { productId: 2, quantity: 3 },
+                { productId: 3, quantity: 500 },
+                { productId: 99, quantity: 1 }
+            ], products, reserved);
+
+            expect(shortages).to.deep.equal([
+                { productId: 1, name: 'Pixel', requested: 4, available: 3 }
+            ]);
+        });
+
+        it('should check variants against their own stock', function() {
+            const reserved = reservedQuantities(phoneOrders);
+
+            expect(availableStock(phone, reserved, phone.variants[0])).to.equal(1);
+            expect(availableStock(phone, reserved, phone.variants[1])).to.be.null;
+            expect(findShortages([{ productId: 5, variantId: 1, quantity: 2 }], [phone], reserved)).to.deep.equal([
+                { productId: 5, variantId: 1, sku: 'PH-128', name: 'Phone (128GB)', requested: 2, available: 1 }
+            ]);
+        });
+    });
+
+    describe('commitReservation()', function() {
+        let storedProducts, storedOrders;
+
+        // Keep products and orders in memory instead of data/*.json
+        beforeEach(function() {
+            storedProducts = [{ id: 1, name: 'Pixel', stock: 5 }, { id: 3, name: 'Sticker' }];
+            storedOrders = [];
+            sinon.stub(fs, 'readFileSync').callsFake((file) =>
+                JSON.stringify(path.basename(file) === 'products.json' ? storedProducts : storedOrders));
+            sinon.stub(fs, 'writeFileSync').callsFake((file, data) => {
+                if (path.basename(file) === 'products.json') storedProducts = JSON.parse(data);
+            });
+            sinon.stub(console, 'warn');
+        });
+
+        afterEach(function() {
+            sinon.restore();
+        });
+
+        it('should take the reserved units out of stock', function() {
+            const order = {
+                id: 7,
+                items: [{ productId: 1, quantity: 2 }, { productId: 3, quantity: 9 }],
+                reservation: { status: 'active', expiresAt: inAnHour }
+            };
+
+            expect(commitReservation(order)).to.deep.equal([]);
+            expect(storedProducts[0].stock).to.equal(3);
+            expect(order.reservation.status).to.equal('committed');
+            expect(order.reservation).to.not.have.property('shortages');
+        });
+
+        it('should check a lapsed reservation again and record what is short', function() {
+            storedOrders = [{ id: 8, items: [{ productId: 1, quantity: 4 }], reservation: { status: 'active', expiresAt: inAnHour } }];
+            const order = { id: 7, items: [{ productId: 1, quantity: 3 }], reservation: { status: 'active', expiresAt: anHourAgo } };
+
+            const shortages = commitReservation(order);
+
+            expect(shortages).to.deep.equal([{ productId: 1, name: 'Pixel', requested: 3, available: 1 }]);
+            expect(order.reservation).to.include({ status: 'committed' });
+            expect(order.reservation.shortages).to.deep.equal(shortages);
+            expect(storedProducts[0].stock).to.equal(2);
+            expect(console.warn.calledOnce).to.be.true;
+        });
+
+        it('should run only once per order', function() {
+            const order = { id: 7, items: [{ productId: 1, quantity: 9 }], reservation: { status: 'active', expiresAt: anHourAgo } };
+
+            const shortages = commitReservation(order);
+
+            expect(commitReservation(order)).to.deep.equal(shortages);
+            expect(storedProducts[0].stock).to.equal(0);
+            expect(fs.writeFileSync.calledOnce).to.be.true;
+        });
+    });
+
+    describe('oversoldOrders()', function() {
+        beforeEach(function() {
+            sinon.stub(fs, 'readFileSync').returns(JSON.stringify([{ id: 1, name: 'Pixel', stock: 2 }]));
+            sinon.stub(fs, 'writeFileSync');
+            sinon.stub(console, 'warn');
+        });
+
+        afterEach(function() {
+            sinon.restore();
+        });
+
+        it('should list the paid orders committed short of stock until they ship or are refunded', function() {
+            const paid = (id) => ({
+                id,
+                userId: 'u1',
+                status: 'paid',
+                items: [{ productId: 1, quantity: 3 }],
+                reservation: { status: 'active', expiresAt: anHourAgo }
+            });
+            const oversold = paid(7);
+            const shipped = paid(8);
+            const inStock = { ...paid(9), items: [{ productId: 1, quantity: 1 }] };
+            [oversold, shipped, inStock].forEach(order => commitReservation(order));
+            shipped.status = 'shipped';
+
+            expect(oversoldOrders([oversold, shipped, inStock])).to.deep.equal([{
+                orderId: 7,
+                userId: 'u1',
+                committedAt: oversold.reservation.committedAt,
+                shortages: [{ productId: 1, name: 'Pixel', requested: 3, available: 2 }]
+            }]);
+        });
+    });
+
+    describe('releaseReservation()', function() {
+        it('should release active reservations only', function() {
+            const active = releaseReservation({ reservation: { status: 'active', expiresAt: inAnHour } });
+            const committed = releaseReservation({ reservation: { status: 'committed', expiresAt: inAnHour } });
+
+            expect(active.reservation.status).to.equal('released');
+            expect(active.reservation.releasedAt).to.be.a('string');
+            expect(committed.reservation.status).to.equal('committed');
+        });
+    });
+
+    describe('stockReport()', function() {
+        it('should list tracked products, least available first, with low-stock flags', function() {
+            const report = stockReport(products, reservedQuantities(orders));
+
+            expect(report.map(entry => entry.productId)).to.deep.equal([4, 1, 2]);
+            expect(report[1]).to.deep.equal({
+                productId: 1,
+                name: 'Pixel',
+                stock: 10,
+                reserved: 7,
+                available: 3,
+                lowStockThreshold: 2,
+                lowStock: false
+            });
+            expect(report[0].lowStock).to.be.true;
+            expect(report[2]).to.include({ lowStockThreshold: 5, lowStock: true });
+        });
+
+        it('should report the tracked variants of a product instead of the product', function() {
+            const report = stockReport([phone], reservedQuantities(phoneOrders));
+
+            expect(report).to.deep.equal([{
+                productId: 5,
+                variantId: 1,
+                sku: 'PH-128',
+                name: 'Phone (128GB)',
+                stock: 4,
+                reserved: 3,
+                available: 1,
+                lowStockThreshold: 3,
+                lowStock: true
+            }]);
+        });
+    });
+});
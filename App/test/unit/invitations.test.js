@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Unit tests for registration invitations
+ * @description Tests for creating, claiming, releasing and revoking invitation codes
+ */
+
+const sinon = require('sinon');
+const fs = require('fs');
+const invitations = require('../../utilities/invitations');
+
+describe('Invitations Module', function() {
+    const admin = { userId: 'admin1', email: 'admin@example.com' };
+    let storedFile;
+
+    beforeEach(function() {
+        storedFile = '[]';
+        // Keep invitations in memory instead of data/invitations.json
+        sinon.stub(fs, 'readFileSync').callsFake(() => storedFile);
+        sinon.stub(fs, 'writeFileSync').callsFake((file, data) => {
+            storedFile = data;
+        });
+    });
+
+    afterEach(function() {
+        sinon.restore();
+        delete process.env.REGISTRATION_MODE;
+    });
+
+    describe('getRegistrationMode()', function() {
+        it('should be open unless set to invite', function() {
+            expect(invitations.getRegistrationMode()).to.equal('open');
+            process.env.REGISTRATION_MODE = 'closed';
+            expect(invitations.getRegistrationMode()).to.equal('open');
+            process.env.REGISTRATION_MODE = 'invite';
+            expect(invitations.getRegistrationMode()).to.equal('invite');
+        });
+    });
+
+    describe('createInvitation()', function() {
+        it('should return the code once and store only its hash', function() {
+            const { code, invitation } = invitations.createInvitation(admin, { role: 'support', email: ' New@Example.com ' });
+
+            expect(invitation).to.include({ role: 'support', email: 'new@example.com', maxUses: 1, uses: 0, status: 'active' });
+            expect(invitation).to.not.have.property('codeHash');
+            expect(invitation.createdBy).to.deep.equal(admin);
+            expect(storedFile).to.not.include(code);
+        });
+    });
+
+    describe('claimInvitation()', function() {
+        it('should count a use until a single-use invitation is used up', function() {
+            const { code } = invitations.createInvitation(admin);
+
+            const { invitation } = invitations.claimInvitation(code, 'a@example.com');
+
+            expect(invitation).to.include({ uses: 1, status: 'used' });
+            expect(invitations.claimInvitation(code, 'b@example.com')).to.deep.equal({ error: 'used' });
+        });
+
+        it('should allow unlimited uses when maxUses is null', function() {
+            const { code } = invitations.createInvitation(admin, { maxUses: null });
+
+            for (let i = 0; i < 5; i++) {
+                expect(invitations.claimInvitation(code, `user${i}@example.com`)).to.have.property('invitation');
+            }
+        });
+
+        it('should reject unknown, revoked and expired codes', function() {
+            const revoked = invitations.createInvitation(admin);
+            invitations.revokeInvitation(revoked.invitation.id);
+            const expired = invitations.createInvitation(admin, { expiresAt: new Date(Date.now() - 1000) });
+
+            expect(invitations.claimInvitation('nope', 'a@example.com').error).to.equal('invalid');
+            expect(invitations.claimInvitation(undefined, 'a@example.com').error).to.equal('invalid');
+            expect(invitations.claimInvitation(revoked.code, 'a@example.com').error).to.equal('revoked');
+            expect(invitations.claimInvitation(expired.code, 'a@example.com').error).to.equal('expired');
+        });
+
+        it('should only accept the bound email address, ignoring case', function() {
+            const { code } = invitations.createInvitation(admin, { email: 'bob@example.com' });
+
+            expect(invitations.claimInvitation(code, 'eve@example.com').error).to.equal('email');
+            expect(invitations.claimInvitation(code, 'Bob@Example.com ')).to.have.property('invitation');
+        });
+    });
+
+    describe('releaseInvitation() / recordInvitationUse()', function() {
+        it('should give back a use when the account was not created', function() {
+            const { code, invitation } = invitations.createInvitation(admin);
+            invitations.claimInvitation(code, 'a@example.com');
+
+            invitations.releaseInvitation(invitation.id);
+
+            expect(invitations.listInvitations()[0]).to.include({ uses: 0, status: 'active' });
+        });
+
+        it('should remember who registered with an invitation', function() {
+            const { code, invitation } = invitations.createInvitation(admin);
+            invitations.claimInvitation(code, 'a@example.com');
+
+            invitations.recordInvitationUse(invitation.id, { _id: 'u42', email: 'a@example.com' });
+
+            expect(invitations.listInvitations()[0].usedBy[0]).to.include({ userId: 'u42', email: 'a@example.com' });
+        });
+    });
+
+    describe('revokeInvitation()', function() {
+        it('should report unknown and already revoked invitations', function() {
+            const { invitation } = invitations.createInvitation(admin);
+
+            expect(invitations.revokeInvitation(invitation.id)).to.be.true;
+            expect(invitations.revokeInvitation(invitation.id)).to.be.false;
+            expect(invitations.revokeInvitation('missing')).to.be.false;
+        });
+    });
+});
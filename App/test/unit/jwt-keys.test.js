@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Unit tests for JWT signing keys
+ * @description Tests for key loading, kid-based verification, rotation, JWKS and the HS256 fallback
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const jwtKeys = require('../../utilities/jwt-keys');
+
+describe('JWT Keys Module', function() {
+    let keysDir;
+
+    const writeKey = (kid, type, { publicOnly = false } = {}) => {
+        const { privateKey, publicKey } = type === 'rsa'
+            ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+            : crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const pem = publicOnly
+            ? publicKey.export({ type: 'spki', format: 'pem' })
+            : privateKey.export({ type: 'pkcs8', format: 'pem' });
+        fs.writeFileSync(path.join(keysDir, kid + (publicOnly ? '.pub.pem' : '.pem')), pem);
+    };
+
+    beforeEach(function() {
+        keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+        process.env.JWT_SECRET = 'test-secret';
+    });
+
+    afterEach(function() {
+        fs.rmSync(keysDir, { recursive: true, force: true });
+        delete process.env.JWT_KEYS_DIR;
+        delete process.env.JWT_ACTIVE_KID;
+        jwtKeys.reloadKeys();
+    });
+
+    describe('loadKeyring()', function() {
+        it('should sign with the private key whose kid sorts last', function() {
+            writeKey('20250101T000000-aaaaaa', 'rsa');
+            writeKey('20250201T000000-bbbbbb', 'ec');
+
+            const { keys, signingKey } = jwtKeys.loadKeyring(keysDir);
+
+            expect(keys.size).to.equal(2);
+            expect(signingKey).to.include({ kid: '20250201T000000-bbbbbb', alg: 'ES256' });
+            expect(keys.get('20250101T000000-aaaaaa').alg).to.equal('RS256');
+        });
+
+        it('should honour an explicit active kid', function() {
+            writeKey('a', 'ec');
+            writeKey('b', 'ec');
+
+            expect(jwtKeys.loadKeyring(keysDir, 'a').signingKey.kid).to.equal('a');
+        });
+
+        it('should refuse a directory without a private key', function() {
+            writeKey('retired', 'ec', { publicOnly: true });
+
+            expect(() => jwtKeys.loadKeyring(keysDir)).to.throw('No private JWT key');
+        });
+
+        it('should refuse unsupported curves', function() {
+            const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp384r1' });
+            fs.writeFileSync(path.join(keysDir, 'p384.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+            expect(() => jwtKeys.loadKeyring(keysDir)).to.throw('only RSA (RS256) and EC P-256 (ES256)');
+        });
+    });
+
+    describe('signJwt() / verifyJwt()', function() {
+        it('should fall back to HS256 with JWT_SECRET without a key directory', function() {
+            const token = jwtKeys.signJwt({ userId: 'u1' });
+
+            expect(jwt.decode(token, { complete: true }).header.alg).to.equal('HS256');
+            expect(jwtKeys.verifyJwt(token).userId).to.equal('u1');
+        });
+
+        it('should pass verify options on, such as the expected audience', function() {
+            const token = jwtKeys.signJwt({ userId: 'u1' }, { audience: 'access' });
+
+            expect(jwtKeys.verifyJwt(token, { audience: 'access' }).aud).to.equal('access');
+            expect(() => jwtKeys.verifyJwt(token, { audience: '2fa-login' })).to.throw('jwt audience invalid');
+        });
+
+        it('should sign with the kid of the active key', function() {
+            writeKey('k1', 'rsa');
+            process.env.JWT_KEYS_DIR = keysDir;
+            jwtKeys.reloadKeys();
+
+            const token = jwtKeys.signJwt({ userId: 'u1' }, { expiresIn: '5m' });
+
+            expect(jwt.decode(token, { complete: true }).header).to.include({ alg: 'RS256', kid: 'k1' });
+            expect(jwtKeys.verifyJwt(token).userId).to.equal('u1');
+        });
+
+        it('should keep verifying tokens of a retired key after a rotation', function() {
+            writeKey('k1', 'ec');
+            process.env.JWT_KEYS_DIR = keysDir;
+            jwtKeys.reloadKeys();
+            const oldToken = jwtKeys.signJwt({ userId: 'u1' });
+
+            // Rotate: k2 signs from now on, k1 only keeps its public half
+            const publicPem = crypto.createPublicKey(fs.readFileSync(path.join(keysDir, 'k1.pem')))
+                .export({ type: 'spki', format: 'pem' });
+            fs.unlinkSync(path.join(keysDir, 'k1.pem'));
+            fs.writeFileSync(path.join(keysDir, 'k1.pub.pem'), publicPem);
+            writeKey('k2', 'ec');
+            jwtKeys.reloadKeys();
+
+            expect(jwt.decode(jwtKeys.signJwt({}), { complete: true }).header.kid).to.equal('k2');
+            expect(jwtKeys.verifyJwt(oldToken).userId).to.equal('u1');
+        });
+
+        it('should reject HS256 tokens and unknown kids once keys are configured', function() {
+            writeKey('k1', 'ec');
+            process.env.JWT_KEYS_DIR = keysDir;
+            jwtKeys.reloadKeys();
+
+            const hsToken = jwt.sign({ userId: 'u1' }, 'test-secret');
+            expect(() => jwtKeys.verifyJwt(hsToken)).to.throw(jwt.JsonWebTokenError);
+
+            const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+            const forged = jwt.sign({ userId: 'u1' }, privateKey, { algorithm: 'ES256', keyid: 'k9' });
+            expect(() => jwtKeys.verifyJwt(forged)).to.throw('unknown or missing key id');
+        });
+    });
+
+    describe('getJwks()', function() {
+        it('should publish only public key material', function() {
+            writeKey('k1', 'rsa');
+            writeKey('k2', 'ec');
+            process.env.JWT_KEYS_DIR = keysDir;
+            jwtKeys.reloadKeys();
+
+            const { keys } = jwtKeys.getJwks();
+
+            expect(keys.map((key) => key.kid)).to.deep.equal(['k1', 'k2']);
+            expect(keys[0]).to.include({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+            expect(keys[1]).to.include({ kty: 'EC', alg: 'ES256', crv: 'P-256' });
+            keys.forEach((key) => expect(key).to.not.have.property('d'));
+        });
+
+        it('should be empty with HS256', function() {
+            expect(jwtKeys.getJwks()).to.deep.equal({ keys: [] });
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Unit tests for failed-login throttling
+ * @description Tests for the memory store, exponential backoff and lockout
+ */
+
+const { createMemoryStore, createThrottle } = require('../../utilities/login-throttle');
+
+describe('Login Throttle Module', function() {
+    const now = 1700000000000;
+    let throttle;
+
+    beforeEach(function() {
+        throttle = createThrottle({
+            prefix: 'test',
+            freeAttempts: 2,
+            baseDelayMs: 1000,
+            maxDelayMs: 4000,
+            maxFailures: 6,
+            lockoutMs: 60000
+        });
+    });
+
+    describe('createMemoryStore()', function() {
+        afterEach(function() {
+            sinon.restore();
+        });
+
+        it('should forget entries once their ttl has passed', async function() {
+            const clock = sinon.useFakeTimers(now);
+            const store = createMemoryStore();
+
+            await store.set('k', { failures: 1 }, 1000);
+            expect(await store.get('k')).to.deep.equal({ failures: 1 });
+
+            clock.tick(1000);
+            expect(await store.get('k')).to.be.undefined;
+        });
+    });
+
+    describe('recordFailure()', function() {
+        it('should not block within the free attempts', async function() {
+            await throttle.recordFailure('a@example.com', now);
+            await throttle.recordFailure('a@example.com', now);
+
+            expect(await throttle.retryAfter('a@example.com', now)).to.equal(0);
+        });
+
+        it('should back off exponentially up to the cap', async function() {
+            const delays = [];
+            for (let i = 0; i < 5; i++) {
+                const record = await throttle.recordFailure('a@example.com', now);
+                delays.push(record.blockedUntil ? record.blockedUntil - now : 0);
+            }
+
+            expect(delays).to.deep.equal([0, 0, 1000, 2000, 4000]);
+            expect(await throttle.retryAfter('a@example.com', now)).to.equal(4);
+            expect(await throttle.retryAfter('a@example.com', now + 4000)).to.equal(0);
+        });
+
+        it('should lock the key out after maxFailures', async function() {
+            let record;
+            for (let i = 0; i < 6; i++) {
+                record = await throttle.recordFailure('a@example.com', now);
+            }
+
+            expect(record.lockedOut).to.be.true;
+            expect(await throttle.retryAfter('a@example.com', now)).to.equal(60);
+        });
+
+        it('should count keys independently', async function() {
+            for (let i = 0; i < 3; i++) {
+                await throttle.recordFailure('a@example.com', now);
+            }
+
+            expect(await throttle.retryAfter('b@example.com', now)).to.equal(0);
+        });
+    });
+
+    describe('reset()', function() {
+        it('should clear counters and any lockout', async function() {
+            for (let i = 0; i < 6; i++) {
+                await throttle.recordFailure('a@example.com', now);
+            }
+
+            await throttle.reset('a@example.com');
+
+            expect(await throttle.status('a@example.com')).to.be.null;
+            expect(await throttle.retryAfter('a@example.com', now)).to.equal(0);
+        });
+    });
+});
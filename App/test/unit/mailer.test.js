@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Unit tests for the mailer
+ * @description Tests for transport selection, the local sinks and app links
+ */
+
+const sinon = require('sinon');
+const fs = require('fs');
+const mailer = require('../../utilities/mailer');
+
+describe('Mailer Module', function() {
+    const originalTransport = process.env.MAIL_TRANSPORT;
+    const originalAppUrl = process.env.APP_URL;
+    const originalNodeEnv = process.env.NODE_ENV;
+
+    afterEach(function() {
+        sinon.restore();
+        process.env.MAIL_TRANSPORT = originalTransport;
+        process.env.APP_URL = originalAppUrl;
+        if (originalNodeEnv === undefined) {
+            delete process.env.NODE_ENV;
+        } else {
+            process.env.NODE_ENV = originalNodeEnv;
+        }
+    });
+
+    describe('getMailTransport()', function() {
+        it('should default to the console transport', function() {
+            delete process.env.MAIL_TRANSPORT;
+
+            expect(mailer.getMailTransport().name).to.equal('console');
+        });
+
+        it('should throw for unknown transports', function() {
+            expect(() => mailer.getMailTransport('carrier-pigeon')).to.throw('Unknown mail transport');
+        });
+    });
+
+    describe('sendMail()', function() {
+        it('should hand the message to the selected transport', async function() {
+            const sent = [];
+            mailer.registerMailTransport({ name: 'memory', send: async (message) => sent.push(message) });
+            process.env.MAIL_TRANSPORT = 'memory';
+
+            await mailer.sendMail({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+
+            expect(sent).to.have.length(1);
+            expect(sent[0]).to.include({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+            expect(sent[0].from).to.be.a('string');
+        });
+
+        it('should write .eml files with the file transport', async function() {
+            sinon.stub(fs, 'mkdirSync');
+            const writeStub = sinon.stub(fs, 'writeFileSync');
+            process.env.MAIL_TRANSPORT = 'file';
+
+            await mailer.sendMail({ to: 'a@example.com', subject: 'Reset', text: 'Link' });
+
+            expect(writeStub.calledOnce).to.be.true;
+            expect(writeStub.firstCall.args[0]).to.match(/\.eml$/);
+            expect(writeStub.firstCall.args[1]).to.include('Subject: Reset');
+        });
+    });
+
+    describe('buildAppUrl()', function() {
+        it('should build links on APP_URL', function() {
+            process.env.APP_URL = 'https://shop.example.com/';
+
+            expect(mailer.buildAppUrl('/x?y=1')).to.equal('https://shop.example.com/x?y=1');
+        });
+
+        it('should refuse to build links without a valid APP_URL in production', function() {
+            process.env.NODE_ENV = 'production';
+            delete process.env.APP_URL;
+            expect(() => mailer.buildAppUrl('/x')).to.throw('APP_URL must be set');
+
+            process.env.APP_URL = 'shop.example.com';
+            expect(() => mailer.getAppUrl()).to.throw('APP_URL must be set');
+        });
+
+        it('should fall back to localhost, with a warning, outside production', function() {
+            const warn = sinon.stub(console, 'warn');
+            process.env.NODE_ENV = 'development';
+            delete process.env.APP_URL;
+
+            expect(mailer.buildAppUrl('/x')).to.match(/^http:\/\/localhost:\d+\/x$/);
+            expect(mailer.getAppUrl()).to.match(/^http:\/\/localhost:\d+$/);
+            expect(warn.calledOnce).to.be.true;
+
+            process.env.APP_URL = 'shop.example.com';
+            expect(() => mailer.getAppUrl()).to.throw('APP_URL must be set');
+        });
+    });
+});
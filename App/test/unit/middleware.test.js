@@ -108,6 +108,46 @@ describe('Authentication Middleware', function() {
             });
         });
 
+        describe('Email Verification', function() {
+            it('should deny tokens issued to unverified accounts', function() {
+                req.user = { roles: ['user'], verified: false };
+
+                securityMiddleware(req, res, next);
+
+                expect(res.status.calledWith(403)).to.be.true;
+                expect(res.json.calledWith({
+                    success: false,
+                    error: 'Email verification required'
+                })).to.be.true;
+                expect(next.called).to.be.false;
+            });
+
+            it('should allow verified accounts and tokens without the claim', function() {
+                req.user = { roles: ['user'], verified: true };
+                securityMiddleware(req, res, next);
+
+                req.user = { roles: ['user'] };
+                securityMiddleware(req, res, next);
+
+                expect(next.calledTwice).to.be.true;
+            });
+        });
+
+        describe('Two-Factor Enforcement', function() {
+            it('should deny tokens that still need 2FA setup', function() {
+                req.user = { roles: ['user'], mfaSetupRequired: true };
+
+                securityMiddleware(req, res, next);
+
+                expect(res.status.calledWith(403)).to.be.true;
+                expect(res.json.calledWith({
+                    success: false,
+                    error: 'Two-factor authentication setup required'
+                })).to.be.true;
+                expect(next.called).to.be.false;
+            });
+        });
+
         describe('Role Case Sensitivity', function() {
             it('should be case sensitive for role matching', function() {
                 req.user = { roles: ['User'] }; // Capital 'U'
@@ -200,6 +240,28 @@ describe('Authentication Middleware', function() {
             });
         });
 
+        describe('Email Verification', function() {
+            it('should deny unverified admins', function() {
+                req.user = { roles: ['admin'], verified: false };
+
+                adminMiddleware(req, res, next);
+
+                expect(res.status.calledWith(403)).to.be.true;
+                expect(next.called).to.be.false;
+            });
+        });
+
+        describe('Two-Factor Enforcement', function() {
+            it('should deny admins that have not enrolled in required 2FA', function() {
+                req.user = { roles: ['admin'], mfaSetupRequired: true };
+
+                adminMiddleware(req, res, next);
+
+                expect(res.status.calledWith(403)).to.be.true;
+                expect(next.called).to.be.false;
+            });
+        });
+
         describe('Case Sensitivity', function() {
             it('should be case sensitive for admin role', function() {
                 req.user = { roles: ['Admin'] }; // Capital 'A'
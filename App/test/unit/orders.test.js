@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Unit tests for the orders module
+ * @description Tests for cart snapshots and order persistence
+ */
+
+const sinon = require('sinon');
+const fs = require('fs');
+const orders = require('../../utilities/orders');
+
+describe('Orders Module', function() {
+    let fsReadSyncStub, fsWriteSyncStub;
+
+    const products = [
+        { id: 1, name: 'Product 1', price: 10.00 },
+        { id: 2, name: 'Product 2', price: 25.50 }
+    ];
+
+    beforeEach(function() {
+        fsReadSyncStub = sinon.stub(fs, 'readFileSync');
+        fsWriteSyncStub = sinon.stub(fs, 'writeFileSync');
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('snapshotCartItems()', function() {
+        it('should copy the current product name and price into each line', function() {
+            const cartItems = [
+                { id: 1, productId: 1, quantity: 2 },
+                { id: 2, productId: 2, quantity: 1 }
+            ];
+
+            const { items, missingProductIds } = orders.snapshotCartItems(cartItems, products);
+
+            expect(missingProductIds).to.be.empty;
+            expect(items).to.deep.equal([
+                { productId: 1, name: 'Product 1', price: 10.00, quantity: 2, subtotal: 20.00 },
+                { productId: 2, name: 'Product 2', price: 25.50, quantity: 1, subtotal: 25.50 }
+            ]);
+        });
+
+        it('should report products that no longer exist', function() {
+            const cartItems = [
+                { id: 1, productId: 1, quantity: 1 },
+                { id: 2, productId: 999, quantity: 1 }
+            ];
+
+            const { items, missingProductIds } = orders.snapshotCartItems(cartItems, products);
+
+            expect(items).to.have.length(1);
+            expect(missingProductIds).to.deep.equal([999]);
+        });
+
+        it('should snapshot the variant, its SKU and its own price', function() {
+            const phone = {
+                id: 3,
+                name: 'Phone',
+                price: 500,
+                variants: [
+                    { id: 1, sku: 'PH-128', options: { storage: '128GB', colour: 'Black' }, price: null },
+                    { id: 2, sku: 'PH-256', options: { storage: '256GB', colour: 'Black' }, price: 600 }
+                ]
+            };
+            const cartItems = [
+                { id: 1, productId: 3, variantId: 2, quantity: 2 },
+                { id: 2, productId: 3, variantId: 9, quantity: 1 }
+            ];
+
+            const { items, missingProductIds } = orders.snapshotCartItems(cartItems, [phone]);
+
+            expect(items).to.deep.equal([
+                { productId: 3, variantId: 2, sku: 'PH-256', variant: '256GB / Black', name: 'Phone', price: 600, quantity: 2, subtotal: 1200 }
+            ]);
+            expect(missingProductIds).to.deep.equal([3]);
+        });
+
+        it('should set aside lines without a variant once the product has variants', function() {
+            const phone = { id: 3, name: 'Phone', price: 500, variants: [{ id: 1, sku: 'PH-128', options: { storage: '128GB' }, price: 450 }] };
+            const cartItems = [
+                { id: 1, productId: 3, quantity: 1 },
+                { id: 2, productId: 1, quantity: 1 }
+            ];
+
+            const { items, missingProductIds, variantRequiredIds } = orders.snapshotCartItems(cartItems, [phone, products[0]]);
+
+            expect(items.map(item => item.productId)).to.deep.equal([1]);
+            expect(missingProductIds).to.be.empty;
+            expect(variantRequiredIds).to.deep.equal([3]);
+        });
+    });
+
+    describe('createOrder()', function() {
+        it('should persist a pending order with totals', function() {
+            fsReadSyncStub.returns(JSON.stringify([{ id: 4, userId: 'bob' }]));
+            const items = [
+                { productId: 1, name: 'Product 1', price: 10.00, quantity: 2, subtotal: 20.00 },
+                { productId: 2, name: 'Product 2', price: 25.50, quantity: 1, subtotal: 25.50 }
+            ];
+
+            const order = orders.createOrder('alice', items);
+
+            expect(order).to.include({ id: 5, userId: 'alice', status: 'pending', total: 45.50, itemCount: 3 });
+            const writtenData = JSON.parse(fsWriteSyncStub.firstCall.args[1]);
+            expect(writtenData).to.have.length(2);
+            expect(writtenData[1].id).to.equal(5);
+        });
+    });
+
+    describe('Order Lifecycle', function() {
+        describe('canTransition()', function() {
+            it('should allow the forward path from pending to delivered', function() {
+                expect(orders.canTransition('pending', 'paid')).to.be.true;
+                expect(orders.canTransition('paid', 'shipped')).to.be.true;
+                expect(orders.canTransition('shipped', 'delivered')).to.be.true;
+            });
+
+            it('should allow cancelling and refunding where legal', function() {
+                expect(orders.canTransition('pending', 'cancelled')).to.be.true;
+                expect(orders.canTransition('paid', 'refunded')).to.be.true;
+                expect(orders.canTransition('delivered', 'refunded')).to.be.true;
+            });
+
+            it('should reject impossible transitions', function() {
+                expect(orders.canTransition('pending', 'shipped')).to.be.false;
+                expect(orders.canTransition('shipped', 'cancelled')).to.be.false;
+                expect(orders.canTransition('cancelled', 'paid')).to.be.false;
+                expect(orders.canTransition('refunded', 'paid')).to.be.false;
+                expect(orders.canTransition('unknown', 'paid')).to.be.false;
+            });
+        });
+
+        describe('applyTransition()', function() {
+            it('should update the status and record the acting user', function() {
+                const order = { id: 1, status: 'pending', history: [] };
+
+                orders.applyTransition(order, 'paid', { userId: 'admin1', email: 'admin@example.com' }, 'Paid by wire');
+
+                expect(order.status).to.equal('paid');
+                expect(order.updatedAt).to.be.a('string');
+                expect(order.history).to.have.length(1);
+                expect(order.history[0]).to.include({ from: 'pending', to: 'paid', note: 'Paid by wire' });
+                expect(order.history[0].by).to.deep.equal({ userId: 'admin1', email: 'admin@example.com' });
+            });
+
+            it('should start a history for orders created before tracking', function() {
+                const order = { id: 1, status: 'pending' };
+
+                orders.applyTransition(order, 'cancelled', { userId: 'alice' });
+
+                expect(order.history).to.have.length(1);
+                expect(order.history[0]).to.not.have.property('note');
+            });
+        });
+    });
+
+    describe('readUserOrders()', function() {
+        it('should only return orders owned by the user', function() {
+            fsReadSyncStub.returns(JSON.stringify([
+                { id: 1, userId: 'alice' },
+                { id: 2, userId: 'bob' }
+            ]));
+
+            expect(orders.readUserOrders('bob').map(o => o.id)).to.deep.equal([2]);
+        });
+    });
+});
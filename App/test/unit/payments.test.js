@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Unit tests for the payment gateway
+ * @description Tests for the fake provider, order payment and webhook handling
+ */
+
+const fakeProvider = require('../../utilities/payments/fake-provider');
+const payments = require('../../utilities/payments');
+
+const SUCCESS_CARD = '4242424242424242';
+const DECLINED_CARD = '4000000000000002';
+const TIMEOUT_CARD = '4000000000000119';
+
+const pendingOrder = () => ({
+    id: 7,
+    userId: 'alice',
+    total: 45.50,
+    status: 'pending',
+    history: []
+});
+
+describe('Payment Gateway', function() {
+    describe('Fake Provider', function() {
+        it('should authorize, capture and refund a successful card', async function() {
+            const authorization = await fakeProvider.authorize({ amount: 1000, currency: 'EUR', card: SUCCESS_CARD });
+            expect(authorization.status).to.equal('authorized');
+            expect(authorization.last4).to.equal('4242');
+
+            const captured = await fakeProvider.capture(authorization.transactionId, 1000);
+            expect(captured.status).to.equal('captured');
+
+            const refund = await fakeProvider.refund(authorization.transactionId);
+            expect(refund.status).to.equal('refunded');
+            expect(refund.amount).to.equal(1000);
+        });
+
+        it('should decline the decline test card', async function() {
+            const authorization = await fakeProvider.authorize({ amount: 1000, card: DECLINED_CARD });
+
+            expect(authorization).to.deep.equal({ status: 'declined', reason: 'card_declined' });
+        });
+
+        it('should decline malformed card numbers', async function() {
+            const authorization = await fakeProvider.authorize({ amount: 1000, card: 'abcd' });
+
+            expect(authorization.reason).to.equal('invalid_card');
+        });
+
+        it('should reject with a timeout error for the timeout test card', async function() {
+            try {
+                await fakeProvider.authorize({ amount: 1000, card: TIMEOUT_CARD });
+                expect.fail('authorize should have rejected');
+            } catch (error) {
+                expect(error.code).to.equal('PAYMENT_TIMEOUT');
+            }
+        });
+
+        it('should refuse to refund a transaction that was never captured', async function() {
+            const authorization = await fakeProvider.authorize({ amount: 1000, card: SUCCESS_CARD });
+
+            try {
+                await fakeProvider.refund(authorization.transactionId);
+                expect.fail('refund should have rejected');
+            } catch (error) {
+                expect(error.message).to.include('cannot be refunded');
+                expect(error.code).to.equal('REFUND_NOT_POSSIBLE');
+            }
+        });
+
+        describe('webhooks', function() {
+            const originalSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+            afterEach(function() {
+                if (originalSecret === undefined) delete process.env.PAYMENT_WEBHOOK_SECRET;
+                else process.env.PAYMENT_WEBHOOK_SECRET = originalSecret;
+            });
+
+            it('should only accept webhooks signed with the shared secret', function() {
+                process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+                const body = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'payment.captured' }));
+
+                expect(fakeProvider.webhooksEnabled()).to.be.true;
+                expect(fakeProvider.verifyWebhook(body, fakeProvider.signWebhookPayload(body))).to.be.true;
+                expect(fakeProvider.verifyWebhook(body, 'deadbeef')).to.be.false;
+                expect(fakeProvider.verifyWebhook(body, undefined)).to.be.false;
+            });
+
+            it('should accept no webhook while the secret is not configured', function() {
+                delete process.env.PAYMENT_WEBHOOK_SECRET;
+                const body = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'payment.captured' }));
+
+                expect(fakeProvider.webhooksEnabled()).to.be.false;
+                expect(fakeProvider.verifyWebhook(body, 'deadbeef')).to.be.false;
+            });
+        });
+    });
+
+    describe('payOrder()', function() {
+        it('should capture the total in minor units and mark the order paid', async function() {
+            const { outcome, order } = await payments.payOrder(pendingOrder(), SUCCESS_CARD);
+
+            expect(outcome).to.equal('paid');
+            expect(order.status).to.equal('paid');
+            expect(order.payment).to.include({ provider: 'fake', status: 'captured', amount: 4550 });
+            expect(order.history[0].by.userId).to.equal('payment:fake');
+        });
+
+        it('should leave a declined order pending', async function() {
+            const { outcome, order } = await payments.payOrder(pendingOrder(), DECLINED_CARD);
+
+            expect(outcome).to.equal('declined');
+            expect(order.status).to.equal('pending');
+            expect(order.payment.reason).to.equal('card_declined');
+        });
+
+        it('should leave a timed out order pending', async function() {
+            const { outcome, order } = await payments.payOrder(pendingOrder(), TIMEOUT_CARD);
+
+            expect(outcome).to.equal('timeout');
+            expect(order.status).to.equal('pending');
+            expect(order.payment.status).to.equal('timeout');
+            expect(order.payment.reference).to.equal('order_7');
+        });
+    });
+
+    describe('refundOrderPayment()', function() {
+        it('should refund a captured payment through its provider', async function() {
+            const { order } = await payments.payOrder(pendingOrder(), SUCCESS_CARD);
+
+            await payments.refundOrderPayment(order);
+
+            expect(order.payment.status).to.equal('refunded');
+            expect(order.payment.refundId).to.be.a('string');
+        });
+
+        it('should ignore orders without a captured payment', async function() {
+            const order = pendingOrder();
+
+            await payments.refundOrderPayment(order);
+
+            expect(order).to.not.have.property('payment');
+        });
+    });
+
+    describe('applyWebhookEvent()', function() {
+        it('should mark a pending order as paid', function() {
+            const order = { ...pendingOrder(), payment: { provider: 'fake', transactionId: 'txn_1' } };
+
+            const updated = payments.applyWebhookEvent(order, { id: 'evt_1', type: 'payment.captured', transactionId: 'txn_1' }, fakeProvider);
+
+            expect(updated).to.be.true;
+            expect(order.status).to.equal('paid');
+            expect(order.payment.processedEvents).to.deep.equal(['evt_1']);
+        });
+
+        it('should apply each event only once', function() {
+            const order = { ...pendingOrder(), payment: { provider: 'fake', transactionId: 'txn_1' } };
+            const event = { id: 'evt_1', type: 'payment.captured', transactionId: 'txn_1' };
+
+            payments.applyWebhookEvent(order, event, fakeProvider);
+            const updatedAgain = payments.applyWebhookEvent(order, event, fakeProvider);
+
+            expect(updatedAgain).to.be.false;
+            expect(order.history).to.have.length(1);
+        });
+
+        it('should ignore a payment.failed event once the order is paid', function() {
+            const order = { ...pendingOrder(), status: 'paid', payment: { provider: 'fake', status: 'captured' } };
+
+            const updated = payments.applyWebhookEvent(order, { id: 'evt_3', type: 'payment.failed' }, fakeProvider);
+
+            expect(updated).to.be.false;
+            expect(order.payment.status).to.equal('captured');
+        });
+
+        it('should ignore events that imply an illegal transition', function() {
+            const order = { ...pendingOrder(), status: 'cancelled', payment: { provider: 'fake' } };
+
+            const updated = payments.applyWebhookEvent(order, { id: 'evt_2', type: 'payment.captured' }, fakeProvider);
+
+            expect(updated).to.be.false;
+            expect(order.status).to.equal('cancelled');
+        });
+    });
+
+    describe('findWebhookOrder()', function() {
+        const orders = [
+            { id: 1, payment: { provider: 'fake', reference: 'order_1', transactionId: 'txn_1' } },
+            { id: 2, payment: { provider: 'fake', reference: 'order_2', status: 'timeout' } },
+            { id: 3, payment: { provider: 'other', reference: 'order_3', transactionId: 'txn_3' } },
+            { id: 4 }
+        ];
+
+        it('should match events by transaction id, then by payment reference', function() {
+            expect(payments.findWebhookOrder(orders, { transactionId: 'txn_1', reference: 'order_2' }, fakeProvider).id).to.equal(1);
+            expect(payments.findWebhookOrder(orders, { transactionId: 'txn_9', reference: 'order_2' }, fakeProvider).id).to.equal(2);
+        });
+
+        it('should only match orders paid through the same provider', function() {
+            expect(payments.findWebhookOrder(orders, { transactionId: 'txn_3', reference: 'order_3' }, fakeProvider)).to.be.null;
+            expect(payments.findWebhookOrder(orders, {}, fakeProvider)).to.be.null;
+        });
+
+        it('should let a capture webhook pay an order whose authorization timed out', async function() {
+            const { order } = await payments.payOrder(pendingOrder(), TIMEOUT_CARD);
+            const event = { id: 'evt_9', type: 'payment.captured', transactionId: 'txn_late', reference: 'order_7' };
+
+            const matched = payments.findWebhookOrder([order], event, fakeProvider);
+            const updated = payments.applyWebhookEvent(matched, event, fakeProvider);
+
+            expect(matched).to.equal(order);
+            expect(updated).to.be.true;
+            expect(order.status).to.equal('paid');
+            expect(order.payment).to.include({ status: 'captured', transactionId: 'txn_late', reference: 'order_7' });
+        });
+    });
+});
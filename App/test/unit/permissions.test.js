@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Unit tests for the permission model
+ * @description Tests for policy loading, permission resolution, requirePermission() and rejectApiKeyCaller()
+ */
+
+const sinon = require('sinon');
+const fs = require('fs');
+const { DEFAULT_POLICY, ROLES, loadPolicy, resolvePermissions, hasPermission, canGrantRole } = require('../../config/permissions');
+const { requirePermission, rejectApiKeyCaller, getPermissions, can } = require('../../middleware/permissions');
+
+describe('Permissions', function() {
+    describe('Policy', function() {
+        afterEach(function() {
+            sinon.restore();
+        });
+
+        it('should expose every policy role as an assignable role', function() {
+            expect(ROLES).to.include.members(['user', 'support', 'admin']);
+        });
+
+        it('should give support staff partial admin powers', function() {
+            const support = resolvePermissions(['user', 'support']);
+
+            expect(support).to.include.members(['orders:read:any', 'orders:refund', 'chat:moderate']);
+            expect(support).to.not.include('products:write');
+            expect(support).to.not.include('users:roles');
+        });
+
+        it('should merge the roles of a user without duplicates', function() {
+            const permissions = resolvePermissions(['user', 'user', 'unknown']);
+
+            expect(permissions).to.deep.equal([...DEFAULT_POLICY.user].sort());
+        });
+
+        it('should replace and add roles from a policy file', function() {
+            sinon.stub(fs, 'readFileSync').returns(JSON.stringify({
+                support: ['orders:read:any'],
+                auditor: ['orders:*', 'users:read']
+            }));
+
+            const policy = loadPolicy('/etc/policy.json');
+
+            expect(policy.support).to.deep.equal(['orders:read:any']);
+            expect(policy.auditor).to.deep.equal(['orders:*', 'users:read']);
+            expect(policy.admin).to.deep.equal(['*']);
+        });
+
+        it('should refuse policy files with unknown permissions', function() {
+            sinon.stub(fs, 'readFileSync').returns(JSON.stringify({ support: ['orders:destroy'] }));
+
+            expect(() => loadPolicy('/etc/policy.json')).to.throw('unknown permissions for role "support": orders:destroy');
+        });
+    });
+
+    describe('hasPermission()', function() {
+        it('should match exact names and wildcards', function() {
+            expect(hasPermission(['orders:read'], 'orders:read')).to.be.true;
+            expect(hasPermission(['orders:*'], 'orders:read:any')).to.be.true;
+            expect(hasPermission(['*'], 'users:roles')).to.be.true;
+            expect(hasPermission(['orders:read'], 'orders:read:any')).to.be.false;
+            expect(hasPermission(['order:*'], 'orders:read')).to.be.false;
+        });
+    });
+
+    describe('canGrantRole()', function() {
+        it('should only let callers grant roles whose permissions they all hold', function() {
+            const support = resolvePermissions(['support']);
+
+            expect(canGrantRole(['*'], 'admin')).to.be.true;
+            expect(canGrantRole(support, 'user')).to.be.true;
+            expect(canGrantRole(support, 'support')).to.be.true;
+            expect(canGrantRole([...support, 'users:roles'], 'admin')).to.be.false;
+            expect(canGrantRole(['users:*', 'orders:*'], 'admin')).to.be.false;
+        });
+    });
+
+    describe('getPermissions()', function() {
+        it('should prefer the permissions embedded in the token', function() {
+            expect(getPermissions({ roles: ['admin'], permissions: ['products:read'] })).to.deep.equal(['products:read']);
+        });
+
+        it('should resolve roles for tokens without embedded permissions', function() {
+            expect(can({ roles: ['admin'] }, 'users:manage')).to.be.true;
+            expect(can({ roles: ['user'] }, 'users:manage')).to.be.false;
+        });
+    });
+
+    describe('requirePermission()', function() {
+        let req, res, next;
+
+        beforeEach(function() {
+            req = { user: { roles: ['user'], permissions: resolvePermissions(['user']) } };
+            res = {
+                status: sinon.stub().returnsThis(),
+                json: sinon.stub().returnsThis()
+            };
+            next = sinon.stub();
+        });
+
+        it('should call next when every permission is held', function() {
+            requirePermission('cart:use', 'orders:write')(req, res, next);
+
+            expect(next.calledOnce).to.be.true;
+        });
+
+        it('should answer 403 with the required permissions otherwise', function() {
+            requirePermission('products:read', 'products:write')(req, res, next);
+
+            expect(res.status.calledWith(403)).to.be.true;
+            expect(res.json.calledWith({
+                success: false,
+                error: 'Forbidden',
+                requiredPermissions: ['products:read', 'products:write']
+            })).to.be.true;
+            expect(next.called).to.be.false;
+        });
+
+        it('should refuse restricted tokens even with the permission', function() {
+            req.user.verified = false;
+
+            requirePermission('cart:use')(req, res, next);
+
+            expect(res.json.calledWith({ success: false, error: 'Email verification required' })).to.be.true;
+            expect(next.called).to.be.false;
+        });
+
+        it('should deny requests without a user', function() {
+            req.user = undefined;
+
+            requirePermission('products:read')(req, res, next);
+
+            expect(res.status.calledWith(403)).to.be.true;
+        });
+    });
+
+    describe('rejectApiKeyCaller()', function() {
+        let res, next;
+
+        beforeEach(function() {
+            res = {
+                status: sinon.stub().returnsThis(),
+                json: sinon.stub().returnsThis()
+            };
+            next = sinon.stub();
+        });
+
+        it('should let login sessions through', function() {
+            rejectApiKeyCaller('manage API keys')({ user: { roles: ['user'] } }, res, next);
+
+            expect(next.calledOnce).to.be.true;
+        });
+
+        it('should answer 403 naming the action for API key callers', function() {
+            rejectApiKeyCaller('manage API keys')({ user: { roles: ['user'], apiKeyId: 'key-1' } }, res, next);
+
+            expect(res.status.calledWith(403)).to.be.true;
+            expect(res.json.calledWith({
+                success: false,
+                error: 'API keys cannot be used to manage API keys'
+            })).to.be.true;
+            expect(next.called).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Unit tests for product catalog listing
+ * @description Tests for filters, sort orders, page numbers, cursors and page links
+ */
+
+const {
+    compareProducts,
+    filterProducts,
+    encodeCursor,
+    decodeCursor,
+    paginateProducts,
+    listingQuery
+} = require('../../utilities/product-listing');
+
+describe('Product Listing Module', function() {
+    const products = [
+        { id: 1, name: 'banana', price: 3, createdAt: '2025-01-03T00:00:00.000Z' },
+        { id: 2, name: 'Apple', price: 5, createdAt: '2025-01-01T00:00:00.000Z' },
+        { id: 3, name: 'cherry', price: 5, createdAt: '2025-01-02T00:00:00.000Z' },
+        { id: 4, name: 'date', price: 8, createdAt: '2025-01-05T00:00:00.000Z' },
+        { id: 5, name: 'Elderberry', price: 1, createdAt: '2025-01-04T00:00:00.000Z' }
+    ];
+
+    describe('compareProducts()', function() {
+        it('should sort names case-insensitively and break ties by id', function() {
+            expect([...products].sort(compareProducts('name')).map(p => p.id)).to.deep.equal([2, 1, 3, 4, 5]);
+            expect([...products].sort(compareProducts('-price')).map(p => p.id)).to.deep.equal([4, 3, 2, 1, 5]);
+            expect([...products].sort(compareProducts('createdAt')).map(p => p.id)).to.deep.equal([2, 3, 1, 5, 4]);
+        });
+    });
+
+    describe('filterProducts()', function() {
+        it('should apply inclusive price and creation date bounds', function() {
+            expect(filterProducts(products, { minPrice: 3, maxPrice: 5 }).map(p => p.id)).to.deep.equal([1, 2, 3]);
+            expect(filterProducts(products, {
+                createdAfter: new Date('2025-01-02T00:00:00.000Z'),
+                createdBefore: new Date('2025-01-04T00:00:00.000Z')
+            }).map(p => p.id)).to.deep.equal([1, 3, 5]);
+        });
+
+        it('should leave out products without a creation date when filtering by date', function() {
+            expect(filterProducts([{ id: 9, name: 'old', price: 1 }], { createdAfter: new Date(0) })).to.deep.equal([]);
+        });
+    });
+
+    describe('paginateProducts()', function() {
+        it('should return a page by number with totals', function() {
+            const result = paginateProducts(products, { sort: 'price', limit: 2, page: 2 });
+
+            expect(result.data.map(p => p.id)).to.deep.equal([2, 3]);
+            expect(result).to.include({ total: 5, page: 2, totalPages: 3 });
+            expect(result.nextCursor).to.be.a('string');
+            expect(result.prevCursor).to.be.a('string');
+        });
+
+        it('should walk forwards and backwards with cursors', function() {
+            const first = paginateProducts(products, { sort: '-createdAt', limit: 2 });
+            expect(first.data.map(p => p.id)).to.deep.equal([4, 5]);
+            expect(first.prevCursor).to.be.null;
+
+            const second = paginateProducts(products, {
+                sort: '-createdAt',
+                limit: 2,
+                cursor: decodeCursor(first.nextCursor, '-createdAt')
+            });
+            expect(second.data.map(p => p.id)).to.deep.equal([1, 3]);
+            expect(second.page).to.be.null;
+
+            const last = paginateProducts(products, {
+                sort: '-createdAt',
+                limit: 2,
+                cursor: decodeCursor(second.nextCursor, '-createdAt')
+            });
+            expect(last.data.map(p => p.id)).to.deep.equal([2]);
+            expect(last.nextCursor).to.be.null;
+
+            const back = paginateProducts(products, {
+                sort: '-createdAt',
+                limit: 2,
+                cursor: decodeCursor(last.prevCursor, '-createdAt')
+            });
+            expect(back.data.map(p => p.id)).to.deep.equal([1, 3]);
+        });
+
+        it('should not skip products added after the cursor was issued', function() {
+            const first = paginateProducts(products, { sort: 'id', limit: 2 });
+            const grown = [{ id: 6, name: 'fig', price: 2 }, ...products];
+
+            const next = paginateProducts(grown, { sort: 'id', limit: 10, cursor: decodeCursor(first.nextCursor, 'id') });
+            expect(next.data.map(p => p.id)).to.deep.equal([3, 4, 5, 6]);
+        });
+    });
+
+    describe('decodeCursor()', function() {
+        it('should reject malformed cursors and cursors of another sort order', function() {
+            const cursor = encodeCursor(products[0], 'price', 'next');
+
+            expect(decodeCursor(cursor, 'price')).to.deep.equal({ position: { price: 3, id: 1 }, direction: 'next' });
+            expect(decodeCursor(cursor, '-price')).to.be.null;
+            expect(decodeCursor('not-a-cursor', 'price')).to.be.null;
+        });
+    });
+
+    describe('listingQuery()', function() {
+        it('should keep the filters and replace the position', function() {
+            const query = { sort: '-price', limit: 10, page: 1, createdAfter: new Date('2025-01-01T00:00:00.000Z') };
+
+            const params = new URLSearchParams(listingQuery(query, { page: 2 }));
+
+            expect(params.get('page')).to.equal('2');
+            expect(params.get('sort')).to.equal('-price');
+            expect(params.get('createdAfter')).to.equal('2025-01-01T00:00:00.000Z');
+            expect(params.has('cursor')).to.be.false;
+        });
+
+        it('should repeat filters that hold several values', function() {
+            const query = { tag: ['red', 'sale'], limit: 20, cursor: 'abc' };
+
+            const link = listingQuery(query, { page: 2 });
+
+            expect(link).to.equal('tag=red&tag=sale&limit=20&page=2');
+            expect(new URLSearchParams(link).getAll('tag')).to.deep.equal(['red', 'sale']);
+        });
+    });
+});
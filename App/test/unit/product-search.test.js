@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Unit tests for the product search index
+ * @description Tests for tokenizing, prefix and typo matching, ranking and keeping the index in sync
+ */
+
+const { tokenize, editDistance, createSearchIndex } = require('../../utilities/product-search');
+
+describe('Product Search Module', function() {
+    let index;
+
+    beforeEach(function() {
+        index = createSearchIndex();
+        [
+            { id: 1, name: 'iPhone 14' },
+            { id: 2, name: 'iPhone 14 Pro Max' },
+            { id: 3, name: 'Samsung Galaxy S23' },
+            { id: 4, name: 'Galaxy Buds', description: 'Wireless earbuds by Samsung' },
+            { id: 5, name: 'Crème brûlée torch' }
+        ].forEach(product => index.add(product));
+    });
+
+    const ids = (query) => index.search(query).map(hit => hit.id);
+
+    describe('tokenize()', function() {
+        it('should lowercase, drop accents and split on punctuation', function() {
+            expect(tokenize('Crème-Brûlée, 2x!')).to.deep.equal(['creme', 'brulee', '2x']);
+        });
+    });
+
+    describe('editDistance()', function() {
+        it('should count a swap of neighbouring letters as one edit', function() {
+            expect(editDistance('samsnug', 'samsung', 2)).to.equal(1);
+            expect(editDistance('galxay', 'galaxy', 2)).to.equal(1);
+            expect(editDistance('glxy', 'galaxy', 2)).to.equal(2);
+            expect(editDistance('phone', 'drone', 1)).to.equal(2);
+        });
+    });
+
+    describe('search()', function() {
+        it('should match whole words, prefixes and small typos', function() {
+            expect(ids('iphone')).to.deep.equal([1, 2]);
+            expect(ids('gal')).to.have.members([3, 4]);
+            expect(ids('samsnug')).to.have.members([3, 4]);
+            expect(ids('creme brulee')).to.deep.equal([5]);
+        });
+
+        it('should not tolerate typos in short words', function() {
+            expect(ids('s24')).to.deep.equal([]);
+        });
+
+        it('should require every query word to match', function() {
+            expect(ids('galaxy buds')).to.deep.equal([4]);
+            expect(ids('iphone galaxy')).to.deep.equal([]);
+        });
+
+        it('should rank names above descriptions and exact words above prefixes', function() {
+            expect(ids('samsung')).to.deep.equal([3, 4]);
+            expect(ids('14 pro')[0]).to.equal(2);
+
+            const [exact, prefix] = [index.search('galaxy')[0], index.search('galax')[0]];
+            expect(exact.score).to.be.greaterThan(prefix.score);
+        });
+    });
+
+    describe('add() / remove() / clear()', function() {
+        it('should follow product changes', function() {
+            index.add({ id: 3, name: 'Pixel 8' });
+            expect(ids('samsung')).to.deep.equal([4]);
+            expect(ids('pixel')).to.deep.equal([3]);
+
+            expect(index.remove(4)).to.be.true;
+            expect(ids('samsung')).to.deep.equal([]);
+
+            index.clear();
+            expect(index.size()).to.equal(0);
+            expect(ids('iphone')).to.deep.equal([]);
+        });
+    });
+});
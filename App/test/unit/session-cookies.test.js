@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Unit tests for the cookie session mode
+ * @description Tests for the CSRF double submit and how sessions are handed to cookie and Bearer clients
+ */
+
+const sessionCookies = require('../../utilities/session-cookies');
+
+describe('Session Cookies Module', function() {
+    const fakeRequest = ({ method = 'POST', cookies = {}, headers = {}, body = {}, json = true } = {}) => ({
+        method,
+        cookies,
+        body,
+        get: (name) => headers[name.toLowerCase()],
+        is: (type) => (json && type === 'application/json' ? type : false)
+    });
+
+    const fakeResponse = () => ({
+        cookies: {},
+        cookie(name, value, options) {
+            this.cookies[name] = { value, options };
+        }
+    });
+
+    afterEach(function() {
+        delete process.env.COOKIE_SECURE;
+    });
+
+    describe('hasValidCsrfToken()', function() {
+        it('should let safe methods through without a token', function() {
+            expect(sessionCookies.hasValidCsrfToken(fakeRequest({ method: 'GET' }))).to.be.true;
+        });
+
+        it('should require the header to match the CSRF cookie', function() {
+            const cookies = { csrf_token: 'abc123' };
+
+            expect(sessionCookies.hasValidCsrfToken(fakeRequest({ cookies }))).to.be.false;
+            expect(sessionCookies.hasValidCsrfToken(fakeRequest({ cookies, headers: { 'x-csrf-token': 'abc124' } }))).to.be.false;
+            expect(sessionCookies.hasValidCsrfToken(fakeRequest({ cookies, headers: { 'x-csrf-token': 'abc123' } }))).to.be.true;
+        });
+
+        it('should fail without a CSRF cookie', function() {
+            expect(sessionCookies.hasValidCsrfToken(fakeRequest({ headers: { 'x-csrf-token': 'abc123' } }))).to.be.false;
+        });
+    });
+
+    describe('wantsCookieSession()', function() {
+        it('should only honour JSON requests', function() {
+            expect(sessionCookies.wantsCookieSession(fakeRequest({ body: { session: 'cookie' } }))).to.be.true;
+            expect(sessionCookies.wantsCookieSession(fakeRequest({ body: { session: 'cookie' }, json: false }))).to.be.false;
+            expect(sessionCookies.wantsCookieSession(fakeRequest({ body: {} }))).to.be.false;
+        });
+    });
+
+    describe('deliverSession()', function() {
+        const session = { token: 'access', refreshToken: 'refresh', expiresIn: '15m' };
+
+        it('should return the tokens to Bearer clients', function() {
+            const res = fakeResponse();
+
+            expect(sessionCookies.deliverSession(fakeRequest(), res, session)).to.deep.equal(session);
+            expect(res.cookies).to.be.empty;
+        });
+
+        it('should keep the tokens in httpOnly cookies for cookie sessions', function() {
+            const res = fakeResponse();
+
+            const body = sessionCookies.deliverSession(fakeRequest({ body: { session: 'cookie' } }), res, session);
+
+            expect(body).to.not.have.any.keys('token', 'refreshToken');
+            expect(body).to.include({ session: 'cookie', expiresIn: '15m' });
+            expect(res.cookies.access_token).to.deep.include({ value: 'access' });
+            expect(res.cookies.access_token.options).to.include({ httpOnly: true, sameSite: 'lax' });
+            expect(res.cookies.refresh_token.options.httpOnly).to.be.true;
+            // Scripts must be able to read the CSRF token to send it back
+            expect(res.cookies.csrf_token.value).to.equal(body.csrfToken);
+            expect(res.cookies.csrf_token.options.httpOnly).to.be.false;
+        });
+
+        it('should keep the CSRF token of a refreshed session', function() {
+            const req = fakeRequest({ cookies: { csrf_token: 'existing' } });
+            req.cookieSession = true;
+
+            expect(sessionCookies.deliverSession(req, fakeResponse(), session).csrfToken).to.equal('existing');
+            expect(sessionCookies.deliverSession(req, fakeResponse(), session, { newCsrfToken: true }).csrfToken)
+                .to.not.equal('existing');
+        });
+
+        it('should mark cookies secure when COOKIE_SECURE is true', function() {
+            process.env.COOKIE_SECURE = 'true';
+            const res = fakeResponse();
+
+            sessionCookies.deliverSession(fakeRequest({ body: { session: 'cookie' } }), res, session);
+
+            expect(res.cookies.access_token.options.secure).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Unit tests for access and refresh tokens
+ * @description Tests for token signing, refresh token rotation and reuse detection
+ */
+
+const sinon = require('sinon');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const tokens = require('../../utilities/tokens');
+
+describe('Tokens Module', function() {
+    let storedFile;
+
+    beforeEach(function() {
+        process.env.JWT_SECRET = 'test-secret';
+        storedFile = '[]';
+        // Keep refresh tokens in memory instead of data/refresh-tokens.json
+        sinon.stub(fs, 'readFileSync').callsFake(() => storedFile);
+        sinon.stub(fs, 'writeFileSync').callsFake((file, data) => {
+            storedFile = data;
+        });
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('signAccessToken()', function() {
+        it('should sign an expiring token with a unique jti', function() {
+            const user = { _id: 'u1', email: 'a@example.com', roles: ['user'] };
+
+            const first = jwt.verify(tokens.signAccessToken(user), 'test-secret');
+            const second = jwt.verify(tokens.signAccessToken(user), 'test-secret');
+
+            expect(first).to.include({ userId: 'u1', email: 'a@example.com' });
+            expect(first.exp - first.iat).to.equal(15 * 60);
+            expect(first.jti).to.be.a('string').and.not.equal(second.jti);
+        });
+
+        it('should address the token to the access audience', function() {
+            const payload = jwt.verify(tokens.signAccessToken({ _id: 'u1', roles: ['user'] }), 'test-secret', {
+                audience: tokens.ACCESS_TOKEN_AUDIENCE
+            });
+
+            expect(payload.aud).to.equal('access');
+        });
+
+        it('should embed the effective permissions of the roles', function() {
+            const payload = jwt.verify(tokens.signAccessToken({ _id: 'u1', roles: ['admin'] }), 'test-secret');
+
+            expect(payload.permissions).to.deep.equal(['*']);
+        });
+
+        it('should flag accounts whose role requires 2FA until they enroll', function() {
+            process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+            const admin = { _id: 'u1', email: 'root@example.com', roles: ['admin'] };
+
+            try {
+                expect(jwt.verify(tokens.signAccessToken(admin), 'test-secret').mfaSetupRequired).to.be.true;
+
+                admin.twoFactorEnabled = true;
+                expect(jwt.verify(tokens.signAccessToken(admin), 'test-secret').mfaSetupRequired).to.be.false;
+            } finally {
+                delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+            }
+        });
+    });
+
+    describe('2FA Challenge Tokens', function() {
+        it('should round-trip a challenge token', function() {
+            const challenge = tokens.signTwoFactorChallenge({ _id: 'u1', tokenVersion: 2 });
+
+            expect(tokens.verifyTwoFactorChallenge(challenge)).to.include({ userId: 'u1', tv: 2 });
+        });
+
+        it('should not accept access tokens as challenges', function() {
+            const accessToken = tokens.signAccessToken({ _id: 'u1', roles: ['user'] });
+
+            expect(tokens.verifyTwoFactorChallenge(accessToken)).to.be.null;
+            expect(tokens.verifyTwoFactorChallenge('garbage')).to.be.null;
+        });
+
+        it('should fail verification as an access token', function() {
+            const challenge = tokens.signTwoFactorChallenge({ _id: 'u1' });
+
+            expect(jwt.decode(challenge).aud).to.equal('2fa-login');
+            expect(() => jwt.verify(challenge, 'test-secret', { audience: tokens.ACCESS_TOKEN_AUDIENCE }))
+                .to.throw(jwt.JsonWebTokenError, 'jwt audience invalid');
+        });
+    });
+
+    describe('Account Deletion Tokens', function() {
+        it('should round-trip a deletion token', function() {
+            const confirmation = tokens.signAccountDeletionToken({ _id: 'u1', tokenVersion: 3 });
+
+            expect(tokens.verifyAccountDeletionToken(confirmation)).to.include({ userId: 'u1', tv: 3 });
+        });
+
+        it('should not accept access or 2FA challenge tokens', function() {
+            const accessToken = tokens.signAccessToken({ _id: 'u1', roles: ['user'] });
+            const challenge = tokens.signTwoFactorChallenge({ _id: 'u1' });
+
+            expect(tokens.verifyAccountDeletionToken(accessToken)).to.be.null;
+            expect(tokens.verifyAccountDeletionToken(challenge)).to.be.null;
+            expect(tokens.verifyAccountDeletionToken(undefined)).to.be.null;
+        });
+
+        it('should fail verification as an access token', function() {
+            const confirmation = tokens.signAccountDeletionToken({ _id: 'u1' });
+
+            expect(() => jwt.verify(confirmation, 'test-secret', { audience: tokens.ACCESS_TOKEN_AUDIENCE }))
+                .to.throw(jwt.JsonWebTokenError, 'jwt audience invalid');
+        });
+    });
+
+    describe('Refresh Tokens', function() {
+        it('should store only a hash of the issued token', function() {
+            const { token } = tokens.issueRefreshToken('u1');
+
+            const [record] = tokens.readRefreshTokens();
+            expect(record.tokenHash).to.equal(tokens.hashToken(token));
+            expect(storedFile).to.not.include(token);
+        });
+
+        it('should rotate a valid token into a new one of the same family', function() {
+            const { token, record } = tokens.issueRefreshToken('u1');
+
+            const rotation = tokens.rotateRefreshToken(token);
+
+            expect(rotation.userId).to.equal('u1');
+            expect(rotation.refreshToken).to.be.a('string').and.not.equal(token);
+            const records = tokens.readRefreshTokens();
+            expect(records).to.have.length(2);
+            expect(records.every(r => r.family === record.family)).to.be.true;
+            expect(records.find(r => r.id === record.id).usedAt).to.be.a('string');
+        });
+
+        it('should revoke the whole family when a used token is presented again', function() {
+            const { token } = tokens.issueRefreshToken('u1');
+            const { refreshToken } = tokens.rotateRefreshToken(token);
+
+            const reuse = tokens.rotateRefreshToken(token);
+
+            expect(reuse.error).to.equal('reused');
+            expect(tokens.rotateRefreshToken(refreshToken).error).to.equal('reused');
+            expect(tokens.readRefreshTokens().every(r => r.revokedAt)).to.be.true;
+        });
+
+        it('should reject unknown and empty tokens', function() {
+            expect(tokens.rotateRefreshToken('not-a-token').error).to.equal('invalid');
+            expect(tokens.rotateRefreshToken(undefined).error).to.equal('invalid');
+        });
+
+        it('should revoke a single login only for the token owner', function() {
+            const { token } = tokens.issueRefreshToken('u1');
+
+            expect(tokens.revokeRefreshToken(token, 'u2')).to.be.false;
+            expect(tokens.revokeRefreshToken(token, 'u1')).to.be.true;
+            expect(tokens.rotateRefreshToken(token).error).to.equal('reused');
+        });
+
+        it('should revoke every token belonging to a user', function() {
+            const { token } = tokens.issueRefreshToken('u1');
+            tokens.issueRefreshToken('u2');
+
+            tokens.revokeUserRefreshTokens('u1');
+
+            expect(tokens.rotateRefreshToken(token).error).to.equal('reused');
+            expect(tokens.readRefreshTokens().find(r => r.userId === 'u2').revokedAt).to.be.null;
+        });
+    });
+
+    describe('Access Token Denylist', function() {
+        it('should report revoked token ids', function() {
+            const exp = Math.floor(Date.now() / 1000) + 60;
+
+            tokens.revokeAccessToken('jti-1', exp);
+
+            expect(tokens.isAccessTokenRevoked('jti-1')).to.be.true;
+            expect(tokens.isAccessTokenRevoked('jti-2')).to.be.false;
+            expect(tokens.isAccessTokenRevoked(undefined)).to.be.false;
+        });
+
+        it('should forget entries once the token has expired anyway', function() {
+            const past = Math.floor(Date.now() / 1000) - 60;
+            const future = Math.floor(Date.now() / 1000) + 60;
+
+            tokens.revokeAccessToken('old-jti', past);
+            tokens.revokeAccessToken('new-jti', future);
+
+            expect(tokens.isAccessTokenRevoked('old-jti')).to.be.false;
+            expect(tokens.isAccessTokenRevoked('new-jti')).to.be.true;
+        });
+    });
+});
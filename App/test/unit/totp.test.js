@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Unit tests for TOTP and two-factor helpers
+ * @description Tests against the RFC 6238 vectors, replay protection and recovery codes
+ */
+
+const totp = require('../../utilities/totp');
+const twoFactor = require('../../utilities/two-factor');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP Module', function() {
+    describe('base32', function() {
+        it('should round-trip arbitrary bytes', function() {
+            const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+
+            expect(totp.base32Decode(totp.base32Encode(bytes)).equals(bytes)).to.be.true;
+        });
+
+        it('should accept lowercase, spaced and padded input', function() {
+            expect(totp.base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====').toString())
+                .to.equal('12345678901234567890');
+        });
+
+        it('should reject characters outside the alphabet', function() {
+            expect(() => totp.base32Decode('ABC1')).to.throw('Invalid base32 character');
+        });
+    });
+
+    describe('generateCode()', function() {
+        it('should match the RFC 6238 SHA1 test vectors', function() {
+            expect(totp.generateCode(RFC_SECRET, totp.timeStep(59 * 1000))).to.equal('287082');
+            expect(totp.generateCode(RFC_SECRET, totp.timeStep(1111111109 * 1000))).to.equal('081804');
+            expect(totp.generateCode(RFC_SECRET, totp.timeStep(2000000000 * 1000))).to.equal('279037');
+        });
+    });
+
+    describe('verifyCode()', function() {
+        const now = 1111111109 * 1000;
+
+        it('should accept the current code and return its step', function() {
+            expect(totp.verifyCode(RFC_SECRET, '081804', { now })).to.equal(totp.timeStep(now));
+        });
+
+        it('should tolerate one step of clock drift', function() {
+            const previous = totp.generateCode(RFC_SECRET, totp.timeStep(now) - 1);
+
+            expect(totp.verifyCode(RFC_SECRET, previous, { now })).to.not.be.null;
+            expect(totp.verifyCode(RFC_SECRET, previous, { now: now + 60 * 1000 })).to.be.null;
+        });
+
+        it('should reject a code whose step was already used', function() {
+            const lastUsedStep = totp.timeStep(now);
+
+            expect(totp.verifyCode(RFC_SECRET, '081804', { now, lastUsedStep })).to.be.null;
+        });
+
+        it('should reject malformed codes', function() {
+            expect(totp.verifyCode(RFC_SECRET, '12345', { now })).to.be.null;
+            expect(totp.verifyCode(RFC_SECRET, undefined, { now })).to.be.null;
+        });
+    });
+
+    describe('buildOtpauthUri()', function() {
+        it('should build a URI authenticator apps understand', function() {
+            const uri = totp.buildOtpauthUri('ABC', 'a@example.com', 'Shop');
+
+            expect(uri).to.equal('otpauth://totp/Shop%3Aa%40example.com?secret=ABC&issuer=Shop&algorithm=SHA1&digits=6&period=30');
+        });
+    });
+});
+
+describe('Two-Factor Module', function() {
+    afterEach(function() {
+        delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+    });
+
+    describe('needsTwoFactorSetup()', function() {
+        it('should only flag required roles without 2FA', function() {
+            process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin, support';
+
+            expect(twoFactor.needsTwoFactorSetup({ roles: ['user', 'admin'] })).to.be.true;
+            expect(twoFactor.needsTwoFactorSetup({ roles: ['admin'], twoFactorEnabled: true })).to.be.false;
+            expect(twoFactor.needsTwoFactorSetup({ roles: ['user'] })).to.be.false;
+        });
+
+        it('should require nothing by default', function() {
+            expect(twoFactor.needsTwoFactorSetup({ roles: ['admin'] })).to.be.false;
+        });
+    });
+
+    describe('verifySecondFactor()', function() {
+        let user, recoveryCodes;
+
+        beforeEach(function() {
+            const { codes, hashes } = twoFactor.generateRecoveryCodes();
+            recoveryCodes = codes;
+            user = {
+                twoFactorEnabled: true,
+                twoFactorSecret: RFC_SECRET,
+                twoFactorRecoveryCodeHashes: hashes
+            };
+        });
+
+        it('should accept a current code once', function() {
+            const code = totp.generateCode(RFC_SECRET);
+
+            expect(twoFactor.verifySecondFactor(user, { code })).to.equal('totp');
+            expect(twoFactor.verifySecondFactor(user, { code })).to.be.null;
+        });
+
+        it('should consume recovery codes', function() {
+            const recoveryCode = recoveryCodes[0].toUpperCase();
+
+            expect(twoFactor.verifySecondFactor(user, { recoveryCode })).to.equal('recovery');
+            expect(user.twoFactorRecoveryCodeHashes).to.have.length(recoveryCodes.length - 1);
+            expect(twoFactor.verifySecondFactor(user, { recoveryCode })).to.be.null;
+        });
+
+        it('should store only hashes of recovery codes', function() {
+            expect(recoveryCodes).to.have.length(10);
+            recoveryCodes.forEach((code) => {
+                expect(user.twoFactorRecoveryCodeHashes).to.not.include(code);
+            });
+        });
+
+        it('should reject everything when 2FA is off', function() {
+            user.twoFactorEnabled = false;
+
+            expect(twoFactor.verifySecondFactor(user, { code: totp.generateCode(RFC_SECRET) })).to.be.null;
+        });
+    });
+});
@@ -124,6 +124,40 @@ describe('Utilities Module', function() {
             });
         });
 
+        describe('Per-User Cart Management', function() {
+            const mockCartData = [
+                { id: 1, productId: 1, quantity: 2, userId: 'alice' },
+                { id: 2, productId: 3, quantity: 1, userId: 'bob' },
+                { id: 3, productId: 2, quantity: 4, userId: 'alice' }
+            ];
+
+            it('should only return items belonging to the given user', function() {
+                fsReadSyncStub.returns(JSON.stringify(mockCartData));
+
+                const result = utilities.readUserCart('alice');
+
+                expect(result.map(item => item.id)).to.deep.equal([1, 3]);
+            });
+
+            it('should return an empty cart for a user without items', function() {
+                fsReadSyncStub.returns(JSON.stringify(mockCartData));
+
+                expect(utilities.readUserCart('carol')).to.deep.equal([]);
+            });
+
+            it('should replace only the given user\'s items when writing', function() {
+                fsReadSyncStub.returns(JSON.stringify(mockCartData));
+
+                utilities.writeUserCart('alice', [{ id: 4, productId: 5, quantity: 1 }]);
+
+                const writtenData = JSON.parse(fsWriteSyncStub.firstCall.args[1]);
+                expect(writtenData).to.deep.equal([
+                    { id: 2, productId: 3, quantity: 1, userId: 'bob' },
+                    { id: 4, productId: 5, quantity: 1, userId: 'alice' }
+                ]);
+            });
+        });
+
         describe('Products Data Management', function() {
             it('should read products data from correct file path', function() {
                 const mockProductsData = [{ id: 1, name: 'Test Product', price: 99.99 }];
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Unit tests for the request validation middleware
+ * @description Tests for coercion, stripping of unknown keys and the 400/422 error payload
+ */
+
+const { validate } = require('../../middleware/validate');
+const {
+    idParamSchema,
+    productUpdateSchema,
+    userRegistrationSchema,
+    userListQuerySchema
+} = require('../../schemas/validation');
+
+describe('Validate Middleware', function() {
+    let res, next;
+
+    beforeEach(function() {
+        res = {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub().returnsThis()
+        };
+        next = sinon.stub();
+    });
+
+    it('should coerce values, apply defaults and drop unknown keys', function() {
+        const req = {
+            params: { id: '4' },
+            query: { disabled: 'false', page: '2', sort: 'email' },
+            body: { name: '  Lamp ', price: '19.90', isAdmin: true }
+        };
+
+        validate({ params: idParamSchema, body: productUpdateSchema })(req, res, next);
+        validate({ query: userListQuerySchema })(req, res, next);
+
+        expect(next.calledTwice).to.be.true;
+        expect(req.params).to.deep.equal({ id: 4 });
+        expect(req.query).to.deep.equal({ disabled: false, page: 2, limit: 20 });
+        expect(req.body).to.deep.equal({ name: 'Lamp', price: 19.9 });
+    });
+
+    it('should answer 422 listing every failing body field', function() {
+        const req = { body: { email: 'not-an-email', password: 'short' } };
+
+        validate({ body: userRegistrationSchema })(req, res, next);
+
+        expect(next.called).to.be.false;
+        expect(res.status.calledWith(422)).to.be.true;
+        const payload = res.json.firstCall.args[0];
+        expect(payload.success).to.be.false;
+        expect(payload.error).to.equal('Validation failed');
+        expect(payload.details.map((d) => d.field)).to.include.members(['email', 'password']);
+        expect(payload.details[0]).to.deep.equal({
+            location: 'body',
+            field: 'email',
+            message: 'Please provide a valid email address'
+        });
+    });
+
+    it('should answer 400 when a URL parameter is wrong, reporting the body too', function() {
+        const req = { params: { id: 'abc' }, body: {} };
+
+        validate({ params: idParamSchema, body: productUpdateSchema })(req, res, next);
+
+        expect(res.status.calledWith(400)).to.be.true;
+        expect(res.json.firstCall.args[0].details.map((d) => d.location)).to.deep.equal(['params', 'body']);
+    });
+
+    it('should leave the request untouched when validation fails', function() {
+        const req = { query: { page: '2', role: 'wizard' } };
+
+        validate({ query: userListQuerySchema })(req, res, next);
+
+        expect(res.status.calledWith(400)).to.be.true;
+        expect(req.query).to.deep.equal({ page: '2', role: 'wizard' });
+    });
+});
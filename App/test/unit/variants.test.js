@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Unit tests for product variants
+ * @description Tests for variant labels, ids, prices, cart line resolution and option matching
+ */
+
+const {
+    variantLabel,
+    findVariant,
+    hasVariants,
+    needsVariant,
+    takeVariantId,
+    unitPrice,
+    resolveLine,
+    sameOptions
+} = require('../../utilities/variants');
+
+describe('Variants Module', function() {
+    const phone = {
+        id: 3,
+        name: 'Phone',
+        price: 500,
+        variants: [
+            { id: 1, sku: 'PH-128-BLK', options: { storage: '128GB', colour: 'Black' }, price: null, stock: 4 },
+            { id: 2, sku: 'PH-256-BLK', options: { storage: '256GB', colour: 'Black' }, price: 600, stock: null }
+        ]
+    };
+    const sticker = { id: 4, name: 'Sticker', price: 2 };
+    const products = [phone, sticker];
+
+    describe('variantLabel() / findVariant() / hasVariants()', function() {
+        it('should label a variant with its option values', function() {
+            expect(variantLabel(phone.variants[0])).to.equal('128GB / Black');
+        });
+
+        it('should find variants by id', function() {
+            expect(findVariant(phone, 2).sku).to.equal('PH-256-BLK');
+            expect(findVariant(phone, 9)).to.be.null;
+            expect(findVariant(sticker, 1)).to.be.null;
+        });
+
+        it('should tell products with variants apart', function() {
+            expect(hasVariants(phone)).to.be.true;
+            expect(hasVariants(sticker)).to.be.false;
+            expect(hasVariants({ ...sticker, variants: [] })).to.be.false;
+        });
+    });
+
+    describe('unitPrice() / resolveLine()', function() {
+        it('should use the variant price, falling back to the product price', function() {
+            expect(unitPrice(phone, phone.variants[1])).to.equal(600);
+            expect(unitPrice(phone, phone.variants[0])).to.equal(500);
+            expect(unitPrice(sticker, null)).to.equal(2);
+        });
+
+        it('should resolve a cart line to its product, variant, price and label', function() {
+            expect(resolveLine(products, { productId: 3, variantId: 2 })).to.deep.equal({
+                product: phone,
+                variant: phone.variants[1],
+                price: 600,
+                label: '256GB / Black'
+            });
+            expect(resolveLine(products, { productId: 4 })).to.include({ price: 2, variant: null, label: null });
+        });
+
+        it('should not resolve lines whose product or variant is gone', function() {
+            expect(resolveLine(products, { productId: 99 })).to.be.null;
+            expect(resolveLine(products, { productId: 3, variantId: 9 })).to.be.null;
+        });
+
+        it('should not resolve lines without a variant once the product has variants', function() {
+            expect(needsVariant(phone, { productId: 3 })).to.be.true;
+            expect(needsVariant(phone, { productId: 3, variantId: 1 })).to.be.false;
+            expect(needsVariant(sticker, { productId: 4 })).to.be.false;
+            expect(resolveLine(products, { productId: 3 })).to.be.null;
+        });
+    });
+
+    describe('takeVariantId()', function() {
+        it('should continue after the highest id of products without a counter', function() {
+            const product = { ...phone };
+
+            expect(takeVariantId(product)).to.equal(3);
+            expect(product.nextVariantId).to.equal(4);
+        });
+
+        it('should never hand out the id of a deleted variant again', function() {
+            const product = { id: 5, variants: [] };
+
+            product.variants.push({ id: takeVariantId(product) }, { id: takeVariantId(product) });
+            product.variants = product.variants.filter(v => v.id !== 2);
+
+            expect(takeVariantId(product)).to.equal(3);
+            expect(takeVariantId({ id: 6 })).to.equal(1);
+        });
+    });
+
+    describe('sameOptions()', function() {
+        it('should compare option values regardless of order and case', function() {
+            expect(sameOptions({ storage: '128GB', colour: 'Black' }, { Colour: 'black', storage: '128gb' })).to.be.true;
+            expect(sameOptions({ storage: '128GB' }, { storage: '128GB', colour: 'Black' })).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const { readUserCart, writeUserCart, readDocuments } = require("./utilities");
+const { readOrders, writeOrders, readUserOrders } = require("./orders");
+const { deleteDocument } = require("./uploads");
+const { listUserApiKeys, deleteUserApiKeys } = require("./api-keys");
+const { revokeUserRefreshTokens } = require("./tokens");
+const { isVerified } = require("./email-verification");
+const { isTwoFactorEnabled } = require("./two-factor");
+
+/**
+ * Personal data export and erasure for GET /me/export and DELETE /me.
+ * Everything tied to an account lives in Mongo (profile) and the JSON stores
+ * (cart, orders, documents, API keys); chat history is passed in by the caller.
+ */
+
+// The account as its owner may see it; password and token hashes are left out
+const exportProfile = (user) => ({
+  id: String(user._id),
+  email: user.email,
+  displayName: user.displayName || null,
+  pendingEmail: user.pendingEmail || null,
+  roles: user.roles,
+  verified: isVerified(user),
+  twoFactorEnabled: isTwoFactorEnabled(user),
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+const readUserDocuments = (userId) =>
+  readDocuments().filter((doc) => doc.userId === String(userId));
+
+// Name of a document inside the archive; the id keeps equal original names apart
+const archiveFileName = (doc) =>
+  `${doc.id}-${path.basename(doc.originalName || doc.fileName).replace(/[^\w.-]+/g, "_")}`;
+
+/**
+ * Write a zip of the user's data to `output` (e.g. the response):
+ * profile.json, cart.json, orders.json, documents.json with the uploaded files
+ * under documents/, api-keys.json and chat-messages.json.
+ * @returns {Promise} settles once the archive has been written
+ */
+const writeAccountArchive = (user, output, { chatMessages = [] } = {}) => {
+  const userId = String(user._id);
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const json = (data) => JSON.stringify(data, null, 2);
+
+  const documents = readUserDocuments(userId).map(({ filePath, ...doc }) => {
+    const exists = fs.existsSync(filePath);
+    if (exists) {
+      archive.file(filePath, { name: `documents/${archiveFileName(doc)}` });
+    }
+    return { ...doc, archivePath: exists ? `documents/${archiveFileName(doc)}` : null };
+  });
+
+  archive.append(json(exportProfile(user)), { name: "profile.json" });
+  archive.append(json(readUserCart(userId)), { name: "cart.json" });
+  archive.append(json(readUserOrders(userId)), { name: "orders.json" });
+  archive.append(json(documents), { name: "documents.json" });
+  archive.append(json(listUserApiKeys(userId)), { name: "api-keys.json" });
+  archive.append(json(chatMessages), { name: "chat-messages.json" });
+
+  return new Promise((resolve, reject) => {
+    archive.on("error", reject);
+    output.on("close", resolve);
+    output.on("finish", resolve);
+    archive.pipe(output);
+    archive.finalize().catch(reject);
+  });
+};
+
+/**
+ * Remove the user's personal data from the JSON stores. Orders are kept for
+ * bookkeeping and refunds but no longer point at the account, and the user's
+ * name disappears from the history of every order they acted on.
+ * @returns {{ cartItems: number, documents: number, orders: number }} what was touched
+ */
+const eraseAccountData = (userId) => {
+  const id = String(userId);
+
+  const cartItems = readUserCart(id).length;
+  writeUserCart(id, []);
+
+  const documents = readUserDocuments(id);
+  documents.forEach((doc) => deleteDocument(doc.id));
+
+  const orders = readOrders();
+  const anonymizedAt = new Date().toISOString();
+  let anonymizedOrders = 0;
+  orders.forEach((order) => {
+    (order.history || []).forEach((entry) => {
+      if (entry.by && entry.by.userId === id) {
+        entry.by = { userId: null, email: null };
+      }
+    });
+    if (order.userId === id) {
+      order.userId = null;
+      order.anonymizedAt = anonymizedAt;
+      anonymizedOrders++;
+    }
+  });
+  writeOrders(orders);
+
+  deleteUserApiKeys(id);
+  revokeUserRefreshTokens(id);
+
+  return { cartItems, documents: documents.length, orders: anonymizedOrders };
+};
+
+module.exports = {
+  exportProfile,
+  writeAccountArchive,
+  eraseAccountData,
+};
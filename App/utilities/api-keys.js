@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+const path = require("path");
+const { readJson, writeJson, hashToken } = require("./utilities");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+
+const API_KEYS_FILE = path.join(__dirname, "..", "data", "api-keys.json");
+
+const KEY_PREFIX = "jsk_";
+// lastUsedAt is written at most this often per key to keep requests from rewriting the file
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const readApiKeys = () => readJson(API_KEYS_FILE, []);
+const writeApiKeys = (records) => writeJson(API_KEYS_FILE, records);
+
+// Everything about a key except its hash, as shown to its owner
+const toPublicApiKey = ({ keyHash, ...record }) => record;
+
+const isActive = (record, now = Date.now()) =>
+  !record.revokedAt &&
+  (!record.expiresAt || new Date(record.expiresAt).getTime() > now);
+
+/**
+ * Create a key for a user. The raw key is returned once; only its hash and a short
+ * display prefix are stored.
+ * @param {string} userId
+ * @param {{ name: string, permissions: string[], expiresAt?: Date|null }} options
+ */
+const createApiKey = (userId, { name, permissions, expiresAt = null }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  const record = {
+    id: crypto.randomUUID(),
+    userId: String(userId),
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(key),
+    permissions,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  writeApiKeys([...readApiKeys(), record]);
+  return { key, record: toPublicApiKey(record) };
+};
+
+const listUserApiKeys = (userId) =>
+  readApiKeys()
+    .filter((record) => record.userId === String(userId))
+    .map((record) => ({ ...toPublicApiKey(record), active: isActive(record) }));
+
+// Revoke one of the user's keys; false when it does not exist or is already revoked
+const revokeApiKey = (userId, id) => {
+  const records = readApiKeys();
+  const record = records.find((r) => r.id === id && r.userId === String(userId));
+  if (!record || record.revokedAt) return false;
+
+  record.revokedAt = new Date().toISOString();
+  writeApiKeys(records);
+  return true;
+};
+
+const deleteUserApiKeys = (userId) =>
+  writeApiKeys(readApiKeys().filter((record) => record.userId !== String(userId)));
+
+/**
+ * Look up an active key by its raw value and record the use.
+ * @returns {object|null} the public record
+ */
+const authenticateApiKey = (key, now = Date.now()) => {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+
+  const records = readApiKeys();
+  const record = records.find((r) => r.keyHash === hashToken(key));
+  if (!record || !isActive(record, now)) return null;
+
+  if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() >= LAST_USED_RESOLUTION_MS) {
+    record.lastUsedAt = new Date(now).toISOString();
+    writeApiKeys(records);
+  }
+  return toPublicApiKey(record);
+};
+
+/**
+ * What a key may do: the permissions it was scoped to, limited to what its owner
+ * can still do right now. Wildcards on either side are expanded to concrete names.
+ */
+const effectiveKeyPermissions = (keyPermissions, ownerPermissions) =>
+  PERMISSIONS.filter(
+    (permission) =>
+      hasPermission(keyPermissions, permission) &&
+      hasPermission(ownerPermissions, permission)
+  );
+
+module.exports = {
+  KEY_PREFIX,
+  createApiKey,
+  listUserApiKeys,
+  revokeApiKey,
+  deleteUserApiKeys,
+  authenticateApiKey,
+  effectiveKeyPermissions,
+};
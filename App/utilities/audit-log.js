@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Security audit trail: one JSON object per line, only ever appended to.
+ * Lives in data/audit.log unless AUDIT_LOG_FILE (relative to App/) says otherwise.
+ *
+ * Entry: { id, timestamp, action, outcome, actor, target, ip, userAgent, details }
+ *   action   dotted name, e.g. "auth.login", "products.delete_all", "users.role_grant"
+ *   outcome  "success" or "failure"
+ *   actor    { userId, email, apiKeyId } of the caller, null when unknown
+ *   target   { type, id, ... } of what was acted on, null when nothing specific
+ */
+
+const DEFAULT_AUDIT_LOG_FILE = path.join(__dirname, "..", "data", "audit.log");
+
+const getAuditLogFile = () =>
+  process.env.AUDIT_LOG_FILE
+    ? path.resolve(__dirname, "..", process.env.AUDIT_LOG_FILE)
+    : DEFAULT_AUDIT_LOG_FILE;
+
+// Request-supplied strings end up in the log; keep them to a sane size
+const clip = (value, max) => (value == null ? null : String(value).slice(0, max));
+
+// Actor of an account document or of the token payload in req.user
+const actorFromUser = (user) => ({
+  userId: user._id || user.userId ? String(user._id || user.userId) : null,
+  email: clip(user.email, 254),
+  apiKeyId: user.apiKeyId || null,
+});
+
+/**
+ * Append an event. A broken log never breaks the request being audited, but the
+ * failure is reported on stderr.
+ * @param {object} req - the request, for the default actor, IP and user agent
+ * @param {{ action: string, outcome?: string, actor?: object|null, target?: object|null, details?: object }} event
+ *   actor defaults to the authenticated caller
+ * @returns {object|null} the entry written
+ */
+const recordAudit = (req, { action, outcome = "success", actor, target = null, details }) => {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    action,
+    outcome,
+    actor: actor !== undefined ? actor : req.user ? actorFromUser(req.user) : null,
+    target,
+    ip: req.ip || null,
+    userAgent: clip(req.get && req.get("user-agent"), 512),
+    details: details || {},
+  };
+
+  try {
+    const file = getAuditLogFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+    return entry;
+  } catch (error) {
+    console.error("Error writing audit log:", error, entry);
+    return null;
+  }
+};
+
+// Every entry, oldest first; lines that are not valid JSON are skipped
+const readAuditLog = () => {
+  let content;
+  try {
+    content = fs.readFileSync(getAuditLogFile(), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  return content.split("\n").reduce((entries, line) => {
+    if (!line.trim()) return entries;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // A line cut short by a crash; the rest of the log is still usable
+    }
+    return entries;
+  }, []);
+};
+
+// "auth.*" matches every action under auth., anything else must match exactly
+const matchesAction = (action, pattern) =>
+  pattern.endsWith(".*") ? action.startsWith(pattern.slice(0, -1)) : action === pattern;
+
+/**
+ * Entries matching every given filter, newest first.
+ * @param {{ action?: string, outcome?: string, actor?: string, targetType?: string,
+ *           targetId?: string, ip?: string, from?: Date, to?: Date }} filters
+ *   actor matches the user id or (case-insensitively) the email of the actor
+ */
+const queryAuditLog = ({ action, outcome, actor, targetType, targetId, ip, from, to } = {}) => {
+  const actorNeedle = actor ? String(actor).toLowerCase() : null;
+
+  return readAuditLog()
+    .filter((entry) => {
+      if (action && !matchesAction(entry.action, action)) return false;
+      if (outcome && entry.outcome !== outcome) return false;
+      if (actorNeedle) {
+        const a = entry.actor || {};
+        if (a.userId !== actor && (a.email || "").toLowerCase() !== actorNeedle) return false;
+      }
+      if (targetType && (!entry.target || entry.target.type !== targetType)) return false;
+      if (targetId && (!entry.target || String(entry.target.id) !== String(targetId))) return false;
+      if (ip && entry.ip !== ip) return false;
+      const time = new Date(entry.timestamp).getTime();
+      if (from && time < from.getTime()) return false;
+      if (to && time > to.getTime()) return false;
+      return true;
+    })
+    .reverse();
+};
+
+const CSV_COLUMNS = [
+  ["timestamp", (e) => e.timestamp],
+  ["id", (e) => e.id],
+  ["action", (e) => e.action],
+  ["outcome", (e) => e.outcome],
+  ["actorUserId", (e) => e.actor && e.actor.userId],
+  ["actorEmail", (e) => e.actor && e.actor.email],
+  ["actorApiKeyId", (e) => e.actor && e.actor.apiKeyId],
+  ["targetType", (e) => e.target && e.target.type],
+  ["targetId", (e) => e.target && e.target.id],
+  ["ip", (e) => e.ip],
+  ["userAgent", (e) => e.userAgent],
+  ["details", (e) => (e.details && Object.keys(e.details).length > 0 ? JSON.stringify(e.details) : "")],
+];
+
+// Quote when needed, and defuse values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (entries) =>
+  [
+    CSV_COLUMNS.map(([name]) => name).join(","),
+    ...entries.map((entry) => CSV_COLUMNS.map(([, get]) => csvCell(get(entry))).join(",")),
+  ].join("\r\n") + "\r\n";
+
+module.exports = {
+  getAuditLogFile,
+  actorFromUser,
+  recordAudit,
+  readAuditLog,
+  queryAuditLog,
+  toCsv,
+};
@@ -0,0 +1,125 @@
+const path = require("path");
+const { readJson, writeJson } = require("./utilities");
+
+/**
+ * Product category tree, stored flat in data/categories.json:
+ *   { id, name, slug, parentId, position, createdAt, updatedAt }
+ * parentId is null for top-level categories; siblings are shown by position, then name.
+ * A product belongs to at most one category (product.categoryId).
+ */
+
+const CATEGORIES_FILE = path.join(__dirname, "..", "data", "categories.json");
+
+const readCategories = () => readJson(CATEGORIES_FILE, []);
+const writeCategories = (categories) => writeJson(CATEGORIES_FILE, categories);
+
+// "Phones & Tablets" -> "phones-tablets"
+const slugify = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const bySiblingOrder = (a, b) => a.position - b.position || a.name.localeCompare(b.name);
+
+// A category by numeric id or by slug
+const findCategory = (categories, idOrSlug) =>
+  categories.find((c) => String(c.id) === String(idOrSlug) || c.slug === idOrSlug) || null;
+
+// Ids of a category and everything below it
+const descendantIds = (categories, id) => {
+  const ids = new Set([id]);
+  let added = true;
+  while (added) {
+    added = false;
+    categories.forEach((c) => {
+      if (c.parentId !== null && ids.has(c.parentId) && !ids.has(c.id)) {
+        ids.add(c.id);
+        added = true;
+      }
+    });
+  }
+  return ids;
+};
+
+// From the top-level category down to the given one, for breadcrumbs
+const ancestorPath = (categories, category) => {
+  const trail = [];
+  let current = category;
+  while (current && trail.length <= categories.length) {
+    trail.unshift({ id: current.id, name: current.name, slug: current.slug });
+    current = current.parentId === null ? null : categories.find((c) => c.id === current.parentId);
+  }
+  return trail;
+};
+
+// The position after the last sibling under parentId
+const nextPosition = (categories, parentId) =>
+  categories
+    .filter((c) => c.parentId === parentId)
+    .reduce((max, c) => Math.max(max, c.position + 1), 0);
+
+/**
+ * Nested categories with product counts, siblings in display order.
+ * productCount counts the products directly in a category, totalProductCount
+ * also those of every subcategory.
+ * @param {object[]} categories
+ * @param {object[]} products
+ * @param {number|null} rootId - only the subtree of this category (null for the whole tree)
+ */
+const buildCategoryTree = (categories, products, rootId = null) => {
+  const direct = new Map();
+  products.forEach((p) => {
+    if (p.categoryId != null) direct.set(p.categoryId, (direct.get(p.categoryId) || 0) + 1);
+  });
+
+  const buildNode = (category) => {
+    const children = categories
+      .filter((c) => c.parentId === category.id)
+      .sort(bySiblingOrder)
+      .map(buildNode);
+    const productCount = direct.get(category.id) || 0;
+    return {
+      ...category,
+      productCount,
+      totalProductCount: children.reduce((sum, child) => sum + child.totalProductCount, productCount),
+      children,
+    };
+  };
+
+  if (rootId !== null) {
+    const root = categories.find((c) => c.id === rootId);
+    return root ? buildNode(root) : null;
+  }
+  return categories
+    .filter((c) => c.parentId === null)
+    .sort(bySiblingOrder)
+    .map(buildNode);
+};
+
+// Tags are short lowercase labels; "Summer Sale" and "summer-sale" are the same tag
+const normalizeTags = (tags) => [...new Set((tags || []).map(slugify).filter(Boolean))];
+
+// Every tag in use, with the number of products carrying it, most used first
+const countTags = (products) => {
+  const counts = new Map();
+  products.forEach((p) => (p.tags || []).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+module.exports = {
+  readCategories,
+  writeCategories,
+  slugify,
+  findCategory,
+  descendantIds,
+  ancestorPath,
+  nextPosition,
+  buildCategoryTree,
+  normalizeTags,
+  countTags,
+};
@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const { hashToken } = require("./utilities");
+const { sendMail, buildAppUrl } = require("./mailer");
+
+const getVerificationTtlHours = () =>
+  parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+const getResendIntervalSeconds = () =>
+  parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+/**
+ * What an unverified account may do after logging in:
+ *   restricted  a token is issued but every role-protected route answers 403 (default)
+ *   deny        login is refused
+ *   allow       no difference from verified accounts (local development)
+ */
+const getUnverifiedLoginPolicy = () => {
+  const policy = process.env.UNVERIFIED_LOGIN_POLICY || "restricted";
+  return ["restricted", "deny", "allow"].includes(policy) ? policy : "restricted";
+};
+
+// Accounts created before verification existed have no flag and count as verified
+const isVerified = (user) => user.verified !== false;
+
+// Seconds the caller must wait before another verification email may be sent
+const secondsUntilResendAllowed = (user, now = Date.now()) => {
+  if (!user.emailVerificationSentAt) return 0;
+  const nextAllowed =
+    new Date(user.emailVerificationSentAt).getTime() + getResendIntervalSeconds() * 1000;
+  return Math.max(0, Math.ceil((nextAllowed - now) / 1000));
+};
+
+/**
+ * Store a fresh verification token on the user, save it and mail the link.
+ * Only the hash of the token is persisted.
+ */
+const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  user.emailVerificationTokenHash = hashToken(token);
+  user.emailVerificationExpires = new Date(
+    Date.now() + getVerificationTtlHours() * 60 * 60 * 1000
+  );
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: [
+      "Welcome! Please confirm that this is your email address by opening this link:",
+      buildAppUrl(`/register/verify?token=${token}`),
+      "",
+      `The link is valid for ${getVerificationTtlHours()} hours.`,
+    ].join("\n"),
+  });
+};
+
+/**
+ * Start an email change: the new address must be confirmed through a link sent to it,
+ * and the current address is told about the request. The user is saved.
+ */
+const sendEmailChangeConfirmation = async (user, newEmail) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  user.pendingEmail = newEmail;
+  user.emailChangeTokenHash = hashToken(token);
+  user.emailChangeExpires = new Date(
+    Date.now() + getVerificationTtlHours() * 60 * 60 * 1000
+  );
+  await user.save();
+
+  await sendMail({
+    to: newEmail,
+    subject: "Confirm your new email address",
+    text: [
+      "Please confirm that you want to use this address for your account by opening this link:",
+      buildAppUrl(`/register/confirm-email?token=${token}`),
+      "",
+      `The link is valid for ${getVerificationTtlHours()} hours.`,
+    ].join("\n"),
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: "Your email address is being changed",
+    text: [
+      `A change of your account's email address to ${newEmail} was requested.`,
+      "If this was not you, change your password right away.",
+    ].join("\n"),
+  });
+};
+
+module.exports = {
+  getUnverifiedLoginPolicy,
+  isVerified,
+  secondsUntilResendAllowed,
+  sendVerificationEmail,
+  sendEmailChangeConfirmation,
+};
@@ -0,0 +1,226 @@
+const { readProducts, writeProducts } = require("./utilities");
+const { readOrders } = require("./orders");
+const { findVariant, hasVariants, variantLabel } = require("./variants");
+
+/**
+ * Stock levels and checkout reservations.
+ *
+ * A product with an integer `stock` is tracked; products without one (the catalog
+ * before stock existed) are never out of stock. Checkout reserves the ordered
+ * quantities on the order itself:
+ *   order.reservation = { status: "active" | "committed" | "released", expiresAt }
+ * An active reservation stops holding stock once expiresAt has passed, so an
+ * abandoned checkout gives its units back without a background job. Payment
+ * commits the reservation (the stock is decremented); cancelling releases it.
+ * A payment that arrives after the reservation lapsed is checked against the
+ * stock again, see commitReservation().
+ *
+ * Products with variants keep their stock per variant (variant.stock); the
+ * product's own stock is not used for them.
+ */
+
+const getReservationTtlMs = () =>
+  (parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15) * 60 * 1000;
+
+const getDefaultLowStockThreshold = () => {
+  const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : 5;
+};
+
+const isTracked = (item) => Number.isInteger(item.stock);
+
+// Reservations are counted per product, or per variant for products that have them
+const stockKey = (productId, variantId) => (variantId ? `${productId}:${variantId}` : String(productId));
+
+const isReservationHeld = (order, now = Date.now()) =>
+  Boolean(order.reservation) &&
+  order.reservation.status === "active" &&
+  new Date(order.reservation.expiresAt).getTime() > now;
+
+// stockKey -> units held by unexpired checkouts, leaving out one order (the one being re-reserved)
+const reservedQuantities = (orders = readOrders(), exceptOrderId = null) => {
+  const reserved = new Map();
+  orders.forEach((order) => {
+    if (order.id === exceptOrderId || !isReservationHeld(order)) return;
+    (order.items || []).forEach((item) => {
+      const key = stockKey(item.productId, item.variantId);
+      reserved.set(key, (reserved.get(key) || 0) + item.quantity);
+    });
+  });
+  return reserved;
+};
+
+// Units of a product (or of one of its variants) that can still be sold; null when the stock is not tracked
+const availableStock = (product, reserved = reservedQuantities(), variant = null) => {
+  const item = variant || product;
+  if (!isTracked(item)) return null;
+  const held = reserved.get(stockKey(product.id, variant && variant.id)) || 0;
+  return Math.max(item.stock - held, 0);
+};
+
+/**
+ * Lines that cannot be served from the available stock.
+ * @param {{ productId: number, variantId?: number, quantity: number }[]} lines
+ * @returns {{ productId: number, variantId?: number, name: string, requested: number, available: number }[]}
+ */
+const findShortages = (lines, products = readProducts(), reserved = reservedQuantities()) =>
+  lines.reduce((shortages, line) => {
+    const product = products.find((p) => p.id === line.productId);
+    const variant = product && line.variantId ? findVariant(product, line.variantId) : null;
+    if (!product || (line.variantId && !variant)) return shortages;
+
+    const available = availableStock(product, reserved, variant);
+    if (available !== null && line.quantity > available) {
+      shortages.push({
+        productId: line.productId,
+        ...(variant && { variantId: variant.id, sku: variant.sku }),
+        name: variant ? `${product.name} (${variantLabel(variant)})` : product.name,
+        requested: line.quantity,
+        available,
+      });
+    }
+    return shortages;
+  }, []);
+
+/**
+ * Hold the order's items until payment or the reservation timeout. An order whose
+ * reservation lapsed can be reserved again if the stock is still there.
+ * The caller saves the order.
+ * @returns {object[]} the shortages; empty when the stock was reserved
+ */
+const reserveStock = (order) => {
+  if (isReservationHeld(order)) return [];
+
+  const shortages = findShortages(order.items, readProducts(), reservedQuantities(readOrders(), order.id));
+  if (shortages.length > 0) return shortages;
+
+  order.reservation = {
+    status: "active",
+    expiresAt: new Date(Date.now() + getReservationTtlMs()).toISOString(),
+  };
+  return [];
+};
+
+/**
+ * Take the paid units out of stock; runs once per order. The caller saves the order.
+ * A reservation that lapsed before the payment arrived no longer holds anything, so
+ * the stock is checked again first. Units that are not there any more are recorded
+ * as reservation.shortages for staff to follow up on (see oversoldOrders()): the
+ * money has been taken, so the order stays paid, but the stock cannot go below zero.
+ * @returns {object[]} the shortages; empty when every unit was in stock
+ */
+const commitReservation = (order) => {
+  if (order.reservation && order.reservation.status === "committed") {
+    return order.reservation.shortages || [];
+  }
+
+  const products = readProducts();
+  const shortages = isReservationHeld(order)
+    ? []
+    : findShortages(order.items || [], products, reservedQuantities(readOrders(), order.id));
+
+  let changed = false;
+  (order.items || []).forEach((item) => {
+    const product = products.find((p) => p.id === item.productId);
+    const stocked = product && (item.variantId ? findVariant(product, item.variantId) : product);
+    if (stocked && isTracked(stocked)) {
+      stocked.stock = Math.max(stocked.stock - item.quantity, 0);
+      changed = true;
+    }
+  });
+  if (changed) writeProducts(products);
+
+  order.reservation = {
+    ...order.reservation,
+    status: "committed",
+    committedAt: new Date().toISOString(),
+    ...(shortages.length > 0 && { shortages }),
+  };
+  if (shortages.length > 0) {
+    console.warn(
+      `Order ${order.id} was paid without reserved stock and is short of: ` +
+        shortages.map((s) => `${s.name} (${s.requested} requested, ${s.available} available)`).join(", ")
+    );
+  }
+  return shortages;
+};
+
+// Give the held units back (cancelled orders). The caller saves the order.
+const releaseReservation = (order) => {
+  if (order.reservation && order.reservation.status === "active") {
+    order.reservation = {
+      ...order.reservation,
+      status: "released",
+      releasedAt: new Date().toISOString(),
+    };
+  }
+  return order;
+};
+
+/**
+ * Paid orders that were committed short of stock and still wait for a restock or a
+ * refund, oldest first. Shipping or refunding an order takes it off the list.
+ */
+const oversoldOrders = (orders = readOrders()) =>
+  orders
+    .filter(
+      (order) =>
+        order.status === "paid" &&
+        order.reservation &&
+        order.reservation.status === "committed" &&
+        (order.reservation.shortages || []).length > 0
+    )
+    .map((order) => ({
+      orderId: order.id,
+      userId: order.userId,
+      committedAt: order.reservation.committedAt,
+      shortages: order.reservation.shortages,
+    }))
+    .sort((a, b) => new Date(a.committedAt) - new Date(b.committedAt) || a.orderId - b.orderId);
+
+/**
+ * Stock overview of every tracked product and variant, lowest availability first.
+ * lowStock is set when the available units are at or below the product's
+ * lowStockThreshold (LOW_STOCK_THRESHOLD, 5 by default, when it has none);
+ * variants share the threshold of their product.
+ */
+const stockReport = (products = readProducts(), reserved = reservedQuantities()) =>
+  products
+    .flatMap((product) => {
+      const threshold = Number.isInteger(product.lowStockThreshold)
+        ? product.lowStockThreshold
+        : getDefaultLowStockThreshold();
+      const entry = (variant) => {
+        const item = variant || product;
+        const available = availableStock(product, reserved, variant);
+        return {
+          productId: product.id,
+          ...(variant && { variantId: variant.id, sku: variant.sku }),
+          name: variant ? `${product.name} (${variantLabel(variant)})` : product.name,
+          stock: item.stock,
+          reserved: reserved.get(stockKey(product.id, variant && variant.id)) || 0,
+          available,
+          lowStockThreshold: threshold,
+          lowStock: available <= threshold,
+        };
+      };
+
+      if (hasVariants(product)) return product.variants.filter(isTracked).map(entry);
+      return isTracked(product) ? [entry(null)] : [];
+    })
+    .sort((a, b) => a.available - b.available || a.productId - b.productId || (a.variantId || 0) - (b.variantId || 0));
+
+module.exports = {
+  getReservationTtlMs,
+  isTracked,
+  stockKey,
+  isReservationHeld,
+  reservedQuantities,
+  availableStock,
+  findShortages,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  oversoldOrders,
+  stockReport,
+};
@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const path = require("path");
+const { readJson, writeJson, hashToken } = require("./utilities");
+const { sendMail, buildAppUrl } = require("./mailer");
+
+const INVITATIONS_FILE = path.join(__dirname, "..", "data", "invitations.json");
+
+/**
+ * Who may create an account:
+ *   open    anyone; an invitation code is optional and can pre-assign a role (default)
+ *   invite  POST /register requires a valid invitation code
+ */
+const getRegistrationMode = () =>
+  process.env.REGISTRATION_MODE === "invite" ? "invite" : "open";
+
+const readInvitations = () => readJson(INVITATIONS_FILE, []);
+const writeInvitations = (records) => writeJson(INVITATIONS_FILE, records);
+
+const invitationStatus = (record, now = Date.now()) => {
+  if (record.revokedAt) return "revoked";
+  if (record.expiresAt && new Date(record.expiresAt).getTime() <= now) return "expired";
+  if (record.maxUses !== null && record.uses >= record.maxUses) return "used";
+  return "active";
+};
+
+// Everything about an invitation except the hash of its code
+const toPublicInvitation = ({ codeHash, ...record }) => ({
+  ...record,
+  status: invitationStatus(record),
+});
+
+/**
+ * Create an invitation. The code is returned once; only its hash is stored.
+ * @param {{ userId: string, email?: string }} creator
+ * @param {{ maxUses?: number|null, expiresAt?: Date|null, role?: string, email?: string|null, note?: string }} options
+ *   maxUses null means unlimited; email binds the invitation to that address
+ */
+const createInvitation = (
+  creator,
+  { maxUses = 1, expiresAt = null, role = "user", email = null, note = null } = {}
+) => {
+  const code = crypto.randomBytes(16).toString("base64url");
+  const record = {
+    id: crypto.randomUUID(),
+    codeHash: hashToken(code),
+    role,
+    email: email ? email.trim().toLowerCase() : null,
+    note,
+    maxUses,
+    uses: 0,
+    usedBy: [],
+    createdBy: { userId: String(creator.userId), email: creator.email || null },
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    revokedAt: null,
+  };
+
+  writeInvitations([...readInvitations(), record]);
+  return { code, invitation: toPublicInvitation(record) };
+};
+
+const listInvitations = () => readInvitations().map(toPublicInvitation);
+
+// Revoke an invitation; false when it does not exist or is already revoked
+const revokeInvitation = (id) => {
+  const records = readInvitations();
+  const record = records.find((r) => r.id === id);
+  if (!record || record.revokedAt) return false;
+
+  record.revokedAt = new Date().toISOString();
+  writeInvitations(records);
+  return true;
+};
+
+/**
+ * Take one use of an invitation for a registration with `email`. The use is
+ * counted right away (before the account is saved) so concurrent sign-ups cannot
+ * overrun maxUses; call releaseInvitation if the account is not created after all.
+ * @returns {{ invitation: object } | { error: "invalid" | "revoked" | "expired" | "used" | "email" }}
+ */
+const claimInvitation = (code, email) => {
+  if (typeof code !== "string" || code === "") return { error: "invalid" };
+
+  const records = readInvitations();
+  const record = records.find((r) => r.codeHash === hashToken(code.trim()));
+  if (!record) return { error: "invalid" };
+
+  const status = invitationStatus(record);
+  if (status !== "active") return { error: status };
+
+  if (record.email && record.email !== String(email || "").trim().toLowerCase()) {
+    return { error: "email" };
+  }
+
+  record.uses += 1;
+  writeInvitations(records);
+  return { invitation: toPublicInvitation(record) };
+};
+
+const releaseInvitation = (id) => {
+  const records = readInvitations();
+  const record = records.find((r) => r.id === id);
+  if (!record || record.uses === 0) return;
+
+  record.uses -= 1;
+  writeInvitations(records);
+};
+
+// Remember which account a claimed use went to
+const recordInvitationUse = (id, user) => {
+  const records = readInvitations();
+  const record = records.find((r) => r.id === id);
+  if (!record) return;
+
+  record.usedBy.push({
+    userId: String(user._id),
+    email: user.email,
+    at: new Date().toISOString(),
+  });
+  writeInvitations(records);
+};
+
+// Mail the registration link of an invitation bound to an email address
+const sendInvitationEmail = async (invitation, code) => {
+  const lines = [
+    "You have been invited to create an account. Register using this link:",
+    buildAppUrl(`/register-page?code=${encodeURIComponent(code)}`),
+  ];
+  if (invitation.expiresAt) {
+    lines.push("", `The invitation expires on ${new Date(invitation.expiresAt).toUTCString()}.`);
+  }
+
+  await sendMail({
+    to: invitation.email,
+    subject: "You are invited",
+    text: lines.join("\n"),
+  });
+};
+
+module.exports = {
+  getRegistrationMode,
+  invitationStatus,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  claimInvitation,
+  releaseInvitation,
+  recordInvitationUse,
+  sendInvitationEmail,
+};
@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+/**
+ * Signing keys for every JWT the app issues.
+ *
+ * With JWT_KEYS_DIR set, each `<kid>.pem` in that directory is a private key
+ * (RSA -> RS256, EC P-256 -> ES256) and each `<kid>.pub.pem` a public key that is
+ * only used to verify tokens signed before a rotation. Tokens carry the `kid` of
+ * their key; all keys are published at /.well-known/jwks.json so other services
+ * can verify tokens without being able to mint them.
+ *
+ * The signing key is JWT_ACTIVE_KID, or the private key whose kid sorts last
+ * (timestamped kids from bin/generate-jwt-key, e.g. `20250601T120000-a1b2c3`,
+ * make the newest key win).
+ *
+ * Without JWT_KEYS_DIR tokens are signed with HS256 and JWT_SECRET.
+ */
+
+const PUBLIC_KEY_SUFFIX = ".pub.pem";
+const PRIVATE_KEY_SUFFIX = ".pem";
+
+const getKeysDir = () =>
+  process.env.JWT_KEYS_DIR
+    ? path.resolve(__dirname, "..", process.env.JWT_KEYS_DIR)
+    : null;
+
+const algorithmFor = (publicKey, file) => {
+  const type = publicKey.asymmetricKeyType;
+  if (type === "rsa") return "RS256";
+  if (type === "ec" && publicKey.asymmetricKeyDetails.namedCurve === "prime256v1") return "ES256";
+  throw new Error(`JWT key ${file}: only RSA (RS256) and EC P-256 (ES256) keys are supported`);
+};
+
+/**
+ * Read every key of a directory.
+ * @returns {{ keys: Map<string, object>, signingKey: object }}
+ */
+const loadKeyring = (dir, activeKid = process.env.JWT_ACTIVE_KID) => {
+  const keys = new Map();
+
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith(PRIVATE_KEY_SUFFIX))
+    .sort()
+    .forEach((file) => {
+      const isPublic = file.endsWith(PUBLIC_KEY_SUFFIX);
+      const kid = file.slice(0, -(isPublic ? PUBLIC_KEY_SUFFIX : PRIVATE_KEY_SUFFIX).length);
+      if (keys.has(kid)) {
+        throw new Error(`JWT key ${kid} exists both as a private and a public key in ${dir}`);
+      }
+
+      const pem = fs.readFileSync(path.join(dir, file), "utf8");
+      const privateKey = isPublic ? null : crypto.createPrivateKey(pem);
+      const publicKey = crypto.createPublicKey(privateKey || pem);
+      keys.set(kid, { kid, alg: algorithmFor(publicKey, file), privateKey, publicKey });
+    });
+
+  const privateKids = [...keys.values()].filter((key) => key.privateKey).map((key) => key.kid);
+  const signingKid = activeKid || privateKids[privateKids.length - 1];
+  const signingKey = keys.get(signingKid);
+  if (!signingKey || !signingKey.privateKey) {
+    throw new Error(
+      activeKid
+        ? `JWT_ACTIVE_KID ${activeKid} has no private key in ${dir}`
+        : `No private JWT key (*.pem) in ${dir}`
+    );
+  }
+
+  return { keys, signingKey };
+};
+
+let keyring;
+
+// The keyring of JWT_KEYS_DIR, or null for HS256; loaded on first use
+const getKeyring = () => {
+  if (keyring === undefined) {
+    const dir = getKeysDir();
+    keyring = dir ? loadKeyring(dir) : null;
+  }
+  return keyring;
+};
+
+// Forget the loaded keys so the next token picks up the directory as it is now
+const reloadKeys = () => {
+  keyring = undefined;
+  return getKeyring();
+};
+
+/**
+ * jwt.sign with the active key; `options` are passed on (expiresIn, jwtid, ...).
+ */
+const signJwt = (payload, options = {}) => {
+  const ring = getKeyring();
+  if (!ring) {
+    return jwt.sign(payload, process.env.JWT_SECRET, { ...options, algorithm: "HS256" });
+  }
+
+  const { kid, alg, privateKey } = ring.signingKey;
+  return jwt.sign(payload, privateKey, { ...options, algorithm: alg, keyid: kid });
+};
+
+/**
+ * jwt.verify against the key named by the token's `kid`; `options` are passed on
+ * (audience, ...). Throws the usual jsonwebtoken errors (TokenExpiredError, JsonWebTokenError).
+ */
+const verifyJwt = (token, options = {}) => {
+  const ring = getKeyring();
+  if (!ring) {
+    return jwt.verify(token, process.env.JWT_SECRET, { ...options, algorithms: ["HS256"] });
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && ring.keys.get(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError("unknown or missing key id");
+  }
+  return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+};
+
+// Public keys in JWKS format (RFC 7517); empty with HS256, whose secret is never published
+const getJwks = () => {
+  const ring = getKeyring();
+  if (!ring) return { keys: [] };
+
+  return {
+    keys: [...ring.keys.values()].map(({ kid, alg, publicKey }) => ({
+      ...publicKey.export({ format: "jwk" }),
+      kid,
+      alg,
+      use: "sig",
+    })),
+  };
+};
+
+module.exports = {
+  loadKeyring,
+  getKeyring,
+  reloadKeys,
+  signJwt,
+  verifyJwt,
+  getJwks,
+};
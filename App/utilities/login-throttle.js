@@ -0,0 +1,106 @@
+/**
+ * Failed-login throttling.
+ *
+ * Counters live behind a small async store interface so they can move to Redis
+ * (or anything shared between processes) without touching the login route:
+ *   get(key)              -> value or undefined
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ * The in-memory store below is the default and is enough for a single process.
+ */
+
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+/**
+ * Counts failures per key. After `freeAttempts` failures each new failure blocks
+ * the key for baseDelayMs * 2^n (capped at maxDelayMs); at `maxFailures` the key
+ * is locked out for lockoutMs. Counters are forgotten lockoutMs after the last failure.
+ */
+const createThrottle = ({
+  store = createMemoryStore(),
+  prefix,
+  freeAttempts = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000,
+  maxFailures = 10,
+  lockoutMs = 15 * 60 * 1000,
+}) => {
+  const keyFor = (id) => `${prefix}:${id}`;
+
+  // Seconds until the key may try again, 0 when it is not blocked
+  const retryAfter = async (id, now = Date.now()) => {
+    const record = await store.get(keyFor(id));
+    if (!record || record.blockedUntil <= now) return 0;
+    return Math.ceil((record.blockedUntil - now) / 1000);
+  };
+
+  const recordFailure = async (id, now = Date.now()) => {
+    const record = (await store.get(keyFor(id))) || { failures: 0, blockedUntil: 0 };
+    const failures = record.failures + 1;
+
+    let blockedUntil = 0;
+    if (failures >= maxFailures) {
+      blockedUntil = now + lockoutMs;
+    } else if (failures > freeAttempts) {
+      blockedUntil = now + Math.min(baseDelayMs * 2 ** (failures - freeAttempts - 1), maxDelayMs);
+    }
+
+    const updated = { failures, blockedUntil, lockedOut: failures >= maxFailures };
+    await store.set(keyFor(id), updated, lockoutMs);
+    return updated;
+  };
+
+  const status = async (id) => (await store.get(keyFor(id))) || null;
+
+  const reset = async (id) => store.delete(keyFor(id));
+
+  return { retryAfter, recordFailure, status, reset };
+};
+
+const readInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const store = createMemoryStore();
+
+// Shared instances used by /login and the admin unlock endpoint
+const accountThrottle = createThrottle({
+  store,
+  prefix: "account",
+  maxFailures: readInt("LOGIN_MAX_FAILURES", 5),
+  lockoutMs: readInt("LOGIN_LOCKOUT_MINUTES", 15) * 60 * 1000,
+});
+
+// An address may legitimately serve many users (office, NAT), so it gets more room
+const ipThrottle = createThrottle({
+  store,
+  prefix: "ip",
+  freeAttempts: 10,
+  maxFailures: readInt("LOGIN_MAX_FAILURES_PER_IP", 50),
+  lockoutMs: readInt("LOGIN_LOCKOUT_MINUTES", 15) * 60 * 1000,
+});
+
+module.exports = {
+  createMemoryStore,
+  createThrottle,
+  accountThrottle,
+  ipThrottle,
+};
@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Outgoing mail.
+ *
+ * A transport is an object with a name and an async send(message) where
+ * message is { from, to, subject, text, date }. Two local sinks are built in:
+ *   console  prints each message (default)
+ *   file     writes each message as a .eml file into data/outbox (or MAIL_OUTBOX_DIR)
+ * Register a real SMTP/API transport with registerMailTransport and select it
+ * with MAIL_TRANSPORT.
+ */
+
+const getOutboxDir = () =>
+  process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "data", "outbox");
+
+const formatMessage = (message) =>
+  [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${message.date.toUTCString()}`,
+    "",
+    message.text,
+  ].join("\n");
+
+const consoleTransport = {
+  name: "console",
+  send: async (message) => {
+    console.log(`📧 Mail\n${formatMessage(message)}\n`);
+  },
+};
+
+const fileTransport = {
+  name: "file",
+  send: async (message) => {
+    const outboxDir = getOutboxDir();
+    fs.mkdirSync(outboxDir, { recursive: true });
+    const fileName = `${message.date.getTime()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+    fs.writeFileSync(path.join(outboxDir, fileName), formatMessage(message));
+  },
+};
+
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+};
+
+const registerMailTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+const getMailTransport = (name = process.env.MAIL_TRANSPORT || "console") => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    date: new Date(),
+  };
+  await getMailTransport().send(message);
+  return message;
+};
+
+let warnedAboutAppUrl = false;
+
+// Links in mails point at APP_URL and never at the Host header of a request, which the
+// client chooses: a forged Host would send reset and verification tokens to another site.
+// Outside production a missing APP_URL falls back to this machine, with a warning.
+const getAppUrl = () => {
+  const appUrl = process.env.APP_URL;
+  if (!appUrl && process.env.NODE_ENV !== "production") {
+    const fallback = `http://localhost:${process.env.PORT || 3000}`;
+    if (!warnedAboutAppUrl) {
+      console.warn(`APP_URL is not set; links in mails will point at ${fallback}`);
+      warnedAboutAppUrl = true;
+    }
+    return fallback;
+  }
+  if (!appUrl || !/^https?:\/\/[^/\s]+/.test(appUrl)) {
+    throw new Error("APP_URL must be set to the public http(s) address of the app, e.g. https://shop.example.com");
+  }
+  return appUrl.replace(/\/$/, "");
+};
+
+const buildAppUrl = (pathWithQuery) => `${getAppUrl()}${pathWithQuery}`;
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  sendMail,
+  getAppUrl,
+  buildAppUrl,
+};
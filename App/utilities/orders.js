@@ -0,0 +1,128 @@
+const path = require("path");
+const { readJson, writeJson, generateId } = require("./utilities");
+const { resolveLine, needsVariant } = require("./variants");
+
+const ORDERS_FILE = path.join(__dirname, "..", "data", "orders.json");
+
+// Legal moves between order states; anything not listed here is rejected
+const ORDER_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["shipped", "refunded"],
+  shipped: ["delivered"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const readOrders = () => readJson(ORDERS_FILE, []);
+const writeOrders = (orders) => writeJson(ORDERS_FILE, orders);
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Freeze each cart line with the product name, variant and price as they are right now,
+// so later catalog edits never rewrite order history. Lines whose product (or variant) is
+// gone are listed in missingProductIds; lines that still need a variant in variantRequiredIds.
+const snapshotCartItems = (cartItems, products) => {
+  const items = [];
+  const missingProductIds = [];
+  const variantRequiredIds = [];
+
+  cartItems.forEach((cartItem) => {
+    const product = products.find((p) => p.id === cartItem.productId);
+    if (product && needsVariant(product, cartItem)) {
+      variantRequiredIds.push(cartItem.productId);
+      return;
+    }
+    const line = resolveLine(products, cartItem);
+    if (!line) {
+      missingProductIds.push(cartItem.productId);
+      return;
+    }
+    const { variant, price, label } = line;
+    items.push({
+      productId: product.id,
+      ...(variant && { variantId: variant.id, sku: variant.sku, variant: label }),
+      name: product.name,
+      price,
+      quantity: cartItem.quantity,
+      subtotal: roundPrice(price * cartItem.quantity),
+    });
+  });
+
+  return { items, missingProductIds, variantRequiredIds };
+};
+
+const describeActor = (actor) => ({
+  userId: String(actor.userId),
+  email: actor.email || null,
+});
+
+const canTransition = (fromStatus, toStatus) =>
+  (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Moves an order to a new state and records who did it and when; legality is checked by the caller
+const applyTransition = (order, toStatus, actor, note) => {
+  const at = new Date().toISOString();
+  order.history = order.history || [];
+  order.history.push({
+    from: order.status,
+    to: toStatus,
+    at,
+    by: describeActor(actor),
+    ...(note && { note }),
+  });
+  order.status = toStatus;
+  order.updatedAt = at;
+  return order;
+};
+
+const saveOrder = (order) => {
+  const orders = readOrders();
+  const index = orders.findIndex((o) => o.id === order.id);
+  if (index === -1) {
+    orders.push(order);
+  } else {
+    orders[index] = order;
+  }
+  writeOrders(orders);
+  return order;
+};
+
+const createOrder = (userId, items, actor = { userId }) => {
+  const orders = readOrders();
+  const createdAt = new Date().toISOString();
+
+  const order = {
+    id: generateId(orders),
+    userId: String(userId),
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    total: roundPrice(items.reduce((sum, item) => sum + item.subtotal, 0)),
+    status: "pending",
+    history: [
+      { from: null, to: "pending", at: createdAt, by: describeActor(actor) },
+    ],
+    createdAt,
+  };
+
+  orders.push(order);
+  writeOrders(orders);
+  return order;
+};
+
+const readUserOrders = (userId) =>
+  readOrders().filter((order) => order.userId === String(userId));
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransition,
+  applyTransition,
+  saveOrder,
+  readOrders,
+  writeOrders,
+  readUserOrders,
+  snapshotCartItems,
+  createOrder,
+};
@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+
+/**
+ * Offline payment provider for development and tests.
+ *
+ * The outcome of an authorization is decided by the card number:
+ *   4242424242424242  success
+ *   4000000000000002  declined (card_declined)
+ *   4000000000009995  declined (insufficient_funds)
+ *   4000000000000119  the processor never answers (timeout)
+ * Any other 12-19 digit number succeeds.
+ */
+
+const DECLINED_CARDS = {
+  "4000000000000002": "card_declined",
+  "4000000000009995": "insufficient_funds",
+};
+const TIMEOUT_CARD = "4000000000000119";
+
+// Transactions only live as long as the process, like a sandbox account
+const transactions = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+// Without a secret nobody's signature can be trusted, so webhooks stay off
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || null;
+
+const webhooksEnabled = () => Boolean(getWebhookSecret());
+
+// The provider has no record of a refundable charge (e.g. after a restart of this sandbox)
+const notRefundable = (transactionId) => {
+  const error = new Error(`Transaction ${transactionId} cannot be refunded`);
+  error.code = "REFUND_NOT_POSSIBLE";
+  return error;
+};
+
+const authorize = async ({ amount, currency, card, reference }) => {
+  const number = String(card || "").replace(/[\s-]/g, "");
+
+  if (number === TIMEOUT_CARD) {
+    const error = new Error("Payment provider did not respond in time");
+    error.code = "PAYMENT_TIMEOUT";
+    throw error;
+  }
+
+  if (!/^\d{12,19}$/.test(number)) {
+    return { status: "declined", reason: "invalid_card" };
+  }
+
+  if (DECLINED_CARDS[number]) {
+    return { status: "declined", reason: DECLINED_CARDS[number] };
+  }
+
+  const transactionId = newId("fake_txn");
+  transactions.set(transactionId, {
+    amount,
+    currency,
+    reference,
+    last4: number.slice(-4),
+    status: "authorized",
+  });
+  return { status: "authorized", transactionId, last4: number.slice(-4) };
+};
+
+const capture = async (transactionId, amount) => {
+  const transaction = transactions.get(transactionId);
+  if (!transaction || transaction.status !== "authorized") {
+    throw new Error(`Transaction ${transactionId} cannot be captured`);
+  }
+  transaction.status = "captured";
+  transaction.capturedAmount = amount ?? transaction.amount;
+  return { status: "captured", transactionId, amount: transaction.capturedAmount };
+};
+
+const refund = async (transactionId, amount) => {
+  const transaction = transactions.get(transactionId);
+  if (!transaction || transaction.status !== "captured") {
+    throw notRefundable(transactionId);
+  }
+  transaction.status = "refunded";
+  return {
+    status: "refunded",
+    transactionId,
+    refundId: newId("fake_rfnd"),
+    amount: amount ?? transaction.capturedAmount,
+  };
+};
+
+const signWebhookPayload = (rawBody) =>
+  crypto
+    .createHmac("sha256", getWebhookSecret())
+    .update(rawBody)
+    .digest("hex");
+
+const verifyWebhook = (rawBody, signature) => {
+  if (!webhooksEnabled() || !rawBody || typeof signature !== "string") return false;
+  const expected = Buffer.from(signWebhookPayload(rawBody), "hex");
+  const received = Buffer.from(signature, "hex");
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+// Events look like { id, type: "payment.captured", data: { transactionId, reference } }
+const parseWebhookEvent = (rawBody) => {
+  const event = JSON.parse(rawBody.toString("utf8"));
+  return {
+    id: event.id,
+    type: event.type,
+    transactionId: event.data && event.data.transactionId,
+    reference: event.data && event.data.reference,
+  };
+};
+
+module.exports = {
+  name: "fake",
+  authorize,
+  capture,
+  refund,
+  webhooksEnabled,
+  verifyWebhook,
+  parseWebhookEvent,
+  signWebhookPayload,
+};
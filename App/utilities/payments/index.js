@@ -0,0 +1,209 @@
+const fakeProvider = require("./fake-provider");
+const { applyTransition, canTransition } = require("../orders");
+const { commitReservation } = require("../inventory");
+
+/**
+ * Payment gateway.
+ *
+ * A provider adapter is an object with:
+ *   name                                               registry key
+ *   authorize({ amount, currency, card, reference })   -> { status: "authorized" | "declined", transactionId, reason }
+ *   capture(transactionId, amount)                     -> { status: "captured", transactionId, amount }
+ *   refund(transactionId, amount)                      -> { status: "refunded", transactionId, refundId, amount }
+ *   webhooksEnabled()                                  -> boolean, false while the webhook secret is missing
+ *   verifyWebhook(rawBody, signature)                  -> boolean
+ *   parseWebhookEvent(rawBody)                         -> { id, type, transactionId, reference }
+ * `reference` is ours (order_<id>, see paymentReference()); providers echo it in their
+ * events, so a charge whose authorization timed out can still be matched to its order.
+ * Amounts are integers in minor units (cents). The async methods reject with
+ * error.code === "PAYMENT_TIMEOUT" when the processor does not answer, and
+ * refund() with error.code === "REFUND_NOT_POSSIBLE" when there is nothing it can refund.
+ */
+
+const providers = {
+  [fakeProvider.name]: fakeProvider,
+};
+
+const registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || "fake") => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+const getCurrency = () => process.env.PAYMENT_CURRENCY || "EUR";
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+// Sent with every authorization and used as its idempotency key
+const paymentReference = (order) => `order_${order.id}`;
+
+// Orders moved by the processor are attributed to the provider rather than a person
+const providerActor = (provider) => ({ userId: `payment:${provider.name}` });
+
+/**
+ * Authorize and capture the order total, then mark the order as paid and take
+ * its items out of stock. Declines and timeouts are recorded on the order, which stays pending so the
+ * customer can retry.
+ * @returns {Promise<{ outcome: "paid" | "declined" | "timeout", order: Object }>}
+ */
+const payOrder = async (order, card, provider = getPaymentProvider()) => {
+  const amount = toMinorUnits(order.total);
+  const currency = getCurrency();
+  const attemptedAt = new Date().toISOString();
+  const reference = paymentReference(order);
+
+  // Recorded before the provider is called, so a webhook for a charge whose answer
+  // never reached us can still find the order
+  order.payment = {
+    provider: provider.name,
+    status: "processing",
+    reference,
+    amount,
+    currency,
+    attemptedAt,
+  };
+
+  try {
+    const authorization = await provider.authorize({
+      amount,
+      currency,
+      card,
+      reference,
+    });
+
+    if (authorization.status !== "authorized") {
+      order.payment = {
+        provider: provider.name,
+        status: "declined",
+        reference,
+        reason: authorization.reason,
+        amount,
+        currency,
+        attemptedAt,
+      };
+      return { outcome: "declined", order };
+    }
+
+    const captured = await provider.capture(authorization.transactionId, amount);
+
+    order.payment = {
+      provider: provider.name,
+      status: "captured",
+      reference,
+      transactionId: captured.transactionId,
+      last4: authorization.last4,
+      amount: captured.amount,
+      currency,
+      capturedAt: new Date().toISOString(),
+    };
+    applyTransition(order, "paid", providerActor(provider));
+    commitReservation(order);
+    return { outcome: "paid", order };
+  } catch (error) {
+    if (error.code !== "PAYMENT_TIMEOUT") throw error;
+
+    order.payment = {
+      provider: provider.name,
+      status: "timeout",
+      reference,
+      amount,
+      currency,
+      attemptedAt,
+    };
+    return { outcome: "timeout", order };
+  }
+};
+
+/**
+ * Give the captured amount back through the provider that took it.
+ * Orders that were never charged through the gateway are left untouched.
+ */
+const refundOrderPayment = async (order) => {
+  if (!order.payment || order.payment.status !== "captured") {
+    return order;
+  }
+
+  const provider = getPaymentProvider(order.payment.provider);
+  const refund = await provider.refund(
+    order.payment.transactionId,
+    order.payment.amount
+  );
+
+  order.payment.status = "refunded";
+  order.payment.refundId = refund.refundId;
+  order.payment.refundedAt = new Date().toISOString();
+  return order;
+};
+
+// Webhook event type -> order status it implies
+const WEBHOOK_STATUS = {
+  "payment.captured": "paid",
+  "payment.refunded": "refunded",
+};
+
+/**
+ * The order a verified webhook event is about: the one holding its transaction id or,
+ * for charges whose authorization answer never arrived, its payment reference.
+ * @returns {object|null}
+ */
+const findWebhookOrder = (orders, event, provider) => {
+  const byProvider = orders.filter((order) => order.payment && order.payment.provider === provider.name);
+  return (
+    (event.transactionId && byProvider.find((order) => order.payment.transactionId === event.transactionId)) ||
+    (event.reference && byProvider.find((order) => order.payment.reference === event.reference)) ||
+    null
+  );
+};
+
+/**
+ * Apply a verified webhook event to its order.
+ * @returns {boolean} Whether the order changed
+ */
+const applyWebhookEvent = (order, event, provider) => {
+  const payment = order.payment || {};
+  const processedEvents = payment.processedEvents || [];
+
+  // Providers retry deliveries, so each event is only applied once
+  if (event.id && processedEvents.includes(event.id)) {
+    return false;
+  }
+
+  if (event.type === "payment.failed") {
+    // A late failure notice must not overwrite a payment that went through after all
+    if (order.status !== "pending") return false;
+    payment.status = "failed";
+  } else {
+    const status = WEBHOOK_STATUS[event.type];
+    if (!status || !canTransition(order.status, status)) {
+      return false;
+    }
+    payment.status = status === "paid" ? "captured" : "refunded";
+    // Orders matched by reference learn their transaction id here; refunds need it
+    payment.transactionId = payment.transactionId || event.transactionId;
+    applyTransition(order, status, providerActor(provider), `Webhook ${event.type}`);
+    if (status === "paid") commitReservation(order);
+  }
+
+  order.payment = {
+    ...payment,
+    processedEvents: event.id ? [...processedEvents, event.id] : processedEvents,
+  };
+  return true;
+};
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+  payOrder,
+  refundOrderPayment,
+  applyWebhookEvent,
+  findWebhookOrder,
+  paymentReference,
+  toMinorUnits,
+};
@@ -0,0 +1,136 @@
+/**
+ * Filtering, sorting and pagination of the product catalog for GET /articles.
+ *
+ * Sort keys are a field name, optionally prefixed with "-" for descending order
+ * ("price", "-createdAt"). Ties are broken by id, so every product has a stable
+ * position and cursors never skip or repeat one.
+ */
+
+const PRODUCT_SORT_FIELDS = ["id", "name", "price", "createdAt"];
+const PRODUCT_SORTS = PRODUCT_SORT_FIELDS.flatMap((field) => [field, `-${field}`]);
+
+const parseSort = (sort = "id") =>
+  sort.startsWith("-")
+    ? { field: sort.slice(1), direction: -1 }
+    : { field: sort, direction: 1 };
+
+const compareValues = (field, a, b) => {
+  if (field === "name") {
+    return String(a || "").localeCompare(String(b || ""), undefined, { sensitivity: "base" });
+  }
+  if (field === "createdAt") {
+    return String(a || "").localeCompare(String(b || ""));
+  }
+  return (a || 0) - (b || 0);
+};
+
+// Orders products (or cursor positions, which look like { [field]: value, id }) by a sort key
+const compareProducts = (sort) => {
+  const { field, direction } = parseSort(sort);
+  return (a, b) => direction * (compareValues(field, a[field], b[field]) || a.id - b.id);
+};
+
+/**
+ * Products within the given bounds; every bound is inclusive and optional.
+ * @param {object[]} products
+ * @param {{ minPrice?: number, maxPrice?: number, createdAfter?: Date, createdBefore?: Date,
+ *           categoryIds?: Set<number>, tags?: string[] }} filters
+ *   categoryIds: the product's category must be one of them; tags: the product must carry all of them
+ */
+const filterProducts = (products, { minPrice, maxPrice, createdAfter, createdBefore, categoryIds, tags } = {}) =>
+  products.filter((product) => {
+    if (categoryIds && !categoryIds.has(product.categoryId)) return false;
+    if (tags && !tags.every((tag) => (product.tags || []).includes(tag))) return false;
+    if (minPrice !== undefined && !(product.price >= minPrice)) return false;
+    if (maxPrice !== undefined && !(product.price <= maxPrice)) return false;
+    if (createdAfter || createdBefore) {
+      const created = new Date(product.createdAt).getTime();
+      if (isNaN(created)) return false;
+      if (createdAfter && created < createdAfter.getTime()) return false;
+      if (createdBefore && created > createdBefore.getTime()) return false;
+    }
+    return true;
+  });
+
+// A cursor is an opaque pointer to a position in one sort order, read forwards ("next") or backwards ("prev")
+const encodeCursor = (product, sort, direction) => {
+  const { field } = parseSort(sort);
+  return Buffer.from(JSON.stringify({ s: sort, v: product[field], id: product.id, d: direction })).toString("base64url");
+};
+
+// The position a cursor points at, or null when it is malformed or was issued for another sort order
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v, id, d } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (s !== sort || !Number.isInteger(id) || !["next", "prev"].includes(d)) return null;
+    if (v !== undefined && v !== null && typeof v !== "string" && typeof v !== "number") return null;
+    return { position: { [parseSort(sort).field]: v, id }, direction: d };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * One page of products, either by page number or by cursor.
+ * @param {object[]} products - already filtered
+ * @param {{ sort?: string, limit: number, page?: number, cursor?: { position: object, direction: string } }} options
+ *   cursor is the decoded cursor; without one, page (default 1) is used
+ * @returns {{ data: object[], total: number, page: number|null, totalPages: number,
+ *             nextCursor: string|null, prevCursor: string|null }}
+ */
+const paginateProducts = (products, { sort = "id", limit, page, cursor }) => {
+  const compare = compareProducts(sort);
+  const sorted = [...products].sort(compare);
+
+  let start;
+  let end;
+  if (cursor && cursor.direction === "prev") {
+    end = sorted.findIndex((product) => compare(product, cursor.position) >= 0);
+    if (end === -1) end = sorted.length;
+    start = Math.max(end - limit, 0);
+  } else if (cursor) {
+    start = sorted.findIndex((product) => compare(product, cursor.position) > 0);
+    if (start === -1) start = sorted.length;
+    end = Math.min(start + limit, sorted.length);
+  } else {
+    start = Math.min(((page || 1) - 1) * limit, sorted.length);
+    end = Math.min(start + limit, sorted.length);
+  }
+
+  const data = sorted.slice(start, end);
+  return {
+    data,
+    total: sorted.length,
+    page: cursor ? null : page || 1,
+    totalPages: Math.ceil(sorted.length / limit),
+    nextCursor: end < sorted.length && data.length > 0 ? encodeCursor(data[data.length - 1], sort, "next") : null,
+    prevCursor: start > 0 && data.length > 0 ? encodeCursor(data[0], sort, "prev") : null,
+  };
+};
+
+/**
+ * Query string of another page of a listing: the validated filters of this one with
+ * its page/cursor replaced by `position`. Repeated filters (?tag=a&tag=b) stay repeated.
+ * @param {object} query - validated req.query
+ * @param {{ page?: number, cursor?: string }} position
+ */
+const listingQuery = (query, position) => {
+  const { page, cursor, ...filters } = query;
+  const params = new URLSearchParams();
+  const format = (value) => (value instanceof Date ? value.toISOString() : String(value));
+  Object.entries({ ...filters, ...position }).forEach(([key, value]) => {
+    (Array.isArray(value) ? value : [value]).forEach((item) => params.append(key, format(item)));
+  });
+  return params.toString();
+};
+
+module.exports = {
+  PRODUCT_SORT_FIELDS,
+  PRODUCT_SORTS,
+  compareProducts,
+  filterProducts,
+  encodeCursor,
+  decodeCursor,
+  paginateProducts,
+  listingQuery,
+};
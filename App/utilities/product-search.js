@@ -0,0 +1,181 @@
+const { readProducts } = require("./utilities");
+
+/**
+ * In-process full-text search over the product catalog.
+ *
+ * Names, tags and descriptions (where products have one) are split into lowercase,
+ * accent-free terms and kept in an inverted index: term -> (product id -> weight).
+ * A query term matches a product term exactly, as a prefix ("iph" -> "iphone") or
+ * within a small edit distance ("samsnug" -> "samsung"); every query term has to
+ * match for a product to be found. Results are ranked by how well and how rarely
+ * their terms match (closer matches and rarer terms count more).
+ */
+
+// A word in the name says more about a product than one in its description or tags
+const FIELD_WEIGHTS = { name: 2, description: 1, tags: 1 };
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.7, oneEdit: 0.5, twoEdits: 0.3 };
+
+const normalize = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+const tokenize = (text) => normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+
+// Typos tolerated in a query term: none for short words, where one edit is a different word
+const allowedEdits = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// Edit distance counting a swap of neighbouring letters as one edit; gives up above max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// How well a product term answers a query term, 0 when it does not
+const matchQuality = (queryTerm, term) => {
+  if (term === queryTerm) return MATCH_QUALITY.exact;
+  if (queryTerm.length >= 2 && term.startsWith(queryTerm)) return MATCH_QUALITY.prefix;
+
+  const max = allowedEdits(queryTerm);
+  if (max === 0) return 0;
+  const distance = editDistance(queryTerm, term, max);
+  if (distance > max) return 0;
+  return distance === 1 ? MATCH_QUALITY.oneEdit : MATCH_QUALITY.twoEdits;
+};
+
+/**
+ * A search index over products ({ id, name, description?, tags? }).
+ * add() also replaces a product that is already indexed.
+ */
+const createSearchIndex = () => {
+  const postings = new Map(); // term -> Map(productId -> weight)
+  const documents = new Map(); // productId -> { terms, name }
+
+  const remove = (id) => {
+    const document = documents.get(id);
+    if (!document) return false;
+    document.terms.forEach((term) => {
+      const entries = postings.get(term);
+      entries.delete(id);
+      if (entries.size === 0) postings.delete(term);
+    });
+    documents.delete(id);
+    return true;
+  };
+
+  const add = (product) => {
+    remove(product.id);
+
+    const weights = new Map();
+    Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+      tokenize(product[field]).forEach((term) => {
+        weights.set(term, (weights.get(term) || 0) + fieldWeight);
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(product.id, weight);
+    });
+    documents.set(product.id, { terms: [...weights.keys()], name: tokenize(product.name).join(" ") });
+  };
+
+  const clear = () => {
+    postings.clear();
+    documents.clear();
+  };
+
+  /**
+   * Products matching every term of the query, best first.
+   * @param {string} query
+   * @returns {{ id: number, score: number }[]}
+   */
+  const search = (query) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const idf = (term) => Math.log(1 + documents.size / postings.get(term).size);
+
+    let scores = null;
+    for (const queryTerm of queryTerms) {
+      // Best match of this query term in each product
+      const best = new Map();
+      postings.forEach((entries, term) => {
+        const quality = matchQuality(queryTerm, term);
+        if (quality === 0) return;
+        const termScore = quality * idf(term);
+        entries.forEach((weight, id) => {
+          const score = termScore * weight;
+          if (score > (best.get(id) || 0)) best.set(id, score);
+        });
+      });
+
+      if (scores === null) {
+        scores = best;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, id) => {
+          if (best.has(id)) combined.set(id, score + best.get(id));
+        });
+        scores = combined;
+      }
+      if (scores.size === 0) return [];
+    }
+
+    // The query as typed, word for word, in the name beats the same words scattered around
+    const phrase = queryTerms.length > 1 ? tokenize(query).join(" ") : null;
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({
+        id,
+        score: Math.round((phrase && documents.get(id).name.includes(phrase) ? score * 1.5 : score) * 1000) / 1000,
+      }))
+      .sort((a, b) => b.score - a.score || a.id - b.id);
+  };
+
+  return { add, remove, clear, search, size: () => documents.size };
+};
+
+// The catalog's index, built from products.json on first use and kept current by routes/articles.js
+let productSearchIndex = null;
+
+const getProductSearchIndex = () => {
+  if (!productSearchIndex) {
+    productSearchIndex = createSearchIndex();
+    readProducts().forEach((product) => productSearchIndex.add(product));
+  }
+  return productSearchIndex;
+};
+
+// Forget the catalog's index; the next search rebuilds it from products.json (e.g. after an import)
+const resetProductSearchIndex = () => {
+  productSearchIndex = null;
+};
+
+module.exports = {
+  tokenize,
+  editDistance,
+  createSearchIndex,
+  getProductSearchIndex,
+  resetProductSearchIndex,
+};
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const { getRefreshTokenTtlMs } = require("./tokens");
+
+/**
+ * Cookie session mode for the browser pages. Logging in with
+ * `{ "session": "cookie" }` stores the access and refresh tokens in httpOnly
+ * cookies, so page scripts never see them, plus a readable CSRF cookie.
+ *
+ * CSRF protection is a double submit: requests authenticated by cookie that
+ * change state must repeat the CSRF cookie in the X-CSRF-Token header (the
+ * Socket.io handshake sends it as `auth.csrfToken`). Another site can make the
+ * browser send the cookies but cannot read them to fill in the header.
+ */
+
+const ACCESS_COOKIE = "access_token";
+const REFRESH_COOKIE = "refresh_token";
+const CSRF_COOKIE = "csrf_token";
+const CSRF_HEADER = "x-csrf-token";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Secure cookies need HTTPS; on by default in production, COOKIE_SECURE=true|false overrides
+const useSecureCookies = () =>
+  process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === "true"
+    : process.env.NODE_ENV === "production";
+
+const cookieOptions = (httpOnly) => ({
+  httpOnly,
+  secure: useSecureCookies(),
+  // Lax: sent when following a link to /chat, never on cross-site form posts or fetches
+  sameSite: "lax",
+  path: "/",
+  // The access token inside expires sooner; the cookies live as long as the refresh token
+  maxAge: getRefreshTokenTtlMs(),
+});
+
+// JSON only: a plain HTML form on another site could otherwise log the browser into an attacker's account
+const wantsCookieSession = (req) =>
+  Boolean(req.is("application/json")) && Boolean(req.body) && req.body.session === "cookie";
+
+/**
+ * Store a session in cookies. The CSRF token is kept across refreshes so open
+ * pages keep working; a new one is made at login.
+ * @returns {string} the CSRF token
+ */
+const setSessionCookies = (req, res, { token, refreshToken }, { newCsrfToken = false } = {}) => {
+  const csrfToken =
+    (!newCsrfToken && req.cookies && req.cookies[CSRF_COOKIE]) ||
+    crypto.randomBytes(32).toString("base64url");
+
+  res.cookie(ACCESS_COOKIE, token, cookieOptions(true));
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(true));
+  res.cookie(CSRF_COOKIE, csrfToken, cookieOptions(false));
+  return csrfToken;
+};
+
+/**
+ * Hand a new session to the client: in cookies when the request came from a cookie
+ * session (or asked for one at login), otherwise as tokens in the JSON body.
+ * @returns {object} the session fields for the response body
+ */
+const deliverSession = (req, res, { token, refreshToken, expiresIn }, { newCsrfToken = false } = {}) => {
+  if (req.cookieSession || wantsCookieSession(req)) {
+    const csrfToken = setSessionCookies(req, res, { token, refreshToken }, { newCsrfToken });
+    return { session: "cookie", csrfToken, expiresIn };
+  }
+  return { token, refreshToken, expiresIn };
+};
+
+const clearSessionCookies = (res) => {
+  [ACCESS_COOKIE, REFRESH_COOKIE, CSRF_COOKIE].forEach((name) => {
+    const { maxAge, ...options } = cookieOptions(name !== CSRF_COOKIE);
+    res.clearCookie(name, options);
+  });
+};
+
+const readAccessCookie = (req) => (req.cookies && req.cookies[ACCESS_COOKIE]) || null;
+const readRefreshCookie = (req) => (req.cookies && req.cookies[REFRESH_COOKIE]) || null;
+
+// True when `presented` matches the CSRF cookie of the request
+const matchesCsrfCookie = (cookies, presented) => {
+  const expected = cookies && cookies[CSRF_COOKIE];
+  if (typeof expected !== "string" || typeof presented !== "string") return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(presented);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Safe methods pass; anything else needs the X-CSRF-Token header to match the cookie
+const hasValidCsrfToken = (req) =>
+  SAFE_METHODS.includes(req.method) || matchesCsrfCookie(req.cookies, req.get(CSRF_HEADER));
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  wantsCookieSession,
+  setSessionCookies,
+  deliverSession,
+  clearSessionCookies,
+  readAccessCookie,
+  readRefreshCookie,
+  matchesCsrfCookie,
+  hasValidCsrfToken,
+};
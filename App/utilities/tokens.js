@@ -0,0 +1,240 @@
+const crypto = require("crypto");
+const path = require("path");
+const { readJson, writeJson, hashToken } = require("./utilities");
+const { signJwt, verifyJwt } = require("./jwt-keys");
+const { isVerified, getUnverifiedLoginPolicy } = require("./email-verification");
+const { needsTwoFactorSetup } = require("./two-factor");
+const { resolvePermissions } = require("../config/permissions");
+
+const REFRESH_TOKENS_FILE = path.join(__dirname, "..", "data", "refresh-tokens.json");
+const REVOKED_TOKENS_FILE = path.join(__dirname, "..", "data", "revoked-tokens.json");
+
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+const getRefreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const readRefreshTokens = () => readJson(REFRESH_TOKENS_FILE, []);
+
+// Expired records are dropped on every write; live ones are kept (even once used) for reuse detection
+const writeRefreshTokens = (records) => {
+  const now = Date.now();
+  writeJson(
+    REFRESH_TOKENS_FILE,
+    records.filter((record) => new Date(record.expiresAt).getTime() > now)
+  );
+};
+
+// Claims describing what the user may do; also used for requests made with an API key
+const accessTokenClaims = (user) => ({
+  userId: user._id,
+  email: user.email,
+  roles: user.roles,
+  // Effective permissions at signing time; role or policy changes apply from the next refresh
+  permissions: resolvePermissions(user.roles),
+  tv: user.tokenVersion || 0,
+  // Unverified accounts get a restricted token unless the policy allows them in fully
+  verified: isVerified(user) || getUnverifiedLoginPolicy() === "allow",
+  // Accounts whose role requires 2FA are limited to enrolling until they have it
+  mfaSetupRequired: needsTwoFactorSetup(user),
+});
+
+/**
+ * `aud` of access tokens. Every token the app signs shares the keys published in
+ * the JWKS, so services verifying access tokens must require this audience;
+ * 2FA challenges and deletion confirmations carry their own.
+ */
+const ACCESS_TOKEN_AUDIENCE = "access";
+
+const signAccessToken = (user) =>
+  signJwt(
+    accessTokenClaims(user),
+    { expiresIn: getAccessTokenTtl(), jwtid: crypto.randomUUID(), audience: ACCESS_TOKEN_AUDIENCE }
+  );
+
+/**
+ * Create a new refresh token. Only its hash is stored; the raw value is returned once.
+ * Tokens obtained by rotating each other share a family, so a stolen token can
+ * take the whole chain down with it.
+ */
+const issueRefreshToken = (userId, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const now = Date.now();
+  const record = {
+    id: crypto.randomUUID(),
+    tokenHash: hashToken(token),
+    userId: String(userId),
+    family,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getRefreshTokenTtlMs()).toISOString(),
+    usedAt: null,
+    revokedAt: null,
+  };
+
+  writeRefreshTokens([...readRefreshTokens(), record]);
+  return { token, record };
+};
+
+const revokeRefreshFamily = (family) => {
+  const revokedAt = new Date().toISOString();
+  writeRefreshTokens(
+    readRefreshTokens().map((record) =>
+      record.family === family && !record.revokedAt
+        ? { ...record, revokedAt }
+        : record
+    )
+  );
+};
+
+const revokeUserRefreshTokens = (userId) => {
+  const revokedAt = new Date().toISOString();
+  writeRefreshTokens(
+    readRefreshTokens().map((record) =>
+      record.userId === String(userId) && !record.revokedAt
+        ? { ...record, revokedAt }
+        : record
+    )
+  );
+};
+
+// Revoke the family of a single refresh token, if it belongs to the given user
+const revokeRefreshToken = (token, userId) => {
+  if (typeof token !== "string" || token === "") return false;
+  const record = readRefreshTokens().find(
+    (r) => r.tokenHash === hashToken(token) && r.userId === String(userId)
+  );
+  if (!record) return false;
+  revokeRefreshFamily(record.family);
+  return true;
+};
+
+// Denylisted access token ids are kept only until the token would have expired anyway
+const readRevokedAccessTokens = () => readJson(REVOKED_TOKENS_FILE, []);
+
+const revokeAccessToken = (jti, exp) => {
+  if (!jti) return;
+  const now = Date.now();
+  const entries = readRevokedAccessTokens().filter(
+    (entry) => new Date(entry.expiresAt).getTime() > now
+  );
+  entries.push({
+    jti,
+    expiresAt: new Date((exp || now / 1000) * 1000).toISOString(),
+  });
+  writeJson(REVOKED_TOKENS_FILE, entries);
+};
+
+const isAccessTokenRevoked = (jti) =>
+  Boolean(jti) && readRevokedAccessTokens().some((entry) => entry.jti === jti);
+
+// Audiences of the special-purpose tokens; none of them is ever accepted as an access token
+const TWO_FACTOR_CHALLENGE_AUDIENCE = "2fa-login";
+const ACCOUNT_DELETION_AUDIENCE = "account-deletion";
+
+// Decoded token, or null when it is invalid, expired or meant for another audience
+const verifyAudience = (token, audience) => {
+  try {
+    return verifyJwt(token, { audience });
+  } catch (error) {
+    return null;
+  }
+};
+
+const getTwoFactorChallengeTtl = () => process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+
+// Short-lived proof that the password step of a 2FA login succeeded
+const signTwoFactorChallenge = (user) =>
+  signJwt(
+    { userId: user._id, tv: user.tokenVersion || 0 },
+    { expiresIn: getTwoFactorChallengeTtl(), audience: TWO_FACTOR_CHALLENGE_AUDIENCE }
+  );
+
+const verifyTwoFactorChallenge = (token) => verifyAudience(token, TWO_FACTOR_CHALLENGE_AUDIENCE);
+
+const getAccountDeletionTtl = () => process.env.ACCOUNT_DELETION_CONFIRM_TTL || "10m";
+
+/**
+ * Proof that the password (and second factor) were re-entered before DELETE /me.
+ * Bound to the token version, so it dies with the sessions it was issued to.
+ */
+const signAccountDeletionToken = (user) =>
+  signJwt(
+    { userId: user._id, tv: user.tokenVersion || 0 },
+    { expiresIn: getAccountDeletionTtl(), audience: ACCOUNT_DELETION_AUDIENCE }
+  );
+
+const verifyAccountDeletionToken = (token) => verifyAudience(token, ACCOUNT_DELETION_AUDIENCE);
+
+// Access + refresh token pair handed out at login
+const createSession = (user) => ({
+  token: signAccessToken(user),
+  refreshToken: issueRefreshToken(user._id).token,
+  expiresIn: getAccessTokenTtl(),
+});
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Presenting a token that was already used or revoked is treated as theft and
+ * revokes every token in its family.
+ * @returns {{ userId: string, refreshToken: string } | { error: "invalid" | "expired" | "reused" }}
+ */
+const rotateRefreshToken = (token) => {
+  if (typeof token !== "string" || token === "") {
+    return { error: "invalid" };
+  }
+
+  const records = readRefreshTokens();
+  const record = records.find((r) => r.tokenHash === hashToken(token));
+
+  if (!record) {
+    return { error: "invalid" };
+  }
+
+  if (record.usedAt || record.revokedAt) {
+    revokeRefreshFamily(record.family);
+    return { error: "reused" };
+  }
+
+  if (new Date(record.expiresAt).getTime() <= Date.now()) {
+    return { error: "expired" };
+  }
+
+  const { token: refreshToken, record: replacement } = issueRefreshToken(
+    record.userId,
+    record.family
+  );
+
+  // Re-read so the replacement written above is kept
+  writeRefreshTokens(
+    readRefreshTokens().map((r) =>
+      r.id === record.id
+        ? { ...r, usedAt: new Date().toISOString(), replacedBy: replacement.id }
+        : r
+    )
+  );
+
+  return { userId: record.userId, refreshToken };
+};
+
+module.exports = {
+  ACCESS_TOKEN_AUDIENCE,
+  getAccessTokenTtl,
+  getRefreshTokenTtlMs,
+  getTwoFactorChallengeTtl,
+  hashToken,
+  accessTokenClaims,
+  signAccessToken,
+  createSession,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getAccountDeletionTtl,
+  signAccountDeletionToken,
+  verifyAccountDeletionToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshFamily,
+  revokeUserRefreshTokens,
+  revokeRefreshToken,
+  readRefreshTokens,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+};
@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const { hashToken } = require("./utilities");
+const { verifyCode } = require("./totp");
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Roles that may not use the API without 2FA, e.g. TWO_FACTOR_REQUIRED_ROLES=admin.
+ * Members of these roles who have not enrolled get a restricted token that only
+ * reaches /2fa and /logout until they do.
+ */
+const getTwoFactorRequiredRoles = () =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+const isTwoFactorEnabled = (user) => Boolean(user.twoFactorEnabled);
+
+const isTwoFactorRequired = (user) => {
+  const required = getTwoFactorRequiredRoles();
+  return (user.roles || []).some((role) => required.includes(role));
+};
+
+const needsTwoFactorSetup = (user) =>
+  isTwoFactorRequired(user) && !isTwoFactorEnabled(user);
+
+// Recovery codes are compared case- and dash-insensitively
+const normalizeRecoveryCode = (code) =>
+  String(code || "").toLowerCase().replace(/[\s-]/g, "");
+
+/**
+ * Fresh set of one-time recovery codes. The plain codes are shown to the user
+ * once; only their hashes are stored.
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+/**
+ * Check a TOTP code or a recovery code against an enrolled user. On success the
+ * user document is updated (last used step / consumed recovery code) and must be saved.
+ * @returns {"totp"|"recovery"|null}
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!isTwoFactorEnabled(user)) return null;
+
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code, {
+      lastUsedStep: user.twoFactorLastUsedStep ?? -1,
+    });
+    if (step === null) return null;
+    user.twoFactorLastUsedStep = step;
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const remaining = user.twoFactorRecoveryCodeHashes || [];
+    if (!remaining.includes(hash)) return null;
+    user.twoFactorRecoveryCodeHashes = remaining.filter((h) => h !== hash);
+    return "recovery";
+  }
+
+  return null;
+};
+
+module.exports = {
+  getTwoFactorRequiredRoles,
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  needsTwoFactorSetup,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
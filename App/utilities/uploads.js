@@ -0,0 +1,93 @@
+const fs = require("fs");
+const multer = require("multer");
+const { readDocuments, writeDocumentsData, generateId } = require("./utilities");
+
+/**
+ * Shared upload pipeline: multer stores the file under data/uploads and every
+ * stored file gets a record in documents.json. Used by /documents and /me/avatar.
+ */
+
+const UPLOAD_DIR = "../data/uploads/";
+
+const imageMimeTypes = ["image/jpeg", "image/jpg", "image/png", "image/gif", "image/webp"];
+
+const mimeTypeFilter = (allowedMimeTypes, message) => (req, file, cb) => {
+  if (!allowedMimeTypes.includes(file.mimetype)) {
+    return cb(new Error(message), false);
+  }
+  cb(null, true);
+};
+
+const imageFileFilter = mimeTypeFilter(imageMimeTypes, "Only image files are allowed");
+
+/**
+ * Middleware accepting a single file in `field`. Upload problems (size, type,
+ * missing file) are answered with 400; otherwise req.file is set for the next handler.
+ */
+const acceptSingleFile = ({ fileFilter, maxFileSizeMb, field = "file" }) => {
+  const upload = multer({
+    dest: UPLOAD_DIR,
+    fileFilter,
+    limits: { fileSize: maxFileSizeMb * 1024 * 1024 },
+  });
+
+  return (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(400).json({
+            success: false,
+            error: `File size exceeds the ${maxFileSizeMb}MB limit`,
+          });
+        }
+        return res.status(400).json({ success: false, error: err.message });
+      } else if (err) {
+        // Includes file filter rejections
+        return res.status(400).json({ success: false, error: err.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: "No file uploaded" });
+      }
+      next();
+    });
+  };
+};
+
+// Add the uploaded file to documents.json and return its record
+const saveDocumentRecord = (file, userId, extra = {}) => {
+  const documents = readDocuments();
+  const document = {
+    id: generateId(documents),
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    fileName: file.filename,
+    filePath: file.path,
+    userId: String(userId),
+    uploadDate: new Date().toISOString(),
+    ...extra,
+  };
+
+  documents.push(document);
+  writeDocumentsData(documents);
+  return document;
+};
+
+// Remove a document record and its file; a file already gone from disk is not an error
+const deleteDocument = (documentId) => {
+  const documents = readDocuments();
+  const document = documents.find((doc) => doc.id === documentId);
+  if (!document) return null;
+
+  writeDocumentsData(documents.filter((doc) => doc.id !== documentId));
+  fs.rm(document.filePath, { force: true }, () => {});
+  return document;
+};
+
+module.exports = {
+  imageFileFilter,
+  acceptSingleFile,
+  saveDocumentRecord,
+  deleteDocument,
+};
@@ -1,12 +1,41 @@
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const { resolveLine } = require("./variants");
 
 // data folder is one level up from this utilities folder
 const CART_FILE = path.join(__dirname, "..", "data", "cart.json");
 const PRODUCTS_FILE = path.join(__dirname, "..", "data", "products.json");
 const DOCUMENT_FILE = path.join(__dirname, '..', 'data', 'documents.json');
 
+// Tokens issued to accounts that have not confirmed their email carry verified: false
+const isUnverified = (req) => req.user && req.user.verified === false;
+
+const denyUnverified = (res) =>
+  res.status(403).json({ success: false, error: "Email verification required" });
+
+const needsTwoFactorSetup = (req) => req.user && req.user.mfaSetupRequired === true;
+
+const denyTwoFactorSetup = (res) =>
+  res.status(403).json({ success: false, error: "Two-factor authentication setup required" });
+
+// Answers 403 and returns true for tokens that may not reach role-protected routes yet
+const rejectRestrictedToken = (req, res) => {
+  if (isUnverified(req)) {
+    denyUnverified(res);
+    return true;
+  }
+  if (needsTwoFactorSetup(req)) {
+    denyTwoFactorSetup(res);
+    return true;
+  }
+  return false;
+};
+
+// Role-based guards predating requirePermission() (middleware/permissions.js), which routers now use
 const securityMiddleware = (req, res, next) => {
+  if (rejectRestrictedToken(req, res)) return;
+
   // Check if user exists and has the required roles
   if (
     req.user &&
@@ -42,6 +71,23 @@ const writeCart = (cartItems) => writeJson(CART_FILE, cartItems);
 const writeProducts = (products) => writeJson(PRODUCTS_FILE, products);
 const writeDocumentsData = (documents) => writeJson(DOCUMENT_FILE, documents);
 
+// Every cart item carries the id of its owner, so a user's cart is a slice of cart.json
+const readUserCart = (userId) =>
+  readCart().filter((item) => item.userId === String(userId));
+
+const writeUserCart = (userId, userItems) => {
+  const owner = String(userId);
+  const otherItems = readCart().filter((item) => item.userId !== owner);
+  writeCart([
+    ...otherItems,
+    ...userItems.map((item) => ({ ...item, userId: owner })),
+  ]);
+};
+
+// One-way hash for secrets we only need to compare later (reset links, refresh tokens, ...)
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
 const generateId = (items) => {
   if (!Array.isArray(items) || items.length === 0) return 1;
   return Math.max(...items.map((i) => i.id)) + 1;
@@ -81,6 +127,8 @@ const validateProduct = (product) => {
 };
 
 const adminMiddleware = (req, res, next) => {
+  if (rejectRestrictedToken(req, res)) return;
+
   // Check if user exists and has admin role
   if (req.user && req.user.roles && req.user.roles.includes("admin")) {
     return next();
@@ -90,9 +138,9 @@ const adminMiddleware = (req, res, next) => {
 
 const calculateBalance = (cartItems, products) => {
   const balance = cartItems.reduce((total, cartItem) => {
-    const product = products.find((p) => p.id === cartItem.productId);
-    if (product) {
-      return total + product.price * cartItem.quantity;
+    const line = resolveLine(products, cartItem);
+    if (line) {
+      return total + line.price * cartItem.quantity;
     }
     return total;
   }, 0);
@@ -101,16 +149,21 @@ const calculateBalance = (cartItems, products) => {
   return Math.round(balance * 100) / 100;
 };
 
-const getCartWithDetails = () => {
-  const cartItems = readCart();
+const getCartWithDetails = (userId) => {
+  const cartItems = readUserCart(userId);
   const products = readProducts();
 
   const cartWithDetails = cartItems.map((cartItem) => {
-    const product = products.find((p) => p.id === cartItem.productId);
-    const subtotal = product ? product.price * cartItem.quantity : 0;
+    // The variant's own price and label when the item is one of the product's variants
+    const line = resolveLine(products, cartItem);
+    const subtotal = line ? line.price * cartItem.quantity : 0;
     return {
       ...cartItem,
-      product: product || null,
+      product: line ? line.product : null,
+      ...(cartItem.variantId && {
+        variant: line ? { ...line.variant, label: line.label } : null,
+      }),
+      price: line ? line.price : null,
       subtotal: Math.round(subtotal * 100) / 100, // Round subtotal to 2 decimal places
     };
   });
@@ -146,12 +199,16 @@ module.exports = {
   readCart,
   readProducts,
   writeCart,
+  readUserCart,
+  writeUserCart,
   calculateBalance,
   getCartWithDetails,
   writeProducts,
   generateId,
+  hashToken,
   validateProduct,
   adminMiddleware,
+  rejectRestrictedToken,
   writeDocumentsData,
   readDocuments,
   fileFilter,
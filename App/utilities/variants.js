@@ -0,0 +1,76 @@
+/**
+ * Product variants: the storage/colour/... options a product is sold in.
+ *
+ * Variants live on the product (product.variants):
+ *   { id, sku, options: { storage: "128GB", colour: "Black" }, price, stock }
+ * price is null when the variant sells at the product's price; stock follows the
+ * same rules as a product's (see inventory.js). A product with variants can only
+ * be bought as one of them, so its cart and order lines carry a variantId.
+ * Variant ids come from product.nextVariantId and are never reused, so a line
+ * never ends up pointing at another variant after one is deleted.
+ */
+
+// "128GB / Black"
+const variantLabel = (variant) => Object.values(variant.options || {}).join(" / ");
+
+const findVariant = (product, variantId) =>
+  (product.variants || []).find((v) => v.id === variantId) || null;
+
+const hasVariants = (product) => Array.isArray(product.variants) && product.variants.length > 0;
+
+// Lines added before the product got variants point at no variant and cannot be bought any more
+const needsVariant = (product, line) => !line.variantId && hasVariants(product);
+
+// Id for a new variant of the product; advances the product's counter, so the caller saves the product
+const takeVariantId = (product) => {
+  const id = Math.max(product.nextVariantId || 1, ...(product.variants || []).map((v) => v.id + 1));
+  product.nextVariantId = id + 1;
+  return id;
+};
+
+const unitPrice = (product, variant) =>
+  variant && variant.price !== null && variant.price !== undefined ? variant.price : product.price;
+
+/**
+ * The product and variant a cart or order line points at.
+ * @param {object[]} products
+ * @param {{ productId: number, variantId?: number }} line
+ * @returns {{ product: object, variant: object|null, price: number, label: string|null }|null}
+ *   null when the product, or the line's variant, no longer exists, or when the
+ *   line has no variant but the product now comes in variants
+ */
+const resolveLine = (products, line) => {
+  const product = products.find((p) => p.id === line.productId);
+  if (!product || needsVariant(product, line)) return null;
+
+  const variant = line.variantId ? findVariant(product, line.variantId) : null;
+  if (line.variantId && !variant) return null;
+
+  return {
+    product,
+    variant,
+    price: unitPrice(product, variant),
+    label: variant ? variantLabel(variant) : null,
+  };
+};
+
+// Two variants of one product are the same when they have the same option values (names and values are case-insensitive)
+const optionsKey = (options) =>
+  JSON.stringify(
+    Object.entries(options)
+      .map(([name, value]) => [name.toLowerCase(), value.toLowerCase()])
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+
+const sameOptions = (a, b) => optionsKey(a) === optionsKey(b);
+
+module.exports = {
+  variantLabel,
+  findVariant,
+  hasVariants,
+  needsVariant,
+  takeVariantId,
+  unitPrice,
+  resolveLine,
+  sameOptions,
+};